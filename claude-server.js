@@ -1,10 +1,63 @@
-// AI-Powered Journaling Companion with Claude API Integration
+// AI-Powered Journaling Companion with pluggable AI providers (Claude, OpenAI-compatible, local)
 require('dotenv').config();
 const express = require("express");
 const cors = require("cors");
 const helmet = require("helmet");
 const rateLimit = require("express-rate-limit");
-const Anthropic = require('@anthropic-ai/sdk');
+const { createStore } = require('./lib/storage');
+const { createProvider } = require('./lib/ai-providers');
+const { generateLocalReply, recurringWords } = require('./lib/local-nlp');
+const { analyzeText } = require('./client/src/shared/analysis');
+const { assessSafety, mergeSafety, safetyReply } = require('./client/src/shared/safety');
+const { parseAnalysisResponse, AnalysisValidationError } = require('./lib/analysis-schema');
+const {
+  hashPassword,
+  verifyPassword,
+  validateCredentials,
+  normalizeEmail,
+  startSession,
+  requireAuth,
+  publicUser
+} = require('./lib/auth');
+const { createDataKey, sealDataKey, openDataKey } = require('./lib/encryption');
+const { Journal } = require('./lib/journal');
+const { getRetentionDays, planRetention, runRetention, scheduleRetention } = require('./lib/retention');
+const {
+  parseExportOptions,
+  filterEntries,
+  buildJsonExport,
+  buildCsvExport,
+  writeMarkdownArchive,
+  writePdfReport
+} = require('./lib/export');
+const { IMPORT_FORMATS, parseImportFiles, partitionDuplicates, buildImportedEntry } = require('./lib/import');
+const { parseSearchOptions, searchEntries, findSimilarEntries } = require('./lib/search');
+const {
+  DEFAULT_TIME_ZONE, isValidTimeZone, isValidTimestamp, hourIn, dayKeyOf, todayIn, lastDays,
+  calculateWritingStreak, parseRangeOptions, inRange, bucketKeyOf, bucketLabel, describeRange
+} = require('./lib/date-range');
+const {
+  PROMPT_COUNT,
+  PROMPT_ID_PATTERN,
+  timeOfDayFor,
+  moodOf,
+  generatedPromptId,
+  findUnresolvedTopics,
+  pickLibraryPrompts
+} = require('./lib/prompts');
+const { buildEmotionAnalytics } = require('./lib/emotions');
+const { scoreOf, analyzeMoodTrend } = require('./lib/mood-trend');
+const {
+  TAG_KINDS,
+  normalizeTag,
+  uniqueTags,
+  extractHashtags,
+  retagFromText,
+  hashtagKindsOf,
+  hasHashtag,
+  collectHashtags,
+  planTagChange
+} = require('./lib/hashtags');
 
 const app = express();
 
@@ -18,155 +71,184 @@ app.use(cors({
 // Rate limiting
 const limiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 100 // limit each IP to 100 requests per windowMs
+  max: 100, // limit each IP to 100 requests per windowMs
+  // The client polls the health check to notice when it's back online; that
+  // shouldn't use up the limit for real requests
+  skip: (req) => req.path === '/api/health'
 });
 app.use(limiter);
 
 app.use(express.json({ limit: '10mb' }));
 
-// Initialize Claude API
-const anthropic = new Anthropic({
-  apiKey: process.env.ANTHROPIC_API_KEY || 'your-claude-api-key-here',
+// Initialize the configured AI provider (AI_PROVIDER=claude|openai-compatible|local)
+const aiProvider = createProvider({
+  provider: process.env.AI_PROVIDER || 'claude',
+  model: process.env.AI_MODEL,
+  apiKey: process.env.AI_PROVIDER === 'openai-compatible'
+    ? process.env.OPENAI_COMPATIBLE_API_KEY
+    : process.env.ANTHROPIC_API_KEY,
+  baseUrl: process.env.OPENAI_COMPATIBLE_BASE_URL
 });
 
-// In-memory store with enhanced data structure
-let entries = [];
-let userInsights = {
-  patterns: {},
-  themes: {},
-  emotionalJourney: [],
-  privacySettings: {
-    onDeviceProcessing: false, // Using Claude API
-    dataRetention: 30 // days
-  }
-};
+// Persistent store for entries and user insights (file-backed by default)
+const store = createStore({
+  driver: process.env.JOURNAL_STORAGE || 'file',
+  filePath: process.env.JOURNAL_DATA_FILE
+});
+
+// Retention: expired data is purged (or archived) on this cron schedule; "off" disables it
+const RETENTION_MODE = process.env.RETENTION_MODE || 'purge';
+const RETENTION_SCHEDULE = process.env.RETENTION_SCHEDULE || '0 3 * * *';
+
+// On-device provider for users who choose local (or no) AI processing
+const localProvider = createProvider({ provider: 'local' });
+
+const AI_MODES = ['cloud', 'local', 'off'];
+
+/**
+ * The provider a user's privacy settings allow: the configured provider
+ * for 'cloud', on-device NLP for 'local' and 'off'
+ */
+function providerFor(settings) {
+  return settings.aiMode === 'cloud' ? aiProvider : localProvider;
+}
+
+// 'off' means no AI at all: only the on-device word lists needed for charts run
+const repliesEnabled = (settings) => settings.aiMode !== 'off' && settings.aiReplies;
+
+// Maximum number of prior conversation turns sent back to the model
+const MAX_THREAD_TURNS = 20;
 
 /**
- * Generate AI response using Claude
+ * Generate Sam's response with the given AI provider. `thread` holds the prior turns of the
+ * entry's conversation ({ role: 'user'|'ai', text }); when present, `text`
+ * is a follow-up message and Sam answers with the whole thread in view.
+ * With `onText` the reply is streamed: it's called with each piece as it arrives.
  */
-async function generateAIResponse(text, analysis) {
+async function generateAIResponse(text, analysis, thread = [], provider = aiProvider, onText = null) {
+  if (provider.isLocal) {
+    const reply = generateLocalReply(text, analysis, thread);
+    if (onText) onText(reply);
+    return reply;
+  }
+
   try {
-    const response = await anthropic.messages.create({
-      model: "claude-3-haiku-20240307",
-      max_tokens: 1000,
-      messages: [{
-        role: "user",
-        content: `You are Sam, an empathetic AI journaling companion. Respond to this journal entry with a supportive, thoughtful message. Be encouraging and help the person reflect on their feelings. Keep it conversational and warm, but direct and natural - no formal greetings like "Hey there" or "Hello", no theatrical elements like "*clears throat*" or signatures. Respond as if you're continuing a natural conversation.
+    const history = thread.slice(-MAX_THREAD_TURNS).map(message => ({
+      role: message.role === 'ai' ? 'assistant' : 'user',
+      content: message.text
+    }));
 
-Journal entry: "${text}"
-Detected sentiment: ${analysis.sentiment}
-Themes: ${analysis.themes.join(', ')}
+    const request = {
+      maxTokens: 1000,
+      system: `You are Sam, an empathetic AI journaling companion. Respond to the user's journal entry with a supportive, thoughtful message. Be encouraging and help the person reflect on their feelings. Keep it conversational and warm, but direct and natural - no formal greetings like "Hey there" or "Hello", no theatrical elements like "*clears throat*" or signatures. Respond as if you're continuing a natural conversation.
 
-Respond as Sam would - with empathy, understanding, and gentle guidance. Keep it natural and conversational, as if continuing an ongoing dialogue.`
-      }]
-    });
+Detected sentiment of the journal entry: ${analysis.sentiment}
+Themes: ${analysis.themes.join(', ')}
+${history.length > 0 ? `
+The first user message is the journal entry itself; the messages after it are a follow-up conversation about that entry. Keep track of what has already been said and don't repeat earlier replies.
+` : ''}
+Respond as Sam would - with empathy, understanding, and gentle guidance. Keep it natural and conversational, as if continuing an ongoing dialogue.`,
+      messages: [...history, { role: "user", content: text }]
+    };
+    const aiResponseText = onText ? await provider.stream(request, onText) : await provider.complete(request);
 
-    const aiResponseText = response.content[0].text;
     console.log('🤖 Generated AI response:', aiResponseText.substring(0, 100) + '...');
     return aiResponseText;
   } catch (error) {
-    console.error('Claude AI response error:', error);
+    console.error(`${provider.displayName} response error:`, error);
     // Fallback response
     return "Thank you for sharing that with me. I'm here to listen and help you process your thoughts and feelings. How are you feeling about this situation?";
   }
 }
 
+// Imported entries analyzed concurrently when batch-running AI analysis
+const IMPORT_ANALYSIS_BATCH_SIZE = 5;
+
+// Attempts at getting schema-valid analysis from the model before falling back
+const MAX_ANALYSIS_ATTEMPTS = 3;
+
 /**
- * Enhanced sentiment analysis using Claude
+ * Enhanced sentiment analysis with the given AI provider.
+ * The result's `source` records where it came from: 'model', 'local'
+ * (local provider) or 'fallback' (model failed, local analysis used).
  */
-async function analyzeSentimentWithClaude(text) {
-  try {
-    const response = await anthropic.messages.create({
-      model: "claude-3-haiku-20240307", // Fast and cost-effective
-      max_tokens: 200,
-      messages: [{
-        role: "user",
-        content: `Analyze the sentiment and emotions in this journal entry. Respond with ONLY a JSON object containing:
+async function analyzeSentimentWithAI(text, provider = aiProvider) {
+  if (provider.isLocal) {
+    return { ...analyzeText(text), source: 'local' };
+  }
+
+  const messages = [{
+    role: "user",
+    content: `Analyze the sentiment and emotions in this journal entry. Respond with ONLY a JSON object, no other text, in exactly this shape:
 {
-  "sentiment": "very_positive|positive|neutral|negative|very_negative",
-  "emotions": ["joy", "sadness", "anger", "fear", "surprise", "disgust"],
-  "themes": ["work", "relationships", "health", "creativity", "travel", "learning", "stress", "gratitude", "goals", "nature"],
-  "confidence": 0.0-1.0
+  "sentiment": one of "very_positive", "positive", "neutral", "negative", "very_negative",
+  "emotions": zero or more of ["joy", "sadness", "anger", "fear", "surprise", "disgust"],
+  "themes": zero or more of ["work", "relationships", "health", "creativity", "travel", "learning", "stress", "gratitude", "goals", "nature"],
+  "confidence": a number from 0.0 to 1.0,
+  "risk": "urgent" if the writer describes thoughts of suicide, a plan or intent to die; "concern" for self-harm or hopelessness about living; otherwise "none"
 }
 
 Journal entry: "${text}"`
-      }]
-    });
-
-    const content = response.content[0].text;
-    const analysis = JSON.parse(content);
-    
-    return {
-      sentiment: analysis.sentiment || 'neutral',
-      emotions: analysis.emotions || [],
-      themes: analysis.themes || [],
-      confidence: analysis.confidence || 0.5
-    };
-  } catch (error) {
-    console.error('Claude API error:', error);
-    // Fallback to simple analysis
-    return analyzeSentimentFallback(text);
+  }];
+
+  for (let attempt = 1; attempt <= MAX_ANALYSIS_ATTEMPTS; attempt++) {
+    let content;
+    try {
+      content = await provider.complete({ maxTokens: 200, messages });
+      const analysis = parseAnalysisResponse(content);
+      return { ...analysis, source: 'model' };
+    } catch (error) {
+      const repairable = error instanceof AnalysisValidationError && error.repairable;
+      console.error(`${provider.displayName} analysis error (attempt ${attempt}/${MAX_ANALYSIS_ATTEMPTS}):`, repairable ? error.message : error);
+      if (!repairable) break;
+
+      // Show the model its previous answer and what was wrong with it
+      messages.push(
+        { role: "assistant", content },
+        { role: "user", content: `That response couldn't be used: ${error.message}. Reply again with ONLY the JSON object.` }
+      );
+    }
   }
+
+  // Fallback to local analysis
+  return { ...analyzeText(text), source: 'fallback' };
 }
 
 /**
- * Fallback sentiment analysis
+ * Generate a follow-up question for an entry with the given AI provider.
+ * `recentEntries` are the entries written before it, oldest first; Sam's
+ * reply is included so the question doesn't repeat it.
  */
-function analyzeSentimentFallback(text) {
-  let sentiment = "neutral";
-  if (/happy|great|excited|joy|love|amazing|wonderful|fantastic|good|positive|grateful|blessed/i.test(text)) {
-    sentiment = "positive";
-  } else if (/sad|angry|stressed|bad|tired|worried|anxious|frustrated|upset|terrible|awful|horrible/i.test(text)) {
-    sentiment = "negative";
+async function generateEmpatheticPromptWithAI(entry, recentEntries, provider = aiProvider) {
+  if (provider.isLocal) {
+    return generatePromptFallback(entry);
   }
 
-  const emotions = [];
-  if (/happy|joy|excited|amazing/i.test(text)) emotions.push("joy");
-  if (/sad|down|blue|hurt/i.test(text)) emotions.push("sadness");
-  if (/angry|mad|furious|upset/i.test(text)) emotions.push("anger");
-  if (/worried|anxious|scared|afraid/i.test(text)) emotions.push("fear");
-
-  const themes = [];
-  if (/work|job|career|office/i.test(text)) themes.push("work");
-  if (/family|friend|relationship|love/i.test(text)) themes.push("relationships");
-  if (/health|exercise|gym|doctor/i.test(text)) themes.push("health");
-  if (/creative|art|music|write|design/i.test(text)) themes.push("creativity");
-
-  return {
-    sentiment,
-    emotions,
-    themes,
-    confidence: 0.6
-  };
-}
-
-/**
- * Generate empathetic prompt using Claude
- */
-async function generateEmpatheticPromptWithClaude(entry, allEntries) {
   try {
-    const recentEntries = allEntries.slice(-3).map(e => `${e.sentiment}: ${e.text}`).join('\n');
+    const recentContext = recentEntries.slice(-3).map(e => `${e.sentiment}: ${e.userInput}`).join('\n');
     
-    const response = await anthropic.messages.create({
-      model: "claude-3-haiku-20240307",
-      max_tokens: 150,
+    const question = await provider.complete({
+      maxTokens: 150,
       messages: [{
         role: "user",
         content: `You are an empathetic AI journaling companion. Based on this journal entry and recent entries, generate a thoughtful, supportive follow-up QUESTION (not a response).
 
-Current entry: "${entry.text}"
+Current entry: "${entry.userInput}"
 Sentiment: ${entry.sentiment}
-Emotions: ${entry.emotions.join(', ')}
-Themes: ${entry.themes.join(', ')}
-
+Emotions: ${(entry.emotions || []).join(', ')}
+Themes: ${(entry.themes || []).join(', ')}
+${entry.aiResponse ? `
+Sam already replied: "${entry.aiResponse}"
+` : ''}
 Recent entries:
-${recentEntries}
+${recentContext || 'None yet'}
 
 Generate a single, empathetic FOLLOW-UP QUESTION that:
 - Acknowledges their current emotional state
 - Encourages deeper reflection
 - Feels supportive and non-judgmental
 - Is specific to their situation
+- Asks something different from any question in Sam's reply
 - Starts with a question word (What, How, When, Where, Why, etc.)
 
 Examples of good follow-up questions:
@@ -178,18 +260,18 @@ Respond with ONLY the question text, no quotes or formatting.`
       }]
     });
 
-    return response.content[0].text.trim();
+    return question.trim().replace(/^["']|["']$/g, '');
   } catch (error) {
-    console.error('Claude prompt generation error:', error);
+    console.error(`${provider.displayName} prompt generation error:`, error);
     return generatePromptFallback(entry);
   }
 }
 
 /**
- * Fallback prompt generation
+ * Template follow-up question for the local provider and when the model fails
  */
 function generatePromptFallback(entry) {
-  const { sentiment, text } = entry;
+  const { sentiment, userInput: text } = entry;
   
   if (sentiment === "positive") {
     return "That sounds wonderful! What made today feel so good?";
@@ -205,22 +287,24 @@ function generatePromptFallback(entry) {
 }
 
 /**
- * Generate weekly insights using Claude
+ * Generate weekly insights with the configured AI provider
  */
-async function generateWeeklyInsightsWithClaude(weekEntries) {
+async function generateWeeklyInsightsWithAI(weekEntries, provider = aiProvider, period = 'this week') {
   if (weekEntries.length === 0) {
-    return { summary: "No entries this week to reflect on.", insights: [] };
+    return { summary: `No entries ${period} to reflect on.`, insights: [] };
+  }
+  if (provider.isLocal) {
+    return generateInsightsFallback(weekEntries, period);
   }
 
   try {
-    const entriesText = weekEntries.map(e => `${e.sentiment}: ${e.text}`).join('\n');
+    const entriesText = weekEntries.map(e => `${e.sentiment}: ${e.userInput}`).join('\n');
     
-    const response = await anthropic.messages.create({
-      model: "claude-3-haiku-20240307",
-      max_tokens: 300,
+    const summary = await provider.complete({
+      maxTokens: 300,
       messages: [{
         role: "user",
-        content: `Analyze these journal entries from the past week and provide a gentle, insightful summary. Be empathetic and supportive.
+        content: `Analyze these journal entries, written ${period}, and provide a gentle, insightful summary. Be empathetic and supportive.
 
 Entries:
 ${entriesText}
@@ -237,21 +321,21 @@ Respond with ONLY the summary text.`
     });
 
     return {
-      summary: response.content[0].text.trim(),
+      summary: summary.trim(),
       insights: [],
       sentimentCounts: {},
       topThemes: []
     };
   } catch (error) {
-    console.error('Claude insights error:', error);
-    return generateInsightsFallback(weekEntries);
+    console.error(`${provider.displayName} insights error:`, error);
+    return generateInsightsFallback(weekEntries, period);
   }
 }
 
 /**
  * Fallback insights generation
  */
-function generateInsightsFallback(weekEntries) {
+function generateInsightsFallback(weekEntries, period = 'this week') {
   const sentimentCounts = weekEntries.reduce((acc, entry) => {
     acc[entry.sentiment] = (acc[entry.sentiment] || 0) + 1;
     return acc;
@@ -261,118 +345,30 @@ function generateInsightsFallback(weekEntries) {
   const positiveCount = sentimentCounts.positive || 0;
   const negativeCount = sentimentCounts.negative || 0;
 
-  let summary = `This week, you wrote ${totalEntries} entries. `;
+  let summary = `You wrote ${totalEntries} entries ${period}. `;
   
   if (positiveCount > negativeCount) {
     summary += "🌟 You've had more positive moments than challenging ones.";
   } else if (negativeCount > positiveCount) {
-    summary += "💙 This week seems challenging. Remember, it's okay to not be okay.";
+    summary += "💙 This stretch seems challenging. Remember, it's okay to not be okay.";
   } else {
     summary += "⚖️ Your emotional landscape shows balance.";
   }
 
-  return { summary, insights: [], sentimentCounts, topThemes: [] };
-}
-
-/**
- * Calculate writing streak (consecutive days with entries)
- */
-function calculateWritingStreak(entries) {
-  if (entries.length === 0) return 0;
-  
-  // Sort entries by date (newest first)
-  const sortedEntries = [...entries].sort((a, b) => new Date(b.ts || b.timestamp) - new Date(a.ts || a.timestamp));
-  
-  let streak = 0;
-  const today = new Date();
-  today.setHours(0, 0, 0, 0);
-  
-  // Check if there's an entry today
-  const hasEntryToday = sortedEntries.some(entry => {
-    const entryDate = new Date(entry.ts || entry.timestamp);
-    entryDate.setHours(0, 0, 0, 0);
-    return entryDate.getTime() === today.getTime();
-  });
-  
-  if (!hasEntryToday) {
-    // If no entry today, start counting from yesterday
-    today.setDate(today.getDate() - 1);
-  }
-  
-  // Count consecutive days with entries
-  for (let i = 0; i < 365; i++) { // Check up to a year
-    const checkDate = new Date(today);
-    checkDate.setDate(today.getDate() - i);
-    
-    const hasEntryOnDate = sortedEntries.some(entry => {
-      const entryDate = new Date(entry.ts || entry.timestamp);
-      entryDate.setHours(0, 0, 0, 0);
-      return entryDate.getTime() === checkDate.getTime();
-    });
-    
-    if (hasEntryOnDate) {
-      streak++;
-    } else {
-      break;
-    }
+  const words = recurringWords(weekEntries.map(entry => entry.userInput));
+  if (words.length > 0) {
+    summary += ` Words that kept coming up: ${words.join(', ')}.`;
   }
-  
-  return streak;
+
+  return { summary, insights: [], sentimentCounts, topThemes: [] };
 }
 
 /**
- * Calculate mood trend over the last 7 days
+ * Calculate mood trend over a date range (the last 7 days by default)
+ * with the trend engine in lib/mood-trend.js
  */
-function calculateMoodTrend(entries) {
-  if (entries.length === 0) return { trend: 'stable', direction: '➡️', description: 'No data yet' };
-  
-  // Get entries from last 7 days
-  const sevenDaysAgo = new Date();
-  sevenDaysAgo.setDate(sevenDaysAgo.getDate() - 7);
-  
-  const recentEntries = entries.filter(entry => 
-    new Date(entry.ts || entry.timestamp) >= sevenDaysAgo
-  );
-  
-  if (recentEntries.length < 2) {
-    return { trend: 'stable', direction: '➡️', description: 'Need more data' };
-  }
-  
-  // Sort by date
-  recentEntries.sort((a, b) => new Date(a.ts || a.timestamp) - new Date(b.ts || b.timestamp));
-  
-  // Calculate sentiment scores (very_positive = 2, positive = 1, neutral = 0, negative = -1, very_negative = -2)
-  const sentimentScores = recentEntries.map(entry => {
-    switch (entry.sentiment) {
-      case 'very_positive': return 2;
-      case 'positive': return 1;
-      case 'neutral': return 0;
-      case 'negative': return -1;
-      case 'very_negative': return -2;
-      default: return 0;
-    }
-  });
-  
-  // Calculate trend using simple linear regression
-  const n = sentimentScores.length;
-  const x = Array.from({ length: n }, (_, i) => i);
-  const y = sentimentScores;
-  
-  const sumX = x.reduce((a, b) => a + b, 0);
-  const sumY = y.reduce((a, b) => a + b, 0);
-  const sumXY = x.reduce((sum, xi, i) => sum + xi * y[i], 0);
-  const sumXX = x.reduce((sum, xi) => sum + xi * xi, 0);
-  
-  const slope = (n * sumXY - sumX * sumY) / (n * sumXX - sumX * sumX);
-  
-  // Determine trend
-  if (slope > 0.1) {
-    return { trend: 'improving', direction: '↗️', description: 'Getting better' };
-  } else if (slope < -0.1) {
-    return { trend: 'declining', direction: '↘️', description: 'Needs attention' };
-  } else {
-    return { trend: 'stable', direction: '➡️', description: 'Staying steady' };
-  }
+function calculateMoodTrend(entries, range = lastDays(7)) {
+  return analyzeMoodTrend(entries.filter(entry => inRange(entry, range)), range.timeZone);
 }
 
 /**
@@ -402,20 +398,20 @@ function calculateCurrentMood(entries) {
 /**
  * Calculate growth score based on multiple factors
  */
-function calculateGrowthScore(entries) {
+function calculateGrowthScore(entries, trendRange = lastDays(7)) {
   if (entries.length === 0) return { score: 0, percentage: '0%', description: 'No data yet' };
   
   let score = 0;
   let factors = 0;
   
   // Factor 1: Consistency (writing streak)
-  const streak = calculateWritingStreak(entries);
+  const streak = calculateWritingStreak(entries, trendRange.timeZone);
   const consistencyScore = Math.min(streak * 2, 20); // Max 20 points for consistency
   score += consistencyScore;
   factors++;
   
   // Factor 2: Sentiment improvement over time
-  const moodTrend = calculateMoodTrend(entries);
+  const moodTrend = calculateMoodTrend(entries, trendRange);
   let sentimentScore = 10; // Base score
   if (moodTrend.trend === 'improving') sentimentScore = 20;
   else if (moodTrend.trend === 'declining') sentimentScore = 5;
@@ -460,444 +456,1665 @@ function calculateGrowthScore(entries) {
   };
 }
 
+/**
+ * Analyze entry text with the AI provider and build the stored entry fields,
+ * including the opening user/Sam conversation turns. For streaming,
+ * `onAnalysis` gets the analysis fields before Sam replies and `onText`
+ * gets the reply as it's written.
+ */
+async function buildAnalyzedEntry(text, entryTimestamp, settings, { onAnalysis, onText } = {}) {
+  const provider = providerFor(settings);
+  const analysis = await analyzeSentimentWithAI(text, provider);
+  const safety = assessSafety(text, analysis.risk);
+  const analyzed = {
+    sentiment: analysis.sentiment,
+    emotions: analysis.emotions,
+    themes: analysis.themes,
+    tags: extractHashtags(text), // The user's own #tags, written inline
+    confidence: analysis.confidence,
+    analysisSource: analysis.source, // 'model', 'local' or 'fallback'
+    safety, // { level, flagged, signals, sources } from the crisis language check
+    followUpPrompt: null // Generated on demand by /api/prompt
+  };
+  if (onAnalysis) onAnalysis(analyzed);
+
+  // A flagged entry always gets the safety reply, even with AI replies off
+  let aiResponse = null;
+  if (safety.flagged) {
+    aiResponse = safetyReply(safety);
+    if (onText) onText(aiResponse);
+  } else if (repliesEnabled(settings)) {
+    aiResponse = await generateAIResponse(text, analysis, [], provider, onText);
+  }
+
+  return {
+    userInput: text.trim(),
+    aiResponse: aiResponse, // Same response for both prompt area and chat history
+    ...analyzed,
+    ts: entryTimestamp,
+    wordCount: text.trim().split(/\s+/).length,
+    conversation: [
+      {
+        role: "user",
+        text: text.trim(),
+        timestamp: entryTimestamp
+      },
+      ...(aiResponse ? [{
+        role: "ai",
+        text: aiResponse, // Same AI response in chat history
+        timestamp: new Date(new Date(entryTimestamp).getTime() + 1000).toISOString() // AI response 1 second later
+      }] : [])
+    ]
+  };
+}
+
+/**
+ * Recover a user's data key at sign-in. Accounts created before encryption
+ * get a key now, the LEGACY_OWNER_EMAIL account claims the pre-accounts
+ * journal, and any plaintext entries the user has are sealed.
+ */
+async function unlockJournal(user, password) {
+  if (LEGACY_OWNER_EMAIL && user.email === LEGACY_OWNER_EMAIL) {
+    const claimed = await store.claimLegacyData(user.id);
+    if (claimed > 0) {
+      console.log(`📦 Assigned ${claimed} entries from before accounts to ${user.id}`);
+    }
+  }
+
+  let dataKey;
+  if (user.encryption) {
+    dataKey = await openDataKey(user.encryption, password);
+  } else {
+    dataKey = createDataKey();
+    await store.updateUser(user.id, { encryption: await sealDataKey(dataKey, password) });
+  }
+
+  const sealed = await new Journal(store, user.id, dataKey).sealPlaintextEntries();
+  if (sealed > 0) {
+    console.log(`🔐 Encrypted ${sealed} existing entries for ${user.id}`);
+  }
+  return dataKey;
+}
+
 // API Routes
 
 /**
- * Health check with Claude API status
+ * Privacy settings as stored, with on-device processing reflecting the active provider
+ */
+async function getPrivacySettings(userId) {
+  const userInsights = await store.getUserInsights(userId);
+  const settings = userInsights.privacySettings;
+  return {
+    ...settings,
+    onDeviceProcessing: providerFor(settings).onDevice,
+    retentionMode: RETENTION_MODE
+  };
+}
+
+// Computed from server config, so clients may send them back but can't change them
+const READ_ONLY_PRIVACY_SETTINGS = ['onDeviceProcessing', 'retentionMode'];
+
+/**
+ * Validate a (partial) privacy settings update. Returns { changes } or { error }.
+ */
+function validatePrivacyChanges(body) {
+  const changes = {};
+
+  for (const [key, value] of Object.entries(body || {})) {
+    if (READ_ONLY_PRIVACY_SETTINGS.includes(key)) continue;
+
+    if (key === 'dataRetention') {
+      if (value !== null && !(Number.isInteger(value) && value >= 1 && value <= 3650)) {
+        return { error: '"dataRetention" must be a whole number of days from 1 to 3650, or null to keep entries forever' };
+      }
+    } else if (key === 'aiMode') {
+      if (!AI_MODES.includes(value)) {
+        return { error: `"aiMode" must be one of: ${AI_MODES.join(', ')}` };
+      }
+    } else if (key === 'aiReplies' || key === 'syncEntries') {
+      if (typeof value !== 'boolean') {
+        return { error: `"${key}" must be true or false` };
+      }
+    } else {
+      return { error: `Unknown privacy setting "${key}"` };
+    }
+    changes[key] = value;
+  }
+
+  return { changes };
+}
+
+/**
+ * Health check with AI provider status (public, no journal data)
  */
-app.get("/api/health", (req, res) => {
+app.get("/api/health", async (req, res) => {
   res.json({ 
     status: "healthy",
-    aiProvider: "Claude API",
+    aiProvider: aiProvider.displayName,
+    aiModel: aiProvider.model,
     privacy: {
-      onDeviceProcessing: userInsights.privacySettings.onDeviceProcessing,
-      dataRetention: userInsights.privacySettings.dataRetention,
-      totalEntries: entries.length
+      onDeviceProcessing: aiProvider.onDevice
     },
     timestamp: new Date().toISOString()
   });
 });
 
+// Stricter limit on credential endpoints to slow down password guessing
+const authLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 20
+});
+
+// The account that gets the journal saved before accounts existed
+const LEGACY_OWNER_EMAIL = process.env.LEGACY_OWNER_EMAIL ? normalizeEmail(process.env.LEGACY_OWNER_EMAIL) : null;
+
 /**
- * Enhanced sentiment analysis and entry saving with Claude
+ * Create an account and sign in
  */
-app.post("/api/sentiment", async (req, res) => {
-  const { text, timestamp } = req.body;
-  if (!text || !text.trim()) {
-    return res.status(400).json({ error: "Text is required" });
+app.post("/api/auth/register", authLimiter, async (req, res) => {
+  const { email, password } = req.body;
+  const validationError = validateCredentials(email, password);
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
   }
 
   try {
-    const analysis = await analyzeSentimentWithClaude(text);
-    const aiResponse = await generateAIResponse(text, analysis);
-    
-    // Use provided timestamp or create new one
-    const entryTimestamp = timestamp || new Date().toISOString();
-    
-    const entry = {
-      id: entries.length + 1,
-      userInput: text.trim(),
-      aiResponse: aiResponse, // Same response for both prompt area and chat history
-      sentiment: analysis.sentiment,
-      emotions: analysis.emotions,
-      themes: analysis.themes,
-      confidence: analysis.confidence,
-      ts: entryTimestamp,
-      wordCount: text.trim().split(/\s+/).length,
-      conversation: [
-        {
-          role: "user",
-          text: text.trim(),
-          timestamp: entryTimestamp
-        },
-        {
-          role: "ai",
-          text: aiResponse, // Same AI response in chat history
-          timestamp: new Date(new Date(entryTimestamp).getTime() + 1000).toISOString() // AI response 1 second later
-        }
-      ]
-    };
+    const normalizedEmail = normalizeEmail(email);
+    if (await store.findUserByEmail(normalizedEmail)) {
+      return res.status(409).json({ error: "An account with this email already exists" });
+    }
 
-    entries.push(entry);
-    
-    // Update emotional journey
-    userInsights.emotionalJourney.push({
-      date: entry.ts,
-      sentiment: entry.sentiment,
-      emotions: entry.emotions
+    const user = await store.createUser({
+      email: normalizedEmail,
+      passwordHash: await hashPassword(password)
     });
+    const dataKey = await unlockJournal(user, password);
+    const token = await startSession(store, user.id, dataKey);
 
-    console.log("📌 New entry saved with Claude analysis:", {
-      id: entry.id,
-      sentiment: entry.sentiment,
-      emotions: entry.emotions,
-      themes: entry.themes,
-      confidence: entry.confidence
-    });
+    console.log(`👤 New account registered: ${user.id}`);
+    res.status(201).json({ token, user: publicUser(user) });
+  } catch (error) {
+    console.error("Error registering user:", error);
+    res.status(500).json({ error: "Failed to create account" });
+  }
+});
 
-    res.json(entry);
+/**
+ * Sign in with email and password
+ */
+app.post("/api/auth/login", authLimiter, async (req, res) => {
+  const { email, password } = req.body;
+  if (typeof email !== 'string' || typeof password !== 'string') {
+    return res.status(400).json({ error: "Email and password are required" });
+  }
+
+  try {
+    const user = await store.findUserByEmail(normalizeEmail(email));
+    // Same response for unknown emails and wrong passwords
+    if (!user || !(await verifyPassword(password, user.passwordHash))) {
+      return res.status(401).json({ error: "Invalid email or password" });
+    }
+
+    const dataKey = await unlockJournal(user, password);
+    const token = await startSession(store, user.id, dataKey);
+    res.json({ token, user: publicUser(user) });
   } catch (error) {
-    console.error("Error analyzing entry:", error);
-    res.status(500).json({ error: "Failed to analyze entry" });
+    console.error("Error signing in:", error);
+    res.status(500).json({ error: "Failed to sign in" });
+  }
+});
+
+// Every route below requires a signed-in user and only sees that user's journal
+app.use("/api", requireAuth(store), (req, res, next) => {
+  req.journal = new Journal(store, req.user.id, req.dataKey);
+  next();
+});
+
+// Days (streaks, daily chats, trends, date filters) are counted in the
+// user's timezone, which the client sends with every request
+app.use("/api", (req, res, next) => {
+  const timeZone = req.get('X-Timezone') || DEFAULT_TIME_ZONE;
+  if (!isValidTimeZone(timeZone)) {
+    return res.status(400).json({ error: `Unknown timezone "${timeZone}"` });
   }
+  req.timeZone = timeZone;
+  next();
 });
 
 /**
- * Get all entries
+ * Current user
  */
-app.get("/api/entries", (req, res) => {
-  res.json(entries);
+app.get("/api/auth/me", (req, res) => {
+  res.json({ user: publicUser(req.user) });
 });
 
 /**
- * Generate empathetic prompt with Claude
+ * End the current session
  */
-app.post("/api/prompt", async (req, res) => {
-  const { text, sentiment, emotions } = req.body;
-  
+app.post("/api/auth/logout", async (req, res) => {
   try {
-    // Find the most recent entry that matches this text to get the already-generated response
-    const recentEntry = entries.find(entry => 
-      entry.userInput === text.trim() && 
-      entry.sentiment === sentiment
-    );
-    
-    if (recentEntry && recentEntry.aiResponse) {
-      // Return the same AI response that was already generated
-      res.json({ prompt: recentEntry.aiResponse });
-    } else {
-      // Fallback if no matching entry found
-      const fallbackResponse = "I'm here to listen and support you. How are you feeling right now?";
-      res.json({ prompt: fallbackResponse });
-    }
+    await store.deleteSession(req.session.tokenHash);
+    res.json({ success: true });
   } catch (error) {
-    console.error("Error getting AI response:", error);
-    const fallbackResponse = "I'm here to listen and support you. How are you feeling right now?";
-    res.json({ prompt: fallbackResponse });
+    console.error("Error signing out:", error);
+    res.status(500).json({ error: "Failed to sign out" });
   }
 });
 
 /**
- * Enhanced weekly summary with Claude
+ * Change the account passphrase. The data key is re-wrapped, so entries
+ * don't need re-encrypting; other sessions are signed out.
  */
-app.get("/api/summary", async (req, res) => {
-  const now = new Date();
-  const weekAgo = new Date(now.getTime() - 7 * 24 * 60 * 60 * 1000);
-  
-  const weekEntries = entries.filter(entry => 
-    new Date(entry.ts) >= weekAgo
-  );
+app.put("/api/auth/password", authLimiter, async (req, res) => {
+  const { currentPassword, newPassword } = req.body;
+  const validationError = validateCredentials(req.user.email, newPassword);
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
+  }
 
   try {
-    const insights = await generateWeeklyInsightsWithClaude(weekEntries);
-    res.json(insights);
+    if (typeof currentPassword !== 'string' || !(await verifyPassword(currentPassword, req.user.passwordHash))) {
+      return res.status(401).json({ error: "Current password is incorrect" });
+    }
+
+    await store.updateUser(req.user.id, {
+      passwordHash: await hashPassword(newPassword),
+      encryption: await sealDataKey(req.dataKey, newPassword, req.user.encryption.keyVersion)
+    });
+    await store.deleteUserSessions(req.user.id, req.session.tokenHash);
+
+    console.log(`🔐 Passphrase changed for ${req.user.id}`);
+    res.json({ success: true });
   } catch (error) {
-    console.error("Error generating summary:", error);
-    const fallbackInsights = generateInsightsFallback(weekEntries);
-    res.json(fallbackInsights);
+    console.error("Error changing password:", error);
+    res.status(500).json({ error: "Failed to change password" });
   }
 });
 
 /**
- * Get emotional trends for visualization
+ * Rotate the data key: every entry is re-encrypted under a new key.
+ * All sessions end, so the response carries a fresh token.
  */
-app.get("/api/trends", (req, res) => {
-  const last30Days = entries.filter(entry => {
-    const entryDate = new Date(entry.ts);
-    const thirtyDaysAgo = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000);
-    return entryDate >= thirtyDaysAgo;
-  });
+app.post("/api/auth/rotate-key", authLimiter, async (req, res) => {
+  const { password } = req.body;
 
-  const trends = last30Days.map(entry => ({
-    date: entry.ts.split('T')[0],
-    sentiment: entry.sentiment,
-    emotions: entry.emotions,
-    themes: entry.themes
-  }));
+  try {
+    if (typeof password !== 'string' || !(await verifyPassword(password, req.user.passwordHash))) {
+      return res.status(401).json({ error: "Password is incorrect" });
+    }
 
-  res.json({ trends, totalEntries: last30Days.length });
+    const newDataKey = createDataKey();
+    const updates = await req.journal.reencryptEntries(newDataKey);
+    const encryption = await sealDataKey(newDataKey, password, req.user.encryption.keyVersion + 1);
+    await store.rekeyUser(req.user.id, encryption, updates);
+    const token = await startSession(store, req.user.id, newDataKey);
+
+    console.log(`🔐 Rotated data key for ${req.user.id} (v${encryption.keyVersion}, ${updates.length} entries)`);
+    res.json({ token, keyVersion: encryption.keyVersion, entriesReencrypted: updates.length });
+  } catch (error) {
+    console.error("Error rotating key:", error);
+    res.status(500).json({ error: "Failed to rotate encryption key" });
+  }
 });
 
 /**
- * Privacy settings endpoint
+ * Delete the account and everything in it, archived entries included
  */
-app.get("/api/privacy", (req, res) => {
-  res.json(userInsights.privacySettings);
+app.delete("/api/auth/account", authLimiter, async (req, res) => {
+  const { password } = req.body;
+
+  try {
+    if (typeof password !== 'string' || !(await verifyPassword(password, req.user.passwordHash))) {
+      return res.status(401).json({ error: "Password is incorrect" });
+    }
+
+    await store.deleteUser(req.user.id);
+    console.log(`🗑️ Deleted account ${req.user.id}`);
+    res.json({ success: true });
+  } catch (error) {
+    console.error("Error deleting account:", error);
+    res.status(500).json({ error: "Failed to delete account" });
+  }
 });
 
+const isValidPrompt = (prompt) => Boolean(prompt) && typeof prompt === 'object' &&
+  typeof prompt.id === 'string' && PROMPT_ID_PATTERN.test(prompt.id) &&
+  typeof prompt.text === 'string' && prompt.text.trim().length > 0 && prompt.text.length <= 500;
+
 /**
- * Get user insights dashboard data
+ * Check the body of a new entry request. Returns an error message or null.
  */
-app.get("/api/insights", (req, res) => {
-  const insights = {
-    totalEntries: entries.length,
-    averageWordCount: entries.length > 0 ? 
-      Math.round(entries.reduce((sum, e) => sum + e.wordCount, 0) / entries.length) : 0,
-    mostCommonThemes: {},
-    emotionalJourney: userInsights.emotionalJourney.slice(-30),
-    privacySettings: userInsights.privacySettings
-  };
+function validateNewEntry({ text, timestamp, clientId, prompt }) {
+  if (typeof text !== 'string' || !text.trim()) {
+    return "Text is required";
+  }
+  if (!isValidTimestamp(timestamp)) {
+    return "timestamp must be an ISO 8601 date that isn't in the future";
+  }
+  if (clientId !== undefined && (typeof clientId !== 'string' || !clientId)) {
+    return "clientId must be a non-empty string";
+  }
+  if (prompt !== undefined && !isValidPrompt(prompt)) {
+    return "prompt must be { id, text } from /api/ai-prompts";
+  }
+  return null;
+}
 
-  // Calculate Writing Streak
-  insights.writingStreak = calculateWritingStreak(entries);
+/**
+ * Analyze a new entry and save it to the user's journal (unless sync is
+ * off). `hooks` are passed on to buildAnalyzedEntry for streaming.
+ */
+async function saveNewEntry(req, { text, timestamp, clientId, prompt }, hooks = {}) {
+  // Offline writes are replayed with the client's ID, so a retried replay
+  // gets the entry it already created instead of a duplicate
+  if (clientId) {
+    const existing = await req.journal.findByClientId(clientId);
+    if (existing) {
+      return existing;
+    }
+  }
 
-  // Calculate Mood Trend
-  insights.moodTrend = calculateMoodTrend(entries);
+  // Use provided timestamp or create new one
+  const entryTimestamp = timestamp ? new Date(timestamp).toISOString() : new Date().toISOString();
+  const settings = await getPrivacySettings(req.user.id);
+  const analyzed = {
+    ...await buildAnalyzedEntry(text, entryTimestamp, settings, hooks),
+    // The writing prompt this entry answers, so it isn't suggested again
+    ...(prompt ? { prompt: { id: prompt.id, text: prompt.text } } : {})
+  };
 
-  // Calculate Current Mood
-  insights.currentMood = calculateCurrentMood(entries);
+  // With sync off the entry lives only on the user's device: analyze it and hand it back
+  if (!settings.syncEntries) {
+    console.log(`📌 Entry analyzed with ${providerFor(settings).displayName}, not stored (sync off)`);
+    return { ...analyzed, stored: false };
+  }
 
-  // Calculate Growth Score
-  insights.growthScore = calculateGrowthScore(entries);
+  const entry = await req.journal.insertEntry(clientId ? { ...analyzed, clientId } : analyzed);
 
-  // Count themes
-  entries.forEach(entry => {
-    entry.themes.forEach(theme => {
-      if (!insights.mostCommonThemes[theme]) {
-        insights.mostCommonThemes[theme] = { count: 0 };
-      }
-      insights.mostCommonThemes[theme].count++;
-    });
+  // Update emotional journey
+  await req.journal.addJourneyPoint({
+    entryId: entry.id,
+    date: entry.ts,
+    sentiment: entry.sentiment,
+    emotions: entry.emotions,
+    analysisSource: entry.analysisSource
   });
 
-  // Convert to array and sort
-  insights.mostCommonThemes = Object.entries(insights.mostCommonThemes)
-    .sort(([,a], [,b]) => b.count - a.count)
-    .slice(0, 5)
-    .map(([theme, data]) => ({ theme, count: data.count }));
+  console.log(`📌 New entry saved with ${providerFor(settings).displayName} analysis:`, {
+    id: entry.id,
+    sentiment: entry.sentiment,
+    emotions: entry.emotions,
+    themes: entry.themes,
+    tags: entry.tags,
+    confidence: entry.confidence,
+    analysisSource: entry.analysisSource,
+    safety: entry.safety.level
+  });
 
-  res.json(insights);
-});
+  return entry;
+}
 
 /**
- * Get chats grouped by day
+ * Enhanced sentiment analysis and entry saving with the AI provider
  */
-app.get("/api/chats/daily", (req, res) => {
-  // Group entries by day
-  const dailyChats = {};
-  
-  entries.forEach(entry => {
-    const date = new Date(entry.timestamp || entry.ts);
-    const dayKey = date.toISOString().split('T')[0]; // YYYY-MM-DD format
-    
-    if (!dailyChats[dayKey]) {
-      dailyChats[dayKey] = {
-        date: dayKey,
-        displayDate: date.toLocaleDateString('en-US', { 
-          year: 'numeric', 
-          month: 'short', 
-          day: 'numeric' 
-        }),
-        chats: [],
-        thumbnail: null
-      };
-    }
-    
-    dailyChats[dayKey].chats.push(entry);
-  });
-  
-  // Sort chats within each day by timestamp
-  Object.values(dailyChats).forEach(day => {
-    day.chats.sort((a, b) => new Date(a.timestamp || a.ts) - new Date(b.timestamp || b.ts));
-    day.thumbnail = day.chats[0]; // First chat is the thumbnail
-  });
-  
-  // Convert to array and sort by date (newest first)
-  const dailyChatsArray = Object.values(dailyChats)
-    .sort((a, b) => new Date(b.date) - new Date(a.date));
-  
-  res.json(dailyChatsArray);
+app.post("/api/sentiment", async (req, res) => {
+  const validationError = validateNewEntry(req.body);
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
+  }
+
+  try {
+    res.json(await saveNewEntry(req, req.body));
+  } catch (error) {
+    console.error("Error analyzing entry:", error);
+    res.status(500).json({ error: "Failed to analyze entry" });
+  }
 });
 
 /**
- * Get chats filtered by hashtag
+ * Write one server-sent event
  */
-app.get("/api/chats/hashtag/:hashtag", (req, res) => {
-  const hashtag = req.params.hashtag.toLowerCase();
-  
-  const filteredChats = entries.filter(entry => 
-    entry.themes.some(theme => theme.toLowerCase() === hashtag)
-  );
-  
-  // Sort by timestamp (newest first)
-  filteredChats.sort((a, b) => new Date(b.timestamp || b.ts) - new Date(a.timestamp || a.ts));
-  
-  res.json(filteredChats);
-});
+function sendEvent(res, event, data) {
+  if (!res.writableEnded) {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  }
+}
 
 /**
- * Get all unique hashtags
+ * Same as /api/sentiment, streamed as server-sent events: `analysis` with the
+ * analysis fields, `token` for each piece of Sam's reply, then `entry` with
+ * the saved entry (whose aiResponse is the final reply, e.g. if the model
+ * failed part way) or `error`. The entry is saved even if the client leaves.
  */
-app.get("/api/hashtags", (req, res) => {
-  const hashtags = new Set();
-  
-  entries.forEach(entry => {
-    entry.themes.forEach(theme => {
-      hashtags.add(theme);
+app.post("/api/sentiment/stream", async (req, res) => {
+  const validationError = validateNewEntry(req.body);
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no' // Don't let proxies hold tokens back
+  });
+  res.flushHeaders();
+
+  try {
+    const entry = await saveNewEntry(req, req.body, {
+      onAnalysis: (analysis) => sendEvent(res, 'analysis', analysis),
+      onText: (text) => sendEvent(res, 'token', { text })
     });
+    sendEvent(res, 'entry', entry);
+  } catch (error) {
+    console.error("Error analyzing entry:", error);
+    sendEvent(res, 'error', { error: "Failed to analyze entry" });
+  }
+  res.end();
+});
+
+/**
+ * Get all entries
+ */
+app.get("/api/entries", async (req, res) => {
+  try {
+    res.json(await req.journal.listEntries());
+  } catch (error) {
+    console.error("Error loading entries:", error);
+    res.status(500).json({ error: "Failed to load entries" });
+  }
+});
+
+/**
+ * Get a single entry
+ */
+app.get("/api/entries/:id", async (req, res) => {
+  try {
+    const entry = await req.journal.getEntry(req.params.id);
+    if (!entry) {
+      return res.status(404).json({ error: "Entry not found" });
+    }
+    res.json(entry);
+  } catch (error) {
+    console.error("Error loading entry:", error);
+    res.status(500).json({ error: "Failed to load entry" });
+  }
+});
+
+const shiftTurns = (turns, shift) => turns.map(message => ({
+  ...message,
+  timestamp: new Date(new Date(message.timestamp).getTime() + shift).toISOString()
+}));
+
+/**
+ * Keep an entry's follow-up conversation (everything after the user's text
+ * and Sam's first reply) on freshly analyzed `changes`. What the user said
+ * in follow-ups still counts towards the entry's safety flag.
+ */
+function keepFollowUps(changes, existing, shift = 0) {
+  const thread = existing.conversation || [];
+  const openingTurns = thread[1] && thread[1].role === 'ai' ? 2 : 1;
+  const followUps = shiftTurns(thread.slice(openingTurns), shift);
+  const followUpText = followUps.filter(turn => turn.role === 'user').map(turn => turn.text);
+  return {
+    ...changes,
+    conversation: [...changes.conversation, ...followUps],
+    safety: mergeSafety(changes.safety, assessSafety(followUpText.join('\n')))
+  };
+}
+
+/**
+ * Apply an edit to an entry. Changing the text re-runs AI analysis and
+ * Sam's first response, keeping any follow-up conversation; changing only
+ * the timestamp moves the whole conversation.
+ */
+async function applyEntryEdit(journal, existing, { text, timestamp }, settings) {
+  const entryTimestamp = timestamp ? new Date(timestamp).toISOString() : existing.ts;
+  const shift = new Date(entryTimestamp).getTime() - new Date(existing.ts).getTime();
+  let changes;
+
+  if (text !== undefined && text.trim() !== existing.userInput) {
+    changes = keepFollowUps({
+      ...await buildAnalyzedEntry(text, entryTimestamp, settings),
+      tags: retagFromText(existing.tags, existing.userInput, text)
+    }, existing, shift);
+  } else {
+    changes = {
+      ts: entryTimestamp,
+      conversation: shiftTurns(existing.conversation || [], shift)
+    };
+  }
+
+  const entry = await journal.updateEntry(existing.id, { ...changes, updatedAt: new Date().toISOString() });
+  await journal.updateJourneyPoint(entry.id, {
+    date: entry.ts,
+    sentiment: entry.sentiment,
+    emotions: entry.emotions,
+    analysisSource: entry.analysisSource
   });
-  
-  const hashtagsArray = Array.from(hashtags).sort();
-  res.json(hashtagsArray);
+
+  return entry;
+}
+
+/**
+ * Replace an entry's text (re-runs analysis and AI response)
+ */
+app.put("/api/entries/:id", async (req, res) => {
+  const { text, timestamp } = req.body;
+  if (typeof text !== 'string' || !text.trim()) {
+    return res.status(400).json({ error: "Text is required" });
+  }
+  if (!isValidTimestamp(timestamp)) {
+    return res.status(400).json({ error: "Invalid timestamp" });
+  }
+
+  try {
+    const existing = await req.journal.getEntry(req.params.id);
+    if (!existing) {
+      return res.status(404).json({ error: "Entry not found" });
+    }
+
+    const entry = await applyEntryEdit(req.journal, existing, { text, timestamp }, await getPrivacySettings(req.user.id));
+    console.log("✏️ Entry updated:", { id: entry.id, sentiment: entry.sentiment });
+    res.json(entry);
+  } catch (error) {
+    console.error("Error updating entry:", error);
+    res.status(500).json({ error: "Failed to update entry" });
+  }
 });
 
 /**
- * Get sentiment trends data for the last 30 days
+ * Partially update an entry's text and/or timestamp. With baseUpdatedAt
+ * (the entry's updatedAt, or ts if never edited) it responds 409 when the
+ * entry has changed since.
  */
-app.get("/api/sentiment-trends", (req, res) => {
-  const thirtyDaysAgo = new Date();
-  thirtyDaysAgo.setDate(thirtyDaysAgo.getDate() - 30);
-  
-  // Filter entries from last 30 days
-  const recentEntries = entries.filter(entry => 
-    new Date(entry.ts || entry.timestamp) >= thirtyDaysAgo
-  );
-  
-  // Group entries by day
-  const dailySentiment = {};
+app.patch("/api/entries/:id", async (req, res) => {
+  const { text, timestamp, baseUpdatedAt } = req.body;
+  if (text === undefined && timestamp === undefined) {
+    return res.status(400).json({ error: "Nothing to update" });
+  }
+  if (text !== undefined && (typeof text !== 'string' || !text.trim())) {
+    return res.status(400).json({ error: "Text cannot be empty" });
+  }
+  if (!isValidTimestamp(timestamp)) {
+    return res.status(400).json({ error: "Invalid timestamp" });
+  }
+
+  try {
+    const existing = await req.journal.getEntry(req.params.id);
+    if (!existing) {
+      return res.status(404).json({ error: "Entry not found" });
+    }
+    // Edits replayed from offline say which version they were made against
+    if (baseUpdatedAt !== undefined && baseUpdatedAt !== (existing.updatedAt || existing.ts)) {
+      return res.status(409).json({ error: "Entry was changed on another device", entry: existing });
+    }
+
+    const entry = await applyEntryEdit(req.journal, existing, { text, timestamp }, await getPrivacySettings(req.user.id));
+    console.log("✏️ Entry patched:", { id: entry.id, sentiment: entry.sentiment });
+    res.json(entry);
+  } catch (error) {
+    console.error("Error updating entry:", error);
+    res.status(500).json({ error: "Failed to update entry" });
+  }
+});
+
+/**
+ * Re-run analysis and Sam's response for an unchanged entry
+ */
+app.post("/api/entries/:id/reanalyze", async (req, res) => {
+  try {
+    const existing = await req.journal.getEntry(req.params.id);
+    if (!existing) {
+      return res.status(404).json({ error: "Entry not found" });
+    }
+
+    const analyzed = await buildAnalyzedEntry(existing.userInput, existing.ts, await getPrivacySettings(req.user.id));
+    // Replace Sam's first reply (if there was one) but keep any follow-up conversation
+    const changes = keepFollowUps(analyzed, existing);
+    changes.tags = uniqueTags([...(existing.tags || []), ...changes.tags]);
+    const entry = await req.journal.updateEntry(existing.id, { ...changes, updatedAt: new Date().toISOString() });
+    await req.journal.updateJourneyPoint(entry.id, {
+      sentiment: entry.sentiment,
+      emotions: entry.emotions,
+      analysisSource: entry.analysisSource
+    });
+
+    console.log("🔄 Entry re-analyzed:", { id: entry.id, sentiment: entry.sentiment });
+    res.json(entry);
+  } catch (error) {
+    console.error("Error re-analyzing entry:", error);
+    res.status(500).json({ error: "Failed to re-analyze entry" });
+  }
+});
+
+/**
+ * Continue the conversation with Sam inside an entry
+ */
+app.post("/api/entries/:id/conversation", async (req, res) => {
+  const { text, timestamp } = req.body;
+  if (typeof text !== 'string' || !text.trim()) {
+    return res.status(400).json({ error: "Text is required" });
+  }
+  if (!isValidTimestamp(timestamp)) {
+    return res.status(400).json({ error: "Invalid timestamp" });
+  }
+
+  try {
+    const existing = await req.journal.getEntry(req.params.id);
+    if (!existing) {
+      return res.status(404).json({ error: "Entry not found" });
+    }
+
+    const settings = await getPrivacySettings(req.user.id);
+    const thread = existing.conversation || [];
+    const messageTimestamp = timestamp ? new Date(timestamp).toISOString() : new Date().toISOString();
+    const messageSafety = assessSafety(text);
+    // With AI replies turned off the message is still kept, Sam just doesn't answer
+    const reply = messageSafety.flagged
+      ? safetyReply(messageSafety)
+      : repliesEnabled(settings) ? await generateAIResponse(text.trim(), existing, thread, providerFor(settings)) : null;
+
+    const entry = await req.journal.updateEntry(existing.id, {
+      conversation: [
+        ...thread,
+        { role: "user", text: text.trim(), timestamp: messageTimestamp },
+        ...(reply ? [{ role: "ai", text: reply, timestamp: new Date(new Date(messageTimestamp).getTime() + 1000).toISOString() }] : [])
+      ],
+      tags: uniqueTags([...(existing.tags || []), ...extractHashtags(text)]),
+      safety: mergeSafety(existing.safety, messageSafety)
+    });
+
+    console.log("💬 Conversation continued:", { id: entry.id, turns: entry.conversation.length });
+    res.json(entry);
+  } catch (error) {
+    console.error("Error continuing conversation:", error);
+    res.status(500).json({ error: "Failed to continue conversation" });
+  }
+});
+
+/**
+ * Add and/or remove an entry's own tags. Body: { add: ['therapy'], remove: ['work'] }.
+ * AI themes can't be removed here; re-analysis decides those.
+ */
+app.patch("/api/entries/:id/tags", async (req, res) => {
+  const { add = [], remove = [] } = req.body;
+  if (!Array.isArray(add) || !Array.isArray(remove) || add.length + remove.length === 0) {
+    return res.status(400).json({ error: "add and/or remove must be non-empty lists of tags" });
+  }
+  const invalid = [...add, ...remove].find(tag => !normalizeTag(tag));
+  if (invalid !== undefined) {
+    return res.status(400).json({ error: `"${invalid}" is not a valid tag (letters, numbers, - and _, up to 40 characters)` });
+  }
+
+  try {
+    const existing = await req.journal.getEntry(req.params.id);
+    if (!existing) {
+      return res.status(404).json({ error: "Entry not found" });
+    }
+
+    const removed = new Set(uniqueTags(remove));
+    const tags = uniqueTags([...(existing.tags || []), ...add]).filter(tag => !removed.has(tag));
+    const entry = await req.journal.updateEntry(existing.id, { tags });
+    console.log("🏷️ Entry tags updated:", { id: entry.id, count: entry.tags.length });
+    res.json(entry);
+  } catch (error) {
+    console.error("Error updating entry tags:", error);
+    res.status(500).json({ error: "Failed to update tags" });
+  }
+});
+
+/**
+ * Delete an entry and its emotional journey point
+ */
+app.delete("/api/entries/:id", async (req, res) => {
+  try {
+    const deleted = await req.journal.deleteEntry(req.params.id);
+    if (!deleted) {
+      return res.status(404).json({ error: "Entry not found" });
+    }
+
+    await req.journal.removeJourneyPoints(req.params.id);
+    console.log("🗑️ Entry deleted:", req.params.id);
+    res.json({ success: true, id: req.params.id });
+  } catch (error) {
+    console.error("Error deleting entry:", error);
+    res.status(500).json({ error: "Failed to delete entry" });
+  }
+});
+
+/**
+ * Suggested next question for an entry, cached on the entry once generated
+ */
+app.post("/api/prompt", async (req, res) => {
+  const { entryId, text, sentiment, emotions, themes } = req.body;
+  if (!entryId && (typeof text !== 'string' || !text.trim())) {
+    return res.status(400).json({ error: "entryId or text is required" });
+  }
+
+  try {
+    const settings = await getPrivacySettings(req.user.id);
+    const entries = await req.journal.listEntries();
+    let entry;
+    if (entryId) {
+      entry = entries.find(e => e.id === entryId);
+      if (!entry) {
+        return res.status(404).json({ error: "Entry not found" });
+      }
+      if (entry.followUpPrompt) {
+        return res.json({ prompt: entry.followUpPrompt, entryId, cached: true });
+      }
+    } else {
+      // An entry that isn't stored (sync off): nothing to cache it on
+      entry = { userInput: text.trim(), sentiment, emotions: emotions || [], themes: themes || [] };
+    }
+
+    // Sam's safety reply and the crisis lines come first; no reflective question
+    if (entry.safety?.flagged) {
+      return res.json({ prompt: null, entryId: entryId || null, cached: false });
+    }
+
+    const entryTime = entry.ts ? new Date(entry.ts) : new Date();
+    const recentEntries = entries
+      .filter(e => e.id !== entry.id && new Date(e.ts) < entryTime)
+      .sort((a, b) => new Date(a.ts) - new Date(b.ts));
+    const prompt = await generateEmpatheticPromptWithAI(entry, recentEntries, providerFor(settings));
+
+    if (entryId) {
+      await req.journal.updateEntry(entryId, { followUpPrompt: prompt });
+    }
+    res.json({ prompt, entryId: entryId || null, cached: false });
+  } catch (error) {
+    console.error("Error generating follow-up prompt:", error);
+    res.status(500).json({ error: "Failed to generate a follow-up question" });
+  }
+});
+
+/**
+ * Enhanced weekly summary with the AI provider
+ */
+app.get("/api/summary", async (req, res) => {
+  const { options: range, error } = parseRangeOptions(req.query, { days: 7, timeZone: req.timeZone });
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  const period = describeRange(range);
+  let weekEntries = [];
+
+  try {
+    const entries = await req.journal.listEntries();
+    weekEntries = entries.filter(entry => inRange(entry, range));
+
+    const settings = await getPrivacySettings(req.user.id);
+    const insights = settings.aiMode === 'off'
+      ? generateInsightsFallback(weekEntries, period)
+      : await generateWeeklyInsightsWithAI(weekEntries, providerFor(settings), period);
+    res.json({ ...insights, range });
+  } catch (error) {
+    console.error("Error generating summary:", error);
+    const fallbackInsights = generateInsightsFallback(weekEntries, period);
+    res.json({ ...fallbackInsights, range });
+  }
+});
+
+/**
+ * Get emotional trends for visualization
+ */
+app.get("/api/trends", async (req, res) => {
+  const { options: range, error } = parseRangeOptions(req.query, { days: 30, timeZone: req.timeZone });
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  try {
+    const entries = await req.journal.listEntries();
+    const inRangeEntries = entries
+      .filter(entry => inRange(entry, range))
+      .sort((a, b) => new Date(a.ts) - new Date(b.ts));
+
+    const trends = inRangeEntries.map(entry => ({
+      date: dayKeyOf(entry, range.timeZone),
+      period: bucketKeyOf(dayKeyOf(entry, range.timeZone), range.bucket),
+      sentiment: entry.sentiment,
+      emotions: entry.emotions,
+      themes: entry.themes
+    }));
+
+    // Sentiment, emotion and theme counts per bucket
+    const buckets = new Map();
+    trends.forEach(trend => {
+      const bucket = buckets.get(trend.period) || {
+        period: trend.period,
+        label: bucketLabel(trend.period, range.bucket),
+        entryCount: 0,
+        sentiments: {},
+        emotions: {},
+        themes: {}
+      };
+      bucket.entryCount++;
+      bucket.sentiments[trend.sentiment] = (bucket.sentiments[trend.sentiment] || 0) + 1;
+      trend.emotions.forEach(emotion => { bucket.emotions[emotion] = (bucket.emotions[emotion] || 0) + 1; });
+      trend.themes.forEach(theme => { bucket.themes[theme] = (bucket.themes[theme] || 0) + 1; });
+      buckets.set(trend.period, bucket);
+    });
+
+    res.json({ trends, buckets: [...buckets.values()], totalEntries: inRangeEntries.length, range });
+  } catch (error) {
+    console.error("Error loading trends:", error);
+    res.status(500).json({ error: "Failed to load trends" });
+  }
+});
+
+/**
+ * Privacy settings endpoint
+ */
+app.get("/api/privacy", async (req, res) => {
+  try {
+    res.json(await getPrivacySettings(req.user.id));
+  } catch (error) {
+    console.error("Error loading privacy settings:", error);
+    res.status(500).json({ error: "Failed to load privacy settings" });
+  }
+});
+
+/**
+ * Update privacy settings (any subset of dataRetention, aiMode, aiReplies, syncEntries)
+ */
+app.put("/api/privacy", async (req, res) => {
+  const { changes, error } = validatePrivacyChanges(req.body);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  try {
+    await store.updatePrivacySettings(req.user.id, changes);
+    console.log(`🔒 Privacy settings updated for ${req.user.id}:`, changes);
+    res.json(await getPrivacySettings(req.user.id));
+  } catch (error) {
+    console.error("Error updating privacy settings:", error);
+    res.status(500).json({ error: "Failed to update privacy settings" });
+  }
+});
+
+/**
+ * Dry run: what the next retention run would remove from this journal
+ */
+app.get("/api/retention/preview", async (req, res) => {
+  try {
+    const userInsights = await req.journal.getUserInsights();
+    const retentionDays = getRetentionDays(userInsights);
+    const base = {
+      retentionDays,
+      mode: RETENTION_MODE,
+      schedule: RETENTION_SCHEDULE
+    };
+    if (!retentionDays) {
+      return res.json({ ...base, cutoff: null, entries: [], journeyPointsRemoved: 0 });
+    }
+
+    const plan = planRetention(await req.journal.listEntries(), userInsights.emotionalJourney, retentionDays);
+    res.json({
+      ...base,
+      cutoff: plan.cutoff,
+      entries: plan.entries
+        .sort((a, b) => new Date(a.ts) - new Date(b.ts))
+        .map(entry => ({
+          id: entry.id,
+          ts: entry.ts,
+          sentiment: entry.sentiment,
+          excerpt: entry.userInput.length > 80 ? `${entry.userInput.slice(0, 80)}...` : entry.userInput
+        })),
+      journeyPointsRemoved: plan.journeyPoints.length
+    });
+  } catch (error) {
+    console.error("Error previewing retention:", error);
+    res.status(500).json({ error: "Failed to preview retention" });
+  }
+});
+
+/**
+ * Audit log of retention runs on this journal, newest first
+ */
+app.get("/api/retention/audit", async (req, res) => {
+  try {
+    const records = await store.listRetentionAudit(req.user.id);
+    res.json(records.reverse());
+  } catch (error) {
+    console.error("Error loading retention audit:", error);
+    res.status(500).json({ error: "Failed to load retention audit" });
+  }
+});
+
+/**
+ * Apply retention to this journal now instead of waiting for the schedule
+ */
+app.post("/api/retention/run", async (req, res) => {
+  try {
+    const [record] = await runRetention(store, { mode: RETENTION_MODE, userId: req.user.id });
+    res.json({ success: true, record: record || null });
+  } catch (error) {
+    console.error("Error running retention:", error);
+    res.status(500).json({ error: "Failed to run retention" });
+  }
+});
+
+/**
+ * Entries moved to the archive by retention (RETENTION_MODE=archive), newest first
+ */
+app.get("/api/archive", async (req, res) => {
+  try {
+    const entries = await req.journal.listArchivedEntries();
+    res.json(entries.sort((a, b) => new Date(b.ts) - new Date(a.ts)));
+  } catch (error) {
+    console.error("Error loading archive:", error);
+    res.status(500).json({ error: "Failed to load archive" });
+  }
+});
+
+/**
+ * Move an archived entry back into the journal. Unless the retention window
+ * is widened, the next run archives it again (outsideRetention).
+ */
+app.post("/api/archive/:id/restore", async (req, res) => {
+  try {
+    const entry = await req.journal.restoreArchivedEntry(req.params.id);
+    if (!entry) {
+      return res.status(404).json({ error: "Archived entry not found" });
+    }
+
+    const retentionDays = getRetentionDays(await req.journal.getUserInsights());
+    const outsideRetention = retentionDays ? planRetention([entry], [], retentionDays).entries.length > 0 : false;
+    console.log("📦 Entry restored from archive:", { id: entry.id });
+    res.json({ entry, outsideRetention, retentionDays });
+  } catch (error) {
+    console.error("Error restoring archived entry:", error);
+    res.status(500).json({ error: "Failed to restore entry" });
+  }
+});
+
+/**
+ * Permanently delete an archived entry
+ */
+app.delete("/api/archive/:id", async (req, res) => {
+  try {
+    const deleted = await req.journal.deleteArchivedEntry(req.params.id);
+    if (!deleted) {
+      return res.status(404).json({ error: "Archived entry not found" });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    console.error("Error deleting archived entry:", error);
+    res.status(500).json({ error: "Failed to delete archived entry" });
+  }
+});
+
+/**
+ * Download the journal as JSON, zipped per-day Markdown, CSV or PDF,
+ * optionally filtered by date range (from/to, YYYY-MM-DD in the user's
+ * timezone) and hashtag
+ */
+app.get("/api/export", async (req, res) => {
+  const { options, error } = parseExportOptions(req.query, req.timeZone);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  try {
+    const filters = { from: options.from, to: options.to, hashtag: options.hashtag, timeZone: options.timeZone };
+    const entries = filterEntries(await req.journal.listEntries(), filters);
+    const filename = `journal-export-${new Date().toISOString().split('T')[0]}`;
+    console.log(`📦 Exporting ${entries.length} entries as ${options.format}`);
+
+    switch (options.format) {
+      case 'json': {
+        const { privacySettings } = await req.journal.getUserInsights();
+        res.attachment(`${filename}.json`);
+        return res.json(buildJsonExport(entries, { user: req.user, privacySettings, filters }));
+      }
+      case 'csv':
+        res.attachment(`${filename}.csv`);
+        return res.type('text/csv').send(buildCsvExport(entries, options.timeZone));
+      case 'markdown':
+        res.attachment(`${filename}.zip`);
+        return await writeMarkdownArchive(res, entries, options.timeZone);
+      case 'pdf':
+        res.attachment(`${filename}.pdf`);
+        return writePdfReport(res, entries, { filters });
+    }
+  } catch (error) {
+    console.error("Error exporting journal:", error);
+    // Archives and PDFs stream, so the headers may already be on their way
+    if (res.headersSent) return res.end();
+    res.status(500).json({ error: "Failed to export journal" });
+  }
+});
+
+/**
+ * Import entries from Day One JSON, Markdown, CSV or this app's own exports.
+ * Body: { files: [{ name, content }], format: 'auto', analyze: false }.
+ * Entries already in the journal are skipped.
+ */
+app.post("/api/import", async (req, res) => {
+  const { files, format = 'auto', analyze = false } = req.body;
+  if (!Array.isArray(files) || files.length === 0 || !files.every(file => file && typeof file.content === 'string' && (file.name === undefined || typeof file.name === 'string'))) {
+    return res.status(400).json({ error: "files must be a non-empty list of { name, content }" });
+  }
+  if (!IMPORT_FORMATS.includes(format)) {
+    return res.status(400).json({ error: `format must be one of: ${IMPORT_FORMATS.join(', ')}` });
+  }
+  if (typeof analyze !== 'boolean') {
+    return res.status(400).json({ error: "analyze must be true or false" });
+  }
+
+  try {
+    const settings = await getPrivacySettings(req.user.id);
+    if (!settings.syncEntries) {
+      return res.status(409).json({ error: "Entry sync is off. Turn it on in Settings to import entries." });
+    }
+
+    const { records, errors } = parseImportFiles(files, format, req.timeZone);
+    const { fresh, duplicates } = partitionDuplicates(records, await req.journal.listEntries());
+
+    // Text without analysis is always analyzed locally; `analyze` re-runs
+    // everything through the user's AI mode
+    const provider = analyze ? providerFor(settings) : localProvider;
+    const entries = [];
+    for (let i = 0; i < fresh.length; i += IMPORT_ANALYSIS_BATCH_SIZE) {
+      const batch = fresh.slice(i, i + IMPORT_ANALYSIS_BATCH_SIZE);
+      entries.push(...await Promise.all(batch.map(async record => {
+        const analysis = analyze || !record.analysis
+          ? await analyzeSentimentWithAI(record.text, provider)
+          : record.analysis;
+        return buildImportedEntry(record, analysis);
+      })));
+    }
+
+    if (entries.length > 0) {
+      await req.journal.insertEntries(entries);
+    }
+
+    // Old entries are removed by the next retention run unless the window is widened
+    const retentionDays = getRetentionDays(await req.journal.getUserInsights());
+    const outsideRetention = retentionDays ? planRetention(entries, [], retentionDays).entries.length : 0;
+
+    console.log(`📥 Imported ${entries.length} entries with ${provider.displayName} analysis (${duplicates.length} duplicates, ${errors.length} unreadable files)`);
+    res.json({ imported: entries.length, duplicates: duplicates.length, outsideRetention, retentionDays, errors });
+  } catch (error) {
+    console.error("Error importing entries:", error);
+    res.status(500).json({ error: "Failed to import entries" });
+  }
+});
+
+/**
+ * Keyword search over entries and their conversations with Sam, ranked by
+ * relevance. Filters: sentiment, emotion, theme (comma-separated), from/to.
+ * Without q, the filtered entries are listed newest first.
+ */
+app.get("/api/search", async (req, res) => {
+  const { options, error } = parseSearchOptions(req.query, req.timeZone);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  try {
+    const { total, results } = searchEntries(await req.journal.listEntries(), options);
+    res.json({ query: options.q, total, results });
+  } catch (error) {
+    console.error("Error searching entries:", error);
+    res.status(500).json({ error: "Failed to search entries" });
+  }
+});
+
+/**
+ * Entries written about similar things to the given one. Accepts the same
+ * filters as /api/search.
+ */
+app.get("/api/search/similar/:id", async (req, res) => {
+  const { options, error } = parseSearchOptions({ limit: '5', ...req.query }, req.timeZone);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  try {
+    const similar = findSimilarEntries(await req.journal.listEntries(), req.params.id, options);
+    if (!similar) {
+      return res.status(404).json({ error: "Entry not found" });
+    }
+    res.json({ entryId: req.params.id, ...similar });
+  } catch (error) {
+    console.error("Error finding similar entries:", error);
+    res.status(500).json({ error: "Failed to find similar entries" });
+  }
+});
+
+/**
+ * Get user insights dashboard data
+ */
+app.get("/api/insights", async (req, res) => {
+  // All time unless the client picked a range
+  const { options: range, error } = parseRangeOptions(req.query, { days: null, timeZone: req.timeZone });
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  const hasRange = req.query.from !== undefined || req.query.to !== undefined;
+
+  try {
+    const allEntries = await req.journal.listEntries();
+    const entries = allEntries.filter(entry => inRange(entry, range));
+    const userInsights = await req.journal.getUserInsights();
+    const journey = userInsights.emotionalJourney.filter(point => inRange({ ts: point.date }, range));
+    const insights = {
+      totalEntries: entries.length,
+      averageWordCount: entries.length > 0 ? 
+        Math.round(entries.reduce((sum, e) => sum + e.wordCount, 0) / entries.length) : 0,
+      mostCommonThemes: {},
+      emotionalJourney: hasRange ? journey : journey.slice(-30),
+      privacySettings: await getPrivacySettings(req.user.id),
+      range
+    };
+
+    // Calculate Writing Streak (always up to today, whatever the range)
+    insights.writingStreak = calculateWritingStreak(allEntries, req.timeZone);
+
+    // Calculate Mood Trend over the range, or the last 7 days for all time
+    const trendRange = hasRange ? range : lastDays(7, req.timeZone);
+    insights.moodTrend = calculateMoodTrend(entries, trendRange);
+
+    // Calculate Current Mood
+    insights.currentMood = calculateCurrentMood(allEntries);
+
+    // Calculate Growth Score
+    insights.growthScore = calculateGrowthScore(entries, trendRange);
+
+    // Count themes
+    entries.forEach(entry => {
+      entry.themes.forEach(theme => {
+        if (!insights.mostCommonThemes[theme]) {
+          insights.mostCommonThemes[theme] = { count: 0 };
+        }
+        insights.mostCommonThemes[theme].count++;
+      });
+    });
+
+    // Convert to array and sort
+    insights.mostCommonThemes = Object.entries(insights.mostCommonThemes)
+      .sort(([,a], [,b]) => b.count - a.count)
+      .slice(0, 5)
+      .map(([theme, data]) => ({ theme, count: data.count }));
+
+    res.json(insights);
+  } catch (error) {
+    console.error("Error loading insights:", error);
+    res.status(500).json({ error: "Failed to load insights" });
+  }
+});
+
+/**
+ * Group entries by day (YYYY-MM-DD in the user's timezone), oldest chat
+ * first within each day. Shared by /api/chats/daily and
+ * /api/chat-history/:date so both agree on which day an entry belongs to.
+ */
+function groupEntriesByDay(entries, timeZone = DEFAULT_TIME_ZONE) {
+  const dailyChats = {};
   
-  recentEntries.forEach(entry => {
-    const date = new Date(entry.ts || entry.timestamp);
-    const dayKey = date.toISOString().split('T')[0]; // YYYY-MM-DD format
+  entries.forEach(entry => {
+    const dayKey = dayKeyOf(entry, timeZone); // YYYY-MM-DD format
     
-    if (!dailySentiment[dayKey]) {
-      dailySentiment[dayKey] = {
+    if (!dailyChats[dayKey]) {
+      dailyChats[dayKey] = {
         date: dayKey,
-        displayDate: date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' }),
-        sentiments: [],
-        emotions: [],
-        themes: []
+        displayDate: new Date(`${dayKey}T00:00:00Z`).toLocaleDateString('en-US', { 
+          year: 'numeric', 
+          month: 'short', 
+          day: 'numeric',
+          timeZone: 'UTC'
+        }),
+        chats: [],
+        thumbnail: null
       };
     }
     
-    // Convert sentiment to numeric score
-    let sentimentScore = 0;
-    switch (entry.sentiment) {
-      case 'very_positive': sentimentScore = 1; break;
-      case 'positive': sentimentScore = 0.5; break;
-      case 'neutral': sentimentScore = 0; break;
-      case 'negative': sentimentScore = -0.5; break;
-      case 'very_negative': sentimentScore = -1; break;
-      default: sentimentScore = 0;
-    }
-    
-    dailySentiment[dayKey].sentiments.push(sentimentScore);
-    dailySentiment[dayKey].emotions.push(...entry.emotions);
-    dailySentiment[dayKey].themes.push(...entry.themes);
+    dailyChats[dayKey].chats.push(entry);
   });
   
-  // Calculate daily averages and create trend data
-  const trendData = Object.values(dailySentiment).map(day => {
-    const avgSentiment = day.sentiments.length > 0 
-      ? day.sentiments.reduce((sum, score) => sum + score, 0) / day.sentiments.length 
-      : 0;
-    
-    // Count emotions
-    const emotionCounts = {};
-    day.emotions.forEach(emotion => {
-      emotionCounts[emotion] = (emotionCounts[emotion] || 0) + 1;
-    });
-    
-    // Count themes
-    const themeCounts = {};
-    day.themes.forEach(theme => {
-      themeCounts[theme] = (themeCounts[theme] || 0) + 1;
-    });
-    
-    return {
+  // Sort chats within each day by timestamp
+  Object.values(dailyChats).forEach(day => {
+    day.chats.sort((a, b) => new Date(a.timestamp || a.ts) - new Date(b.timestamp || b.ts));
+    day.thumbnail = day.chats[0]; // First chat is the thumbnail
+  });
+
+  return dailyChats;
+}
+
+/**
+ * Get chats grouped by day
+ */
+app.get("/api/chats/daily", async (req, res) => {
+  try {
+    const entries = await req.journal.listEntries();
+    const dailyChats = groupEntriesByDay(entries, req.timeZone);
+  
+    // Convert to array and sort by date (newest first)
+    const dailyChatsArray = Object.values(dailyChats)
+      .sort((a, b) => new Date(b.date) - new Date(a.date));
+  
+    res.json(dailyChatsArray);
+  } catch (error) {
+    console.error("Error loading daily chats:", error);
+    res.status(500).json({ error: "Failed to load daily chats" });
+  }
+});
+
+/**
+ * Get the conversation history for a single day
+ */
+app.get("/api/chat-history/:date", async (req, res) => {
+  const { date } = req.params;
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+    return res.status(400).json({ error: "Date must be in YYYY-MM-DD format" });
+  }
+
+  try {
+    const entries = await req.journal.listEntries();
+    const day = groupEntriesByDay(entries, req.timeZone)[date];
+    if (!day) {
+      return res.status(404).json({ error: "No chats found for this date" });
+    }
+
+    res.json({
       date: day.date,
       displayDate: day.displayDate,
-      sentiment: Math.round(avgSentiment * 100) / 100, // Round to 2 decimal places
-      entryCount: day.sentiments.length,
-      topEmotion: Object.keys(emotionCounts).reduce((a, b) => emotionCounts[a] > emotionCounts[b] ? a : b, 'neutral'),
-      topTheme: Object.keys(themeCounts).reduce((a, b) => themeCounts[a] > themeCounts[b] ? a : b, 'general')
-    };
-  });
+      chats: day.chats.map(entry => ({
+        id: entry.id,
+        ts: entry.ts,
+        userInput: entry.userInput,
+        sentiment: entry.sentiment,
+        emotions: entry.emotions,
+        themes: entry.themes,
+        tags: entry.tags || [],
+        conversation: [...(entry.conversation || [])]
+          .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp))
+      }))
+    });
+  } catch (error) {
+    console.error("Error loading chat history:", error);
+    res.status(500).json({ error: "Failed to load chat history" });
+  }
+});
+
+/**
+ * Get chats filtered by hashtag - an AI theme, a user tag or both. Each chat
+ * says which kinds of hashtag matched it.
+ */
+app.get("/api/chats/hashtag/:hashtag", async (req, res) => {
+  const hashtag = normalizeTag(req.params.hashtag);
+  if (!hashtag) {
+    return res.status(400).json({ error: "Invalid hashtag" });
+  }
+
+  try {
+    const entries = await req.journal.listEntries();
+    const chats = entries
+      .filter(entry => hasHashtag(entry, hashtag))
+      .map(entry => ({ ...entry, hashtagKinds: hashtagKindsOf(entry, hashtag) }));
+
+    // Sort by timestamp (newest first)
+    chats.sort((a, b) => new Date(b.timestamp || b.ts) - new Date(a.timestamp || a.ts));
+
+    const kinds = [...new Set(chats.flatMap(chat => chat.hashtagKinds))];
+    res.json({ hashtag, kinds: TAG_KINDS.filter(kind => kinds.includes(kind)), chats });
+  } catch (error) {
+    console.error("Error loading hashtag chats:", error);
+    res.status(500).json({ error: "Failed to load hashtag chats" });
+  }
+});
+
+/**
+ * Get all hashtags with their kinds ('theme' from AI analysis, 'tag' from
+ * the user) and how many entries carry each
+ */
+app.get("/api/hashtags", async (req, res) => {
+  try {
+    const entries = await req.journal.listEntries();
+    res.json(collectHashtags(entries));
+  } catch (error) {
+    console.error("Error loading hashtags:", error);
+    res.status(500).json({ error: "Failed to load hashtags" });
+  }
+});
+
+/**
+ * Rename a user tag across the journal. Renaming to a tag that already
+ * exists merges the two.
+ */
+app.put("/api/hashtags/:hashtag", async (req, res) => {
+  const hashtag = normalizeTag(req.params.hashtag);
+  const name = normalizeTag(req.body.name);
+  if (!hashtag || !name) {
+    return res.status(400).json({ error: "A valid hashtag and new name are required" });
+  }
+  await changeTags(req, res, [hashtag], name);
+});
+
+/**
+ * Merge user tags into one. Body: { sources: ['anxiety', 'anxious'], into: 'anxiety' }
+ */
+app.post("/api/hashtags/merge", async (req, res) => {
+  const { sources, into } = req.body;
+  const target = normalizeTag(into);
+  if (!Array.isArray(sources) || sources.length === 0 || sources.some(tag => !normalizeTag(tag)) || !target) {
+    return res.status(400).json({ error: "sources must be a non-empty list of tags and into a valid tag" });
+  }
+  await changeTags(req, res, uniqueTags(sources), target);
+});
+
+/**
+ * Remove a user tag from every entry
+ */
+app.delete("/api/hashtags/:hashtag", async (req, res) => {
+  const hashtag = normalizeTag(req.params.hashtag);
+  if (!hashtag) {
+    return res.status(400).json({ error: "Invalid hashtag" });
+  }
+  await changeTags(req, res, [hashtag], null);
+});
+
+/**
+ * Rename, merge (target set) or delete (target null) user tags journal-wide
+ */
+async function changeTags(req, res, sources, target) {
+  try {
+    const changes = planTagChange(await req.journal.listEntries(), sources, target);
+    if (changes.length === 0) {
+      return res.status(404).json({ error: "No entries have that tag" });
+    }
+
+    const updated = await req.journal.updateTags(changes);
+    console.log(`🏷️ Tags ${sources.join(', ')} ${target ? `→ ${target}` : 'deleted'} on ${updated} entries`);
+    res.json({ sources, target, updated });
+  } catch (error) {
+    console.error("Error changing tags:", error);
+    res.status(500).json({ error: "Failed to update tags" });
+  }
+}
+
+/**
+ * Get sentiment trends data (the last 30 days by default)
+ */
+app.get("/api/sentiment-trends", async (req, res) => {
+  const { options: range, error } = parseRangeOptions(req.query, { days: 30, timeZone: req.timeZone });
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  try {
+    const entries = await req.journal.listEntries();
+    const recentEntries = entries.filter(entry => inRange(entry, range));
   
-  // Sort by date
-  trendData.sort((a, b) => new Date(a.date) - new Date(b.date));
+    // Group entries by day, week or month
+    const dailySentiment = {};
   
-  // Add smart annotations
-  const annotatedData = trendData.map((point, index) => {
-    let annotation = null;
+    recentEntries.forEach(entry => {
+      const dayKey = bucketKeyOf(dayKeyOf(entry, range.timeZone), range.bucket); // YYYY-MM-DD the bucket starts on
     
-    // Check for significant changes
-    if (index > 0) {
-      const prevSentiment = trendData[index - 1].sentiment;
-      const currentSentiment = point.sentiment;
-      const change = currentSentiment - prevSentiment;
-      
-      if (Math.abs(change) >= 0.5) {
-        if (change > 0) {
-          annotation = { type: 'improvement', text: 'Great day!' };
-        } else {
-          annotation = { type: 'decline', text: 'Challenging day' };
-        }
+      if (!dailySentiment[dayKey]) {
+        dailySentiment[dayKey] = {
+          date: dayKey,
+          displayDate: bucketLabel(dayKey, range.bucket),
+          sentiments: [],
+          emotions: [],
+          themes: [],
+          analysisSources: {}
+        };
       }
-    }
     
-    // Check for best/worst days
-    const allSentiments = trendData.map(d => d.sentiment);
-    const maxSentiment = Math.max(...allSentiments);
-    const minSentiment = Math.min(...allSentiments);
+      // Convert sentiment to numeric score
+      dailySentiment[dayKey].sentiments.push(scoreOf(entry.sentiment));
+      dailySentiment[dayKey].emotions.push(...entry.emotions);
+      dailySentiment[dayKey].themes.push(...entry.themes);
+
+      // Track model vs. local analysis so mixed-quality days are visible
+      const source = entry.analysisSource || 'unknown';
+      dailySentiment[dayKey].analysisSources[source] = (dailySentiment[dayKey].analysisSources[source] || 0) + 1;
+    });
+  
+    // Calculate daily averages and create trend data
+    const trendData = Object.values(dailySentiment).map(day => {
+      const avgSentiment = day.sentiments.length > 0 
+        ? day.sentiments.reduce((sum, score) => sum + score, 0) / day.sentiments.length 
+        : 0;
     
-    if (point.sentiment === maxSentiment && point.sentiment > 0.3) {
-      annotation = { type: 'best', text: 'Best day this month!' };
-    } else if (point.sentiment === minSentiment && point.sentiment < -0.3) {
-      annotation = { type: 'worst', text: 'Tough day' };
-    }
+      // Count emotions
+      const emotionCounts = {};
+      day.emotions.forEach(emotion => {
+        emotionCounts[emotion] = (emotionCounts[emotion] || 0) + 1;
+      });
     
-    return {
-      ...point,
-      annotation
-    };
-  });
+      // Count themes
+      const themeCounts = {};
+      day.themes.forEach(theme => {
+        themeCounts[theme] = (themeCounts[theme] || 0) + 1;
+      });
+    
+      return {
+        date: day.date,
+        displayDate: day.displayDate,
+        sentiment: Math.round(avgSentiment * 100) / 100, // Round to 2 decimal places
+        entryCount: day.sentiments.length,
+        topEmotion: Object.keys(emotionCounts).reduce((a, b) => emotionCounts[a] > emotionCounts[b] ? a : b, 'neutral'),
+        topTheme: Object.keys(themeCounts).reduce((a, b) => themeCounts[a] > themeCounts[b] ? a : b, 'general'),
+        analysisSources: day.analysisSources
+      };
+    });
   
-  res.json({
-    data: annotatedData,
-    summary: {
-      totalDays: trendData.length,
-      averageSentiment: trendData.length > 0 
-        ? Math.round(trendData.reduce((sum, d) => sum + d.sentiment, 0) / trendData.length * 100) / 100 
-        : 0,
-      bestDay: trendData.length > 0 ? trendData.reduce((best, current) => current.sentiment > best.sentiment ? current : best) : null,
-      worstDay: trendData.length > 0 ? trendData.reduce((worst, current) => current.sentiment < worst.sentiment ? current : worst) : null
-    }
-  });
+    // Sort by date
+    trendData.sort((a, b) => new Date(a.date) - new Date(b.date));
+  
+    // Trend and lasting mood shifts, from daily averages whatever the bucket
+    const trend = analyzeMoodTrend(recentEntries, range.timeZone);
+    const shifts = new Map(trend.changePoints.map(point => [bucketKeyOf(point.date, range.bucket), point]));
+
+    // Add smart annotations
+    const annotatedData = trendData.map(point => {
+      let annotation = null;
+    
+      // Check for best/worst days (or weeks, or months) in the selected range
+      const allSentiments = trendData.map(d => d.sentiment);
+      const maxSentiment = Math.max(...allSentiments);
+      const minSentiment = Math.min(...allSentiments);
+    
+      if (point.sentiment === maxSentiment && point.sentiment > 0.3) {
+        annotation = { type: 'best', text: `Best ${range.bucket} ${describeRange(range)}!` };
+      } else if (point.sentiment === minSentiment && point.sentiment < -0.3) {
+        annotation = { type: 'worst', text: `Tough ${range.bucket}` };
+      }
+
+      // A significant shift in mood starting in this bucket
+      const shift = shifts.get(point.date);
+      if (shift) {
+        annotation = shift.direction === 'up'
+          ? { type: 'improvement', text: 'Mood lifted', changePoint: shift }
+          : { type: 'decline', text: 'Mood dipped', changePoint: shift };
+      }
+    
+      return {
+        ...point,
+        annotation
+      };
+    });
+  
+    res.json({
+      data: annotatedData,
+      range,
+      summary: {
+        trend,
+        totalDays: trendData.length, // Buckets with entries, whatever their size
+        averageSentiment: trendData.length > 0 
+          ? Math.round(trendData.reduce((sum, d) => sum + d.sentiment, 0) / trendData.length * 100) / 100 
+          : 0,
+        bestDay: trendData.length > 0 ? trendData.reduce((best, current) => current.sentiment > best.sentiment ? current : best) : null,
+        worstDay: trendData.length > 0 ? trendData.reduce((worst, current) => current.sentiment < worst.sentiment ? current : worst) : null,
+        analysisSources: trendData.reduce((totals, day) => {
+          Object.entries(day.analysisSources).forEach(([source, count]) => {
+            totals[source] = (totals[source] || 0) + count;
+          });
+          return totals;
+        }, {})
+      }
+    });
+  } catch (error) {
+    console.error("Error loading sentiment trends:", error);
+    res.status(500).json({ error: "Failed to load sentiment trends" });
+  }
+});
+
+/**
+ * Emotion analytics: per-emotion frequency over time, emotion x theme
+ * co-occurrence, and time-of-day and weekday distributions (the last 30
+ * days by default)
+ */
+app.get("/api/emotions", async (req, res) => {
+  const { options: range, error } = parseRangeOptions(req.query, { days: 30, timeZone: req.timeZone });
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  try {
+    const entries = (await req.journal.listEntries()).filter(entry => inRange(entry, range));
+    res.json({ ...buildEmotionAnalytics(entries, range), range });
+  } catch (error) {
+    console.error("Error building emotion analytics:", error);
+    res.status(500).json({ error: "Failed to build emotion analytics" });
+  }
 });
 
+// Prompts written by the model for each user: userId -> { key, prompts }.
+// They're rewritten when the user adds an entry or the time of day changes.
+const personalizedPromptCache = new Map();
+
+// More than are shown, so skipped and answered prompts can be replaced
+const GENERATED_PROMPT_COUNT = 8;
+
+/**
+ * Writing prompts from the AI provider for the user's recent entries and
+ * context. Returns [{ id, text, source: 'model' }], or null if the model
+ * failed or its answer couldn't be used.
+ */
+async function generatePersonalizedPromptsWithAI(recentEntries, context, answeredPrompts, provider = aiProvider) {
+  try {
+    const content = await provider.complete({
+      maxTokens: 600,
+      messages: [{
+        role: "user",
+        content: `You are Sam, an empathetic AI journaling companion. Write ${GENERATED_PROMPT_COUNT} short, personal journaling prompts for this writer. Respond with ONLY a JSON array of strings, no other text.
+
+It is ${context.timeOfDay} for the writer.
+Recent mood: ${context.mood}
+Recent themes: ${context.themes.join(', ') || 'none yet'}
+Recent emotions: ${context.emotions.join(', ') || 'none yet'}
+Topics they last wrote about in a hard moment and haven't come back to: ${context.unresolved.join(', ') || 'none'}
+
+Their latest entries, newest first:
+${recentEntries.slice(0, 3).map(entry => `- (${entry.sentiment}) ${entry.userInput.slice(0, 300)}`).join('\n')}
+${answeredPrompts.length > 0 ? `
+Prompts they've already answered - don't repeat or rephrase these:
+${answeredPrompts.slice(0, 10).map(text => `- ${text}`).join('\n')}
+` : ''}
+Each prompt should:
+- Start with one fitting emoji
+- Be a single question or invitation, under 25 words
+- Be specific to what they've been writing about, warm and never pushy
+- Suit the time of day
+If there are unresolved topics, one or two prompts should gently revisit them.`
+      }]
+    });
+
+    const json = content.match(/\[[\s\S]*\]/);
+    const texts = JSON.parse(json ? json[0] : content);
+    if (!Array.isArray(texts)) {
+      throw new Error('Expected a JSON array of prompts');
+    }
+    const prompts = [...new Set(texts.filter(text => typeof text === 'string').map(text => text.trim()))]
+      .filter(text => text && text.length <= 300)
+      .map(text => ({ id: generatedPromptId(text), text, source: 'model' }));
+    if (prompts.length === 0) {
+      throw new Error('No usable prompts in the response');
+    }
+    return prompts;
+  } catch (error) {
+    console.error(`${provider.displayName} writing prompt error:`, error);
+    return null;
+  }
+}
+
 /**
- * Generate AI-powered writing prompts based on user's sentiment and themes
+ * Personalized writing prompts from the user's recent themes, unresolved
+ * topics and time of day (`hour`, 0-23, in the user's local time; the
+ * current hour in their timezone by default). Prompts
+ * the user answered or skipped are left out. Falls back to the local
+ * prompt library when AI is off or unavailable.
  */
-app.get("/api/ai-prompts", (req, res) => {
+app.get("/api/ai-prompts", async (req, res) => {
+  const hour = req.query.hour === undefined ? hourIn(new Date(), req.timeZone) : Number(req.query.hour);
+  if (!Number.isInteger(hour) || hour < 0 || hour > 23) {
+    return res.status(400).json({ error: "hour must be a whole number from 0 to 23" });
+  }
+
   try {
-    if (entries.length === 0) {
-      // Default prompts for new users
-      const defaultPrompts = [
-        "💭 What's on your mind today?",
-        "🌱 What's one thing you learned about yourself recently?",
-        "❤️ What made you smile today?",
-        "🎯 What's a goal you're working towards?",
-        "✨ What are you grateful for right now?"
-      ];
-      return res.json({ prompts: defaultPrompts });
+    const entries = (await req.journal.listEntries()).sort((a, b) => new Date(b.ts) - new Date(a.ts));
+    const { skippedPrompts } = await req.journal.getUserInsights();
+    const settings = await getPrivacySettings(req.user.id);
+
+    const recentEntries = entries.slice(0, 5);
+    const sentiment = calculateAverageSentiment(recentEntries);
+    const context = {
+      mood: moodOf(sentiment),
+      themes: extractCommonThemes(recentEntries),
+      emotions: extractRecentEmotions(recentEntries),
+      unresolved: findUnresolvedTopics(entries),
+      timeOfDay: timeOfDayFor(hour)
+    };
+
+    // Answered prompts are recorded on their entries, skipped ones on the user
+    const answered = entries.filter(entry => entry.prompt);
+    const seen = new Map([
+      ...answered.map(entry => [entry.prompt.id, new Date(entry.ts).getTime()]),
+      ...(skippedPrompts || []).map(skipped => [skipped.id, new Date(skipped.at).getTime()])
+    ]);
+
+    let generated = [];
+    const provider = providerFor(settings);
+    if (entries.length > 0 && !provider.isLocal) {
+      const cacheKey = [entries[0].id, entries.length, context.timeOfDay, settings.aiMode].join(':');
+      const cached = personalizedPromptCache.get(req.user.id);
+      if (cached && cached.key === cacheKey) {
+        generated = cached.prompts;
+      } else {
+        // A failed attempt is cached too, so the library is used until something changes
+        generated = await generatePersonalizedPromptsWithAI(
+          recentEntries,
+          context,
+          answered.map(entry => entry.prompt.text),
+          provider
+        ) || [];
+        personalizedPromptCache.set(req.user.id, { key: cacheKey, prompts: generated });
+      }
     }
 
-    // Analyze recent entries (last 5)
-    const recentEntries = entries.slice(-5);
-    const avgSentiment = calculateAverageSentiment(recentEntries);
-    const commonThemes = extractCommonThemes(recentEntries);
-    const recentEmotions = extractRecentEmotions(recentEntries);
+    const prompts = generated.filter(prompt => !seen.has(prompt.id)).slice(0, PROMPT_COUNT);
+    if (prompts.length < PROMPT_COUNT) {
+      prompts.push(...pickLibraryPrompts({
+        ...context,
+        seen: new Map([...seen, ...prompts.map(prompt => [prompt.id, Infinity])]),
+        day: todayIn(req.timeZone)
+      }, PROMPT_COUNT - prompts.length));
+    }
 
-    // Generate contextual prompts based on analysis
-    const prompts = generateContextualPrompts(avgSentiment, commonThemes, recentEmotions);
-    
-    res.json({ 
+    res.json({
       prompts,
       analysis: {
-        sentiment: avgSentiment,
-        themes: commonThemes,
-        emotions: recentEmotions
+        sentiment,
+        ...context
       }
     });
   } catch (error) {
@@ -906,6 +2123,23 @@ app.get("/api/ai-prompts", (req, res) => {
   }
 });
 
+/**
+ * Skip a writing prompt so it isn't suggested again
+ */
+app.post("/api/ai-prompts/:id/skip", async (req, res) => {
+  if (!PROMPT_ID_PATTERN.test(req.params.id)) {
+    return res.status(400).json({ error: "Unknown prompt id" });
+  }
+
+  try {
+    await req.journal.skipPrompt(req.params.id);
+    res.json({ skipped: req.params.id });
+  } catch (error) {
+    console.error("Error skipping prompt:", error);
+    res.status(500).json({ error: "Failed to skip prompt" });
+  }
+});
+
 /**
  * Calculate average sentiment from recent entries
  */
@@ -969,79 +2203,27 @@ function extractRecentEmotions(entries) {
     .slice(0, 3);
 }
 
-/**
- * Generate contextual prompts based on sentiment, themes, and emotions
- */
-function generateContextualPrompts(sentiment, themes, emotions) {
-  const prompts = [];
-  
-  // Sentiment-based prompts
-  if (sentiment === 'very_positive' || sentiment === 'positive') {
-    prompts.push(
-      "🌟 What's making you feel so good lately?",
-      "💪 How can you maintain this positive energy?",
-      "🎉 What would you tell someone who's having a tough day?",
-      "✨ What's one way you can spread positivity today?"
-    );
-  } else if (sentiment === 'negative' || sentiment === 'very_negative') {
-    prompts.push(
-      "🤗 What's one small thing that went well today?",
-      "💙 How are you taking care of yourself right now?",
-      "🌱 What's one thing you're looking forward to?",
-      "❤️ What would you tell a friend in your situation?"
-    );
-  } else {
-    prompts.push(
-      "🤔 What's been on your mind lately?",
-      "💭 How are you feeling about your current situation?",
-      "🎯 What's one thing you'd like to focus on?",
-      "🌅 What does a good day look like for you?"
-    );
-  }
-  
-  // Theme-based prompts
-  if (themes.includes('work')) {
-    prompts.push("💼 How do you want to feel about work tomorrow?");
-  }
-  if (themes.includes('relationships')) {
-    prompts.push("👥 What's one way you can nurture your relationships?");
-  }
-  if (themes.includes('stress')) {
-    prompts.push("🧘 What helps you feel calm and centered?");
-  }
-  if (themes.includes('growth')) {
-    prompts.push("🌱 What's one way you've grown recently?");
-  }
-  
-  // Emotion-based prompts
-  if (emotions.includes('gratitude')) {
-    prompts.push("🙏 What are you most grateful for today?");
-  }
-  if (emotions.includes('anxiety')) {
-    prompts.push("💚 What's one thing that helps you feel safe?");
-  }
-  if (emotions.includes('joy')) {
-    prompts.push("😊 What brought you the most joy today?");
-  }
-  
-  // Always include some general prompts
-  const generalPrompts = [
-    "📝 What's one thing you learned about yourself today?",
-    "🎨 If today had a color, what would it be and why?",
-    "🔄 What's one habit you'd like to start or change?",
-    "🌟 What's your biggest win this week?",
-    "💭 What would your future self thank you for?"
-  ];
-  
-  // Mix and return 5 unique prompts
-  const allPrompts = [...new Set([...prompts, ...generalPrompts])];
-  return allPrompts.slice(0, 5);
-}
-
 const PORT = process.env.PORT || 5001;
-app.listen(PORT, () => {
-  console.log(`🚀 AI Journaling Companion with Claude API running on port ${PORT}`);
-  console.log(`🔗 Health check: http://localhost:${PORT}/api/health`);
-  console.log(`🤖 AI Provider: Claude API`);
-  console.log(`🔒 Privacy: Cloud-based AI processing enabled`);
-});
+store.init()
+  .then(async () => {
+    app.listen(PORT, () => {
+      console.log(`🚀 AI Journaling Companion running on port ${PORT}`);
+      console.log(`🔗 Health check: http://localhost:${PORT}/api/health`);
+      console.log(`🤖 AI Provider: ${aiProvider.displayName} (${aiProvider.model})`);
+      console.log(`🔒 Privacy: ${aiProvider.onDevice ? 'On-device AI processing - no cloud calls' : 'Cloud-based AI processing enabled'}`);
+    });
+
+    const unclaimed = await store.countUnclaimedEntries();
+    if (unclaimed > 0 && !LEGACY_OWNER_EMAIL) {
+      console.log(`📦 ${unclaimed} entries from before accounts are unclaimed. Set LEGACY_OWNER_EMAIL to the account that should own them.`);
+    }
+
+    if (RETENTION_SCHEDULE !== 'off') {
+      scheduleRetention(store, { schedule: RETENTION_SCHEDULE, mode: RETENTION_MODE });
+      console.log(`🧹 Retention: ${RETENTION_MODE} expired entries on schedule "${RETENTION_SCHEDULE}"`);
+    }
+  })
+  .catch(error => {
+    console.error('❌ Failed to start the journaling server:', error);
+    process.exit(1);
+  });
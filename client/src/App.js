@@ -1,4 +1,4 @@
-import React, { useState, useEffect, useCallback } from "react";
+import React, { useState, useEffect, useCallback, useRef } from "react";
 import { motion, AnimatePresence } from "framer-motion";
 import { 
   Heart, 
@@ -13,10 +13,54 @@ import {
   Newspaper,
   Users,
   UserPlus,
-  UserCheck
+  UserCheck,
+  Pencil,
+  Trash2,
+  RefreshCw,
+  Check,
+  X,
+  Send,
+  LogOut,
+  Lock,
+  Download,
+  Upload,
+  Search,
+  Tag,
+  LifeBuoy,
+  ChevronLeft,
+  ChevronRight
 } from "lucide-react";
-import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, ReferenceLine } from 'recharts';
-import { format } from 'date-fns';
+import {
+  LineChart, Line, AreaChart, Area, ScatterChart, Scatter, XAxis, YAxis, CartesianGrid, Tooltip, Legend,
+  ResponsiveContainer, ReferenceLine
+} from 'recharts';
+import {
+  format, subDays, addMonths, addYears, startOfMonth, endOfMonth, startOfYear, eachDayOfInterval, eachMonthOfInterval,
+  endOfYear, getDay
+} from 'date-fns';
+import { analyzeText, SENTIMENT_LEVELS, EMOTIONS } from './shared/analysis';
+import { assessSafety, mergeSafety, safetyReply } from './shared/safety';
+import { CRISIS_RESOURCES, CRISIS_REGION_KEY, detectCrisisRegion } from './crisisResources';
+import {
+  hasVault,
+  createVault,
+  unlockVault,
+  loadEntries as loadVaultEntries,
+  saveEntries as saveVaultEntries,
+  changeVaultPassphrase,
+  rotateVaultKey,
+  loadSyncState,
+  saveSyncState
+} from './localVault';
+import {
+  createLocalId,
+  isLocalId,
+  normalizeEntry,
+  entryVersion,
+  createSyncState,
+  enqueue,
+  replayQueue
+} from './offlineSync';
 import './App.css';
 
 const COLORS = {
@@ -27,6 +71,183 @@ const COLORS = {
   very_negative: '#EF4444'
 };
 
+// Sam's replies when the backend is unreachable
+const OFFLINE_PROMPTS = {
+  positive: "That sounds wonderful! What made today feel so good?",
+  negative: "I hear you. What's one small thing that helped you today?",
+  neutral: "How are you feeling about everything right now?"
+};
+
+const CHAT_HISTORY_PREFIX = 'chatHistory_';
+const AUTH_TOKEN_KEY = 'authToken';
+
+// YYYY-MM-DD day key in this device's timezone, matching the server's /api/chats/daily grouping
+const getDayKey = (timestamp) => format(new Date(timestamp), 'yyyy-MM-dd');
+
+// Sent with every request so the server counts days in the same timezone
+const TIME_ZONE = Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+/**
+ * Offline chat history for one day, in the same shape /api/chat-history/:date returns
+ */
+const buildOfflineChatHistory = (offlineEntries, dayKey) => offlineEntries
+  .filter(e => getDayKey(e.ts) === dayKey)
+  .map(e => ({
+    id: e.id,
+    ts: e.ts,
+    userInput: e.userInput,
+    sentiment: e.sentiment,
+    emotions: e.emotions,
+    themes: e.themes,
+    conversation: e.conversation || []
+  }))
+  .sort((a, b) => new Date(a.ts) - new Date(b.ts));
+
+// Per-day copies were stored in plaintext before the offline vault existed
+const removePlaintextChatHistory = () => {
+  Object.keys(localStorage)
+    .filter(key => key.startsWith(CHAT_HISTORY_PREFIX))
+    .forEach(key => localStorage.removeItem(key));
+};
+
+// Flagged entries get the safety reply offline too
+const offlineReplyFor = (analysis) => (analysis.safety?.flagged
+  ? safetyReply(analysis.safety)
+  : OFFLINE_PROMPTS[analysis.sentiment] || "What's on your mind today?");
+
+const buildOfflineConversation = (text, analysis, ts) => [
+  { role: 'user', text: text.trim(), timestamp: ts },
+  {
+    role: 'ai',
+    text: offlineReplyFor(analysis),
+    timestamp: new Date(new Date(ts).getTime() + 1000).toISOString()
+  }
+];
+
+// Everything after the user's text and Sam's first reply
+const followUpTurns = (conversation = []) => conversation.slice(conversation[1]?.role === 'ai' ? 2 : 1);
+
+// dataRetention choices in days; null keeps everything
+const RETENTION_OPTIONS = [
+  { value: 7, label: '1 week' },
+  { value: 30, label: '30 days' },
+  { value: 90, label: '90 days' },
+  { value: 365, label: '1 year' },
+  { value: null, label: 'Keep forever' }
+];
+
+const AI_MODE_OPTIONS = [
+  { value: 'cloud', label: 'Cloud AI', description: 'Best replies. Entry text is sent to the configured AI provider.' },
+  { value: 'local', label: 'On this server only', description: 'Local NLP analysis and template replies. Nothing leaves the server.' },
+  { value: 'off', label: 'Off', description: 'No AI replies; entries get basic local analysis only.' }
+];
+
+// How often to check the backend while the app is visible, so offline
+// changes sync soon after it's back
+const HEALTH_CHECK_INTERVAL_MS = 30000;
+
+const EXPORT_FORMAT_OPTIONS = [
+  { value: 'json', label: 'JSON backup' },
+  { value: 'markdown', label: 'Markdown (one file per day, zipped)' },
+  { value: 'csv', label: 'CSV of moods, emotions and themes' },
+  { value: 'pdf', label: 'Printable PDF report' }
+];
+
+// /api/hashtags kinds: 'theme' from AI analysis, 'tag' added by the user
+const describeHashtagKinds = (kinds) => kinds
+  .map(kind => (kind === 'theme' ? 'AI theme' : 'your tag'))
+  .join(' and ');
+
+// Writing prompts fit the time of day where the user is
+const aiPromptsUrl = () => `/api/ai-prompts?hour=${new Date().getHours()}`;
+
+const EMPTY_SEARCH_FILTERS = { sentiment: '', emotion: '', theme: '', from: '', to: '' };
+
+// Insights view ranges; days: null is everything
+const ANALYTICS_RANGES = [
+  { value: '7d', label: 'Last 7 Days', days: 7 },
+  { value: '30d', label: 'Last 30 Days', days: 30 },
+  { value: '90d', label: 'Last 90 Days', days: 90 },
+  { value: '1y', label: 'Last Year', days: 365 },
+  { value: 'all', label: 'All Time', days: null },
+  { value: 'custom', label: 'Custom' }
+];
+
+const BUCKET_OPTIONS = [
+  { value: 'day', label: 'Day', plural: 'Days' },
+  { value: 'week', label: 'Week', plural: 'Weeks' },
+  { value: 'month', label: 'Month', plural: 'Months' }
+];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Group by whatever keeps the chart readable for a range this long
+const suggestBucket = (days) => {
+  if (days === null || days > 180) return 'month';
+  return days > 45 ? 'week' : 'day';
+};
+
+const customRangeDays = ({ from, to }) => (from
+  ? Math.round((Date.parse(to || getDayKey(new Date())) - Date.parse(from)) / DAY_MS) + 1
+  : null);
+
+/**
+ * from/to/bucket query string for the analytics routes
+ */
+const analyticsQueryFor = ({ preset, from, to, bucket }) => {
+  const params = new URLSearchParams({ bucket });
+  if (preset === 'custom') {
+    if (from && (!to || from <= to)) params.set('from', from);
+    if (to) params.set('to', to);
+  } else {
+    const { days } = ANALYTICS_RANGES.find(range => range.value === preset);
+    if (days) params.set('from', getDayKey(subDays(new Date(), days - 1)));
+  }
+  return `?${params}`;
+};
+
+/**
+ * Split snippet text into plain and <mark>ed parts using the [start, end]
+ * ranges /api/search returns
+ */
+const highlightSnippet = (text, highlights) => {
+  const parts = [];
+  let cursor = 0;
+  highlights.forEach(([start, end]) => {
+    if (start > cursor) parts.push(text.slice(cursor, start));
+    parts.push(<mark key={start}>{text.slice(start, end)}</mark>);
+    cursor = end;
+  });
+  parts.push(text.slice(cursor));
+  return parts;
+};
+
+/**
+ * Read a server-sent event stream from a fetch response, calling
+ * onEvent(event, data) with the parsed JSON data of each event as it arrives
+ */
+const readEventStream = async (response, onEvent) => {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffered = '';
+
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    buffered += decoder.decode(value, { stream: true });
+
+    const messages = buffered.split('\n\n');
+    buffered = messages.pop();
+    messages.forEach(message => {
+      const fields = Object.fromEntries(message.split('\n').map(line => {
+        const separator = line.indexOf(':');
+        return [line.slice(0, separator), line.slice(separator + 1).trim()];
+      }));
+      if (fields.event && fields.data) onEvent(fields.event, JSON.parse(fields.data));
+    });
+  }
+};
+
 const EMOTION_ICONS = {
   joy: '😊',
   sadness: '😢',
@@ -36,63 +257,266 @@ const EMOTION_ICONS = {
   disgust: '🤢'
 };
 
+const EMOTION_COLORS = {
+  joy: '#F6C343',
+  sadness: '#4A90E2',
+  anger: '#EF4444',
+  fear: '#8B5CF6',
+  surprise: '#10B981',
+  disgust: '#6B7280'
+};
+
+// Mood change per week from the trend engine, e.g. "+0.12"
+const formatWeeklyChange = (value) => `${value > 0 ? '+' : ''}${value.toFixed(2)}`;
+
+// Mood calendar weeks start on Monday, like the weekly trend buckets
+const CALENDAR_WEEKDAYS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+
+/**
+ * A day's mood: the average of its entries' sentiment levels, rounded to a
+ * level (a key of COLORS)
+ */
+const dayMood = (chats) => {
+  const levels = chats.map(chat => SENTIMENT_LEVELS.indexOf(chat.sentiment)).filter(level => level >= 0);
+  if (levels.length === 0) return 'neutral';
+  return SENTIMENT_LEVELS[Math.round(levels.reduce((sum, level) => sum + level, 0) / levels.length)];
+};
+
+/**
+ * The days of a month as Monday-first weeks, with null outside the month
+ */
+const monthWeeks = (month) => {
+  const days = eachDayOfInterval({ start: startOfMonth(month), end: endOfMonth(month) });
+  const cells = [...Array((getDay(days[0]) + 6) % 7).fill(null), ...days];
+  while (cells.length % 7 !== 0) cells.push(null);
+  return Array.from({ length: cells.length / 7 }, (_, week) => cells.slice(week * 7, week * 7 + 7));
+};
+
+// Heatmap columns: rows of /api/emotions, with the field that names each one
+const EMOTION_HEATMAPS = [
+  { value: 'coOccurrence', label: 'By theme', key: 'theme', format: (theme) => `#${theme}` },
+  { value: 'timeOfDay', label: 'By time of day', key: 'timeOfDay', format: (time) => time[0].toUpperCase() + time.slice(1) },
+  { value: 'weekday', label: 'By weekday', key: 'weekday', format: (day) => day }
+];
+
 export default function App() {
   const [entry, setEntry] = useState("");
   const [entries, setEntries] = useState([]);
   const [nextPrompt, setNextPrompt] = useState("What's on your mind today?");
+  const [followUpPrompt, setFollowUpPrompt] = useState(null); // Suggested next question, shown under Sam's reply
   const [weeklySummary, setWeeklySummary] = useState("");
   const [insights, setInsights] = useState(null);
   const [trends, setTrends] = useState([]);
+  const [moodTrend, setMoodTrend] = useState(null); // Fitted trend for the trends chart
+  const [emotionAnalytics, setEmotionAnalytics] = useState(null);
+  const [emotionHeatmap, setEmotionHeatmap] = useState('coOccurrence');
+  const [calendarMode, setCalendarMode] = useState('month'); // 'month' or 'year'
+  const [calendarDate, setCalendarDate] = useState(() => startOfMonth(new Date()));
+  const [analyticsRange, setAnalyticsRange] = useState({ preset: '30d', from: '', to: '', bucket: 'day' });
   const [isDarkMode, setIsDarkMode] = useState(false);
   const [currentView, setCurrentView] = useState('journal');
   const [isAnalyzing, setIsAnalyzing] = useState(false);
+  const [streamingReply, setStreamingReply] = useState(null); // Sam's reply while it streams in
   const [lastAnalysis, setLastAnalysis] = useState(null);
   const [connectionStatus, setConnectionStatus] = useState('checking');
+  const [aiProviderInfo, setAiProviderInfo] = useState(null);
   const [currentSlide, setCurrentSlide] = useState(0);
   const [isAutoPlaying, setIsAutoPlaying] = useState(true);
-  const [chatHistory, setChatHistory] = useState({});
+  const [chatHistory, setChatHistory] = useState([]);
   const [selectedDate, setSelectedDate] = useState(null);
   const [dailyChats, setDailyChats] = useState([]);
   const [hashtags, setHashtags] = useState([]);
   const [selectedHashtag, setSelectedHashtag] = useState(null);
   const [hashtagChats, setHashtagChats] = useState([]);
   const [aiPrompts, setAiPrompts] = useState([]);
+  const [activePrompt, setActivePrompt] = useState(null); // Writing prompt the next entry answers
+  const [editingEntryId, setEditingEntryId] = useState(null);
+  const [editText, setEditText] = useState("");
+  const [busyEntryId, setBusyEntryId] = useState(null);
+  const [replyDrafts, setReplyDrafts] = useState({});
+  const [replyingEntryId, setReplyingEntryId] = useState(null);
+  const [authToken, setAuthToken] = useState(() => localStorage.getItem(AUTH_TOKEN_KEY));
+  const [currentUser, setCurrentUser] = useState(null);
+  const [authMode, setAuthMode] = useState('signin');
+  const [authEmail, setAuthEmail] = useState("");
+  const [authPassword, setAuthPassword] = useState("");
+  const [authError, setAuthError] = useState("");
+  const [isAuthenticating, setIsAuthenticating] = useState(false);
+  const [vaultKey, setVaultKey] = useState(null);
+  const [vaultPassphrase, setVaultPassphrase] = useState("");
+  const [vaultError, setVaultError] = useState("");
+  const [showSecurity, setShowSecurity] = useState(false);
+  const [currentPassphrase, setCurrentPassphrase] = useState("");
+  const [newPassphrase, setNewPassphrase] = useState("");
+  const [securityMessage, setSecurityMessage] = useState(null);
+  const [retentionPreview, setRetentionPreview] = useState(null);
+  const [retentionAudit, setRetentionAudit] = useState([]);
+  const [privacySettings, setPrivacySettings] = useState(null);
+  const [settingsDraft, setSettingsDraft] = useState(null);
+  const [settingsMessage, setSettingsMessage] = useState(null);
+  const [exportOptions, setExportOptions] = useState({ format: 'json', from: '', to: '', hashtag: '' });
+  const [isExporting, setIsExporting] = useState(false);
+  const [importFiles, setImportFiles] = useState([]);
+  const [importAnalyze, setImportAnalyze] = useState(false);
+  const [isImporting, setIsImporting] = useState(false);
+  const [importMessage, setImportMessage] = useState(null);
+  const [syncState, setSyncState] = useState(null);
+  const [searchQuery, setSearchQuery] = useState("");
+  const [searchFilters, setSearchFilters] = useState(EMPTY_SEARCH_FILTERS);
+  const [searchResults, setSearchResults] = useState(null);
+  const [isSearching, setIsSearching] = useState(false);
+  const [tagDrafts, setTagDrafts] = useState({});
+  const [tagRenames, setTagRenames] = useState({});
+  const [selectedTags, setSelectedTags] = useState([]);
+  const [mergeTarget, setMergeTarget] = useState("");
+  const [tagMessage, setTagMessage] = useState(null);
+  const [crisisSafety, setCrisisSafety] = useState(null);
+  const [crisisRegion, setCrisisRegion] = useState(detectCrisisRegion);
+  const syncInProgress = useRef(false);
+
+  // Entries go to the server unless the user turned sync off (or we're offline)
+  const syncingToServer = connectionStatus === 'connected' && privacySettings?.syncEntries !== false;
+
+  // Forget the session and everything loaded for it
+  const clearSession = useCallback(() => {
+    localStorage.removeItem(AUTH_TOKEN_KEY);
+    setAuthToken(null);
+    setCurrentUser(null);
+    setEntries([]);
+    setInsights(null);
+    setTrends([]);
+    setMoodTrend(null);
+    setEmotionAnalytics(null);
+    setDailyChats([]);
+    setHashtags([]);
+    setHashtagChats([]);
+    setChatHistory([]);
+    setAiPrompts([]);
+    setActivePrompt(null);
+    setLastAnalysis(null);
+    setFollowUpPrompt(null);
+    setCrisisSafety(null);
+    setPrivacySettings(null);
+    setSyncState(null);
+    setVaultKey(null);
+  }, []);
+
+  // fetch() with the signed-in user's token and timezone; a 401 means the session is gone
+  const apiFetch = useCallback(async (url, options = {}) => {
+    const res = await fetch(url, {
+      ...options,
+      headers: {
+        ...(options.headers || {}),
+        'X-Timezone': TIME_ZONE,
+        ...(authToken ? { Authorization: `Bearer ${authToken}` } : {})
+      }
+    });
+    if (res.status === 401) {
+      clearSession();
+    }
+    return res;
+  }, [authToken, clearSession]);
+
+  /**
+   * Replay changes made offline and move synced entries in the offline copy
+   * to their server IDs. Returns the remaining sync state.
+   */
+  const syncOfflineChanges = useCallback(async () => {
+    if (syncInProgress.current) return null;
+    syncInProgress.current = true;
+
+    try {
+      const localEntries = (await loadVaultEntries(vaultKey)).map(normalizeEntry);
+      const state = (await loadSyncState(vaultKey)) || createSyncState(localEntries);
+      const { state: nextState, idMap, keptLocal } = await replayQueue(state, apiFetch);
+
+      await saveVaultEntries(vaultKey, localEntries.map(e => {
+        if (idMap[e.id]) return { ...e, id: idMap[e.id] };
+        if (keptLocal.includes(e.id)) return { ...e, localOnly: true };
+        return e;
+      }));
+      await saveSyncState(vaultKey, nextState);
+      setSyncState(nextState);
+      return nextState;
+    } catch (err) {
+      console.error("❌ Error syncing offline changes:", err);
+      return null;
+    } finally {
+      syncInProgress.current = false;
+    }
+  }, [apiFetch, vaultKey]);
+
+  // Insights and sentiment trends follow the range picked on the insights view
+  const analyticsQuery = analyticsQueryFor(analyticsRange);
 
   const loadInitialData = useCallback(async () => {
     try {
       console.log('Loading initial data, connection status:', connectionStatus);
       // Always try to load data, regardless of connection status
       if (connectionStatus === 'connected' || connectionStatus === 'disconnected') {
-        const [entriesRes, insightsRes, trendsRes, dailyChatsRes, hashtagsRes] = await Promise.all([
-          fetch("/api/entries"),
-          fetch("/api/insights"),
-          fetch("/api/sentiment-trends"),
-          fetch("/api/chats/daily").catch(err => {
+        // The journal is per-user, so wait until someone is signed in
+        if (!currentUser) return;
+
+        // Send changes made offline first so the journal below includes them
+        const pendingSync = vaultKey ? await syncOfflineChanges() : null;
+
+        const [entriesRes, insightsRes, trendsRes, dailyChatsRes, hashtagsRes, privacyRes] = await Promise.all([
+          apiFetch("/api/entries"),
+          apiFetch(`/api/insights${analyticsQuery}`),
+          apiFetch(`/api/sentiment-trends${analyticsQuery}`),
+          apiFetch("/api/chats/daily").catch(err => {
             console.warn('Daily chats API failed, using fallback:', err);
             return { json: () => [] };
           }),
-          fetch("/api/hashtags").catch(err => {
+          apiFetch("/api/hashtags").catch(err => {
             console.warn('Hashtags API failed, using fallback:', err);
             return { json: () => [] };
-          })
+          }),
+          apiFetch("/api/privacy")
         ]);
 
-        const [entriesData, insightsData, trendsData, dailyChatsData, hashtagsData, promptsData] = await Promise.all([
+        const [entriesData, insightsData, trendsData, dailyChatsData, hashtagsData, privacyData, promptsData, emotionsData] = await Promise.all([
           entriesRes.json(),
           insightsRes.json(),
           trendsRes.json(),
           dailyChatsRes.json(),
           hashtagsRes.json(),
-          fetch('/api/ai-prompts').then(res => res.json())
+          privacyRes.json(),
+          apiFetch(aiPromptsUrl()).then(res => res.json()),
+          apiFetch(`/api/emotions${analyticsQuery}`).then(res => (res.ok ? res.json() : null))
         ]);
 
-        setEntries(entriesData);
+        setPrivacySettings(privacyData);
+
+        let offlineCopy = null;
+        if (vaultKey) {
+          // Keep the offline copy current: server entries, except where this
+          // device still has changes (or entries) the server doesn't
+          const pendingIds = new Set([...(pendingSync?.ops || []), ...(pendingSync?.failed || [])].map(op => op.entryId));
+          const deviceEntries = (await loadVaultEntries(vaultKey))
+            .map(normalizeEntry)
+            .filter(e => e.localOnly || pendingIds.has(e.id));
+          const deviceIds = new Set(deviceEntries.map(e => e.id));
+          offlineCopy = [...deviceEntries, ...entriesData.filter(e => !deviceIds.has(e.id))]
+            .sort((a, b) => new Date(b.ts) - new Date(a.ts));
+          await saveVaultEntries(vaultKey, offlineCopy);
+        }
+
+        if (privacyData.syncEntries === false && offlineCopy) {
+          // With sync off, new entries only live in the encrypted local copy
+          setEntries(offlineCopy);
+          setDailyChats([]);
+        } else {
+          setEntries(entriesData);
+          setDailyChats(dailyChatsData);
+        }
         setInsights(insightsData);
         console.log('Setting trends data:', trendsData);
         setTrends(trendsData.data || []);
-        setDailyChats(dailyChatsData);
+        setMoodTrend(trendsData.summary?.trend || null);
         setHashtags(hashtagsData);
         setAiPrompts(promptsData.prompts || []);
+        setEmotionAnalytics(emotionsData);
         
         // Debug logging
         console.log('Loaded data:', {
@@ -111,28 +535,71 @@ export default function App() {
         if (dailyChatsData.length > 0) {
           console.log('First daily chat structure:', dailyChatsData[0]);
         }
-      } else {
-        // Load from localStorage for offline mode
-        const savedEntries = localStorage.getItem('journalEntries');
-        if (savedEntries) {
-          setEntries(JSON.parse(savedEntries));
-        }
+      } else if (vaultKey) {
+        // Load the encrypted local copy for offline mode
+        setEntries((await loadVaultEntries(vaultKey)).map(normalizeEntry));
+        setSyncState(await loadSyncState(vaultKey));
       }
     } catch (err) {
       console.error("❌ Error loading data:", err);
-      // Load from localStorage for offline mode
-      const savedEntries = localStorage.getItem('journalEntries');
-      if (savedEntries) {
-        setEntries(JSON.parse(savedEntries));
+      // Fall back to the local copy if it's unlocked
+      if (vaultKey) {
+        setEntries((await loadVaultEntries(vaultKey).catch(() => [])).map(normalizeEntry));
       }
     }
-  }, [connectionStatus]);
+  }, [connectionStatus, currentUser, apiFetch, vaultKey, syncOfflineChanges, analyticsQuery]);
 
-  // Check backend connection on startup
+  // Check backend connection on startup, then keep checking so the app
+  // notices when it goes offline or comes back. Hidden tabs don't poll and
+  // check again as soon as they're shown.
   useEffect(() => {
+    const checkIfVisible = () => {
+      if (!document.hidden) checkBackendConnection();
+    };
     checkBackendConnection();
+    const interval = setInterval(checkIfVisible, HEALTH_CHECK_INTERVAL_MS);
+    document.addEventListener('visibilitychange', checkIfVisible);
+    return () => {
+      clearInterval(interval);
+      document.removeEventListener('visibilitychange', checkIfVisible);
+    };
   }, []);
 
+  // Restore a saved session once the backend is reachable
+  useEffect(() => {
+    if (connectionStatus !== 'connected' || !authToken || currentUser) return;
+
+    apiFetch("/api/auth/me")
+      .then(res => res.ok ? res.json() : null)
+      .then(data => {
+        if (data) setCurrentUser(data.user);
+      })
+      .catch(err => {
+        console.error("❌ Error restoring session:", err);
+        clearSession();
+      });
+  }, [connectionStatus, authToken, currentUser, apiFetch, clearSession]);
+
+  const loadRetention = useCallback(async () => {
+    try {
+      const [previewRes, auditRes] = await Promise.all([
+        apiFetch("/api/retention/preview"),
+        apiFetch("/api/retention/audit")
+      ]);
+      if (previewRes.ok) setRetentionPreview(await previewRes.json());
+      if (auditRes.ok) setRetentionAudit(await auditRes.json());
+    } catch (err) {
+      console.error("❌ Error loading retention status:", err);
+    }
+  }, [apiFetch]);
+
+  // Retention status is shown on the insights view
+  useEffect(() => {
+    if (currentView === 'insights' && connectionStatus === 'connected' && currentUser) {
+      loadRetention();
+    }
+  }, [currentView, connectionStatus, currentUser, loadRetention]);
+
   // Load data when connection status changes
   useEffect(() => {
     console.log('Connection status changed to:', connectionStatus);
@@ -170,6 +637,11 @@ export default function App() {
       const response = await fetch("/api/health");
       if (response.ok) {
         console.log('Backend connected successfully');
+        const health = await response.json();
+        setAiProviderInfo({
+          name: health.aiProvider,
+          onDevice: health.privacy?.onDeviceProcessing || false
+        });
         setConnectionStatus('connected');
       } else {
         console.log('Backend responded with error:', response.status);
@@ -181,6 +653,336 @@ export default function App() {
     }
   };
 
+  const submitAuth = async (e) => {
+    e.preventDefault();
+    setIsAuthenticating(true);
+    setAuthError("");
+
+    try {
+      const res = await fetch(authMode === 'signup' ? "/api/auth/register" : "/api/auth/login", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ email: authEmail, password: authPassword }),
+      });
+      const data = await res.json();
+      if (!res.ok) {
+        setAuthError(data.error || "Something went wrong. Please try again.");
+        return;
+      }
+
+      localStorage.setItem(AUTH_TOKEN_KEY, data.token);
+      setAuthToken(data.token);
+      setCurrentUser(data.user);
+
+      // Open (or set up) the offline copy with the same passphrase
+      try {
+        setVaultKey(hasVault() ? await unlockVault(authPassword) : await createVault(authPassword));
+        removePlaintextChatHistory();
+      } catch (vaultErr) {
+        // Shown if the unlock screen comes up (sync off or offline)
+        setVaultError("The journal on this device uses a different passphrase from your account. Enter it to open the journal.");
+      }
+      setAuthPassword("");
+    } catch (err) {
+      console.error("❌ Error signing in:", err);
+      setAuthError("Couldn't reach the server. Please try again.");
+    } finally {
+      setIsAuthenticating(false);
+    }
+  };
+
+  // Unlock the offline copy, or protect it with a new passphrase on first use
+  const submitVaultPassphrase = async (e) => {
+    e.preventDefault();
+    setIsAuthenticating(true);
+    setVaultError("");
+
+    try {
+      if (hasVault()) {
+        setVaultKey(await unlockVault(vaultPassphrase));
+      } else {
+        if (vaultPassphrase.length < 8) {
+          setVaultError("Passphrase must be at least 8 characters");
+          return;
+        }
+        setVaultKey(await createVault(vaultPassphrase));
+      }
+      removePlaintextChatHistory();
+      setVaultPassphrase("");
+    } catch (err) {
+      setVaultError(err.message === 'Incorrect passphrase' ? "That passphrase didn't work. Please try again." : "Couldn't open your journal on this device.");
+    } finally {
+      setIsAuthenticating(false);
+    }
+  };
+
+  const closeSecurity = () => {
+    setShowSecurity(false);
+    setCurrentPassphrase("");
+    setNewPassphrase("");
+    setSecurityMessage(null);
+  };
+
+  const changePassphrase = async (e) => {
+    e.preventDefault();
+    setSecurityMessage(null);
+
+    try {
+      if (connectionStatus === 'connected') {
+        const res = await apiFetch("/api/auth/password", {
+          method: "PUT",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({ currentPassword: currentPassphrase, newPassword: newPassphrase }),
+        });
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error || "Couldn't change your passphrase");
+      }
+
+      // Keep the offline copy on the same passphrase when it was using it
+      if (hasVault()) {
+        await changeVaultPassphrase(currentPassphrase, newPassphrase).catch(err => {
+          if (connectionStatus !== 'connected') throw err;
+        });
+      }
+
+      setCurrentPassphrase("");
+      setNewPassphrase("");
+      setSecurityMessage({ type: 'success', text: "Passphrase changed. Other devices will need to sign in again." });
+    } catch (err) {
+      setSecurityMessage({ type: 'error', text: err.message });
+    }
+  };
+
+  const rotateKey = async () => {
+    if (!currentPassphrase) {
+      setSecurityMessage({ type: 'error', text: "Enter your current passphrase to rotate the key." });
+      return;
+    }
+    setSecurityMessage(null);
+
+    try {
+      let summary = "";
+      if (connectionStatus === 'connected') {
+        const res = await apiFetch("/api/auth/rotate-key", {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({ password: currentPassphrase }),
+        });
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error || "Couldn't rotate your encryption key");
+
+        // Rotation ends every session, including this one
+        localStorage.setItem(AUTH_TOKEN_KEY, data.token);
+        setAuthToken(data.token);
+        summary = `${data.entriesReencrypted} entries re-encrypted (key v${data.keyVersion}).`;
+      }
+
+      if (hasVault()) {
+        try {
+          setVaultKey(await rotateVaultKey(currentPassphrase));
+        } catch (err) {
+          if (connectionStatus !== 'connected') throw err;
+        }
+      }
+
+      setCurrentPassphrase("");
+      setSecurityMessage({ type: 'success', text: `Encryption key rotated. ${summary}`.trim() });
+    } catch (err) {
+      setSecurityMessage({ type: 'error', text: err.message });
+    }
+  };
+
+  const runRetentionNow = async () => {
+    const count = retentionPreview?.entries.length || 0;
+    const action = retentionPreview?.mode === 'archive' ? 'archive' : 'permanently delete';
+    if (!window.confirm(`This will ${action} ${count} ${count === 1 ? 'entry' : 'entries'}. Continue?`)) return;
+
+    try {
+      const res = await apiFetch("/api/retention/run", { method: "POST" });
+      if (!res.ok) throw new Error(`Retention run failed with status ${res.status}`);
+      await Promise.all([loadRetention(), loadInitialData()]);
+    } catch (err) {
+      console.error("❌ Error running retention:", err);
+      alert("Couldn't clean up old entries. Please try again.");
+    }
+  };
+
+  const openSettings = () => {
+    setSettingsDraft(privacySettings);
+    setSettingsMessage(null);
+    setCurrentView('settings');
+  };
+
+  const updateSettingsDraft = (changes) => {
+    setSettingsDraft(prev => ({ ...(prev || privacySettings), ...changes }));
+    setSettingsMessage(null);
+  };
+
+  const saveSettings = async (e) => {
+    e.preventDefault();
+    const { dataRetention, aiMode, aiReplies, syncEntries } = settingsDraft || privacySettings;
+
+    try {
+      const res = await apiFetch("/api/privacy", {
+        method: "PUT",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ dataRetention, aiMode, aiReplies, syncEntries }),
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || "Couldn't save your settings.");
+
+      setPrivacySettings(data);
+      setSettingsDraft(data);
+      setSettingsMessage({ type: 'success', text: 'Settings saved.' });
+      await loadInitialData();
+    } catch (err) {
+      setSettingsMessage({ type: 'error', text: err.message });
+    }
+  };
+
+  const exportJournal = async (e) => {
+    e.preventDefault();
+    const params = new URLSearchParams(
+      Object.entries(exportOptions).filter(([, value]) => value)
+    );
+
+    setIsExporting(true);
+    try {
+      const res = await apiFetch(`/api/export?${params}`);
+      if (!res.ok) {
+        const data = await res.json().catch(() => ({}));
+        throw new Error(data.error || `Export failed with status ${res.status}`);
+      }
+
+      // The download needs the auth header, so save the response through a temporary link
+      const filename = res.headers.get('Content-Disposition')?.match(/filename="(.+)"/)?.[1] || 'journal-export';
+      const url = URL.createObjectURL(await res.blob());
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = filename;
+      link.click();
+      setTimeout(() => URL.revokeObjectURL(url), 0);
+    } catch (err) {
+      console.error("❌ Error exporting journal:", err);
+      alert(`Couldn't export your journal: ${err.message}`);
+    } finally {
+      setIsExporting(false);
+    }
+  };
+
+  const importJournal = async (e) => {
+    e.preventDefault();
+    setIsImporting(true);
+    setImportMessage(null);
+
+    try {
+      const files = await Promise.all(importFiles.map(async file => ({ name: file.name, content: await file.text() })));
+      const res = await apiFetch("/api/import", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ files, analyze: importAnalyze && privacySettings.aiMode === 'cloud' }),
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || `Import failed with status ${res.status}`);
+
+      const notes = [`Imported ${data.imported} ${data.imported === 1 ? 'entry' : 'entries'}.`];
+      if (data.duplicates > 0) notes.push(`${data.duplicates} already in your journal were skipped.`);
+      if (data.outsideRetention > 0) {
+        notes.push(`${data.outsideRetention} are older than your ${data.retentionDays}-day retention window and will be removed by the next cleanup unless you change it above.`);
+      }
+      data.errors.forEach(({ file, error }) => notes.push(`${file}: ${error}`));
+      setImportMessage({ type: data.errors.length > 0 ? 'error' : 'success', text: notes.join(' ') });
+      setImportFiles([]);
+      e.target.reset();
+      await loadInitialData();
+    } catch (err) {
+      console.error("❌ Error importing entries:", err);
+      setImportMessage({ type: 'error', text: err.message });
+    } finally {
+      setIsImporting(false);
+    }
+  };
+
+  // Tags on a single entry
+  const updateEntryTags = async (entryToTag, changes) => {
+    setBusyEntryId(entryToTag.id);
+    try {
+      const res = await apiFetch(`/api/entries/${entryToTag.id}/tags`, {
+        method: "PATCH",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(changes),
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || `Tagging failed with status ${res.status}`);
+      await loadInitialData();
+      return true;
+    } catch (err) {
+      console.error("❌ Error updating tags:", err);
+      alert(err.message);
+      return false;
+    } finally {
+      setBusyEntryId(null);
+    }
+  };
+
+  const addEntryTag = async (entryToTag) => {
+    const tag = (tagDrafts[entryToTag.id] || "").trim();
+    if (!tag) return;
+    if (await updateEntryTags(entryToTag, { add: [tag] })) {
+      setTagDrafts(prev => ({ ...prev, [entryToTag.id]: "" }));
+    }
+  };
+
+  // Rename, merge and delete tags across the whole journal
+  const changeTags = async (url, options, describe) => {
+    setTagMessage(null);
+    try {
+      const res = await apiFetch(url, {
+        ...options,
+        ...(options.body ? { headers: { "Content-Type": "application/json" }, body: JSON.stringify(options.body) } : {})
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || `Request failed with status ${res.status}`);
+
+      setTagMessage({ type: 'success', text: `${describe(data)} (${data.updated} ${data.updated === 1 ? 'entry' : 'entries'}).` });
+      setTagRenames({});
+      setSelectedTags([]);
+      setMergeTarget("");
+      await loadInitialData();
+    } catch (err) {
+      console.error("❌ Error changing tags:", err);
+      setTagMessage({ type: 'error', text: err.message });
+    }
+  };
+
+  const renameTag = (tag) => changeTags(
+    `/api/hashtags/${encodeURIComponent(tag)}`,
+    { method: "PUT", body: { name: tagRenames[tag] } },
+    (data) => `Renamed #${tag} to #${data.target}`
+  );
+
+  const deleteTag = (tag) => {
+    if (!window.confirm(`Remove #${tag} from every entry? The entries themselves are kept.`)) return;
+    changeTags(`/api/hashtags/${encodeURIComponent(tag)}`, { method: "DELETE" }, () => `Removed #${tag}`);
+  };
+
+  const mergeTags = () => {
+    changeTags(
+      "/api/hashtags/merge",
+      { method: "POST", body: { sources: selectedTags, into: mergeTarget } },
+      (data) => `Merged ${data.sources.map(tag => `#${tag}`).join(', ')} into #${data.target}`
+    );
+  };
+
+  const signOut = async () => {
+    try {
+      await apiFetch("/api/auth/logout", { method: "POST" });
+    } catch (err) {
+      console.error("❌ Error signing out:", err);
+    }
+    clearSession();
+  };
+
   // Carousel navigation functions
   const goToSlide = (index) => {
     setCurrentSlide(index);
@@ -201,22 +1003,21 @@ export default function App() {
 
   // Chat history functionality
   const viewChatHistory = async (timestamp) => {
-    const date = new Date(timestamp);
-    const dateKey = date.toISOString().split('T')[0]; // YYYY-MM-DD format
+    const dateKey = getDayKey(timestamp); // YYYY-MM-DD format
     
     try {
-      if (connectionStatus === 'connected') {
-        const response = await fetch(`/api/chat-history/${dateKey}`);
+      if (syncingToServer) {
+        const response = await apiFetch(`/api/chat-history/${dateKey}`);
         if (response.ok) {
           const history = await response.json();
-          setChatHistory(prev => ({ ...prev, [dateKey]: history }));
+          setChatHistory(history.chats);
           setSelectedDate(dateKey);
         }
       } else {
-        // For offline mode, get from localStorage
-        const savedHistory = localStorage.getItem(`chatHistory_${dateKey}`);
-        if (savedHistory) {
-          setChatHistory(prev => ({ ...prev, [dateKey]: JSON.parse(savedHistory) }));
+        // For offline mode, build it from the unlocked local entries
+        const chats = buildOfflineChatHistory(entries, dateKey);
+        if (chats.length > 0) {
+          setChatHistory(chats);
           setSelectedDate(dateKey);
         }
       }
@@ -232,10 +1033,10 @@ export default function App() {
 
   const viewHashtagChats = async (hashtag) => {
     try {
-      const response = await fetch(`/api/chats/hashtag/${hashtag}`);
+      const response = await apiFetch(`/api/chats/hashtag/${hashtag}`);
       if (response.ok) {
         const hashtagData = await response.json();
-        setHashtagChats(hashtagData);
+        setHashtagChats(hashtagData.chats);
         setSelectedHashtag(hashtag);
       }
     } catch (error) {
@@ -243,33 +1044,334 @@ export default function App() {
     }
   };
 
+  // Search (keyword search and "find entries like this one")
+  const runSearch = async (e) => {
+    e.preventDefault();
+    const params = new URLSearchParams(
+      Object.entries({ q: searchQuery.trim(), ...searchFilters }).filter(([, value]) => value)
+    );
+    if ([...params.keys()].length === 0) {
+      setSearchResults(null);
+      return;
+    }
 
-  // Simple sentiment analysis for offline mode
-  const analyzeSentimentOffline = (text) => {
-    const positiveWords = /happy|great|excited|joy|love|amazing|wonderful|fantastic|good|positive|grateful|blessed/i;
-    const negativeWords = /sad|angry|stressed|bad|tired|worried|anxious|frustrated|upset|terrible|awful|horrible/i;
-    
-    let sentiment = 'neutral';
-    let emotions = [];
-    
-    if (positiveWords.test(text)) {
-      sentiment = 'positive';
-      emotions.push('joy');
-    } else if (negativeWords.test(text)) {
-      sentiment = 'negative';
-      emotions.push('sadness');
+    setIsSearching(true);
+    try {
+      const response = await apiFetch(`/api/search?${params}`);
+      const data = await response.json();
+      setSearchResults(response.ok ? { ...data, similarTo: null } : { error: data.error || 'Search failed', results: [] });
+    } catch (error) {
+      console.error('Error searching entries:', error);
+      setSearchResults({ error: 'Search failed', results: [] });
+    } finally {
+      setIsSearching(false);
+    }
+  };
+
+  const findSimilar = async (similarTo) => {
+    setIsSearching(true);
+    try {
+      const response = await apiFetch(`/api/search/similar/${similarTo.id}`);
+      const data = await response.json();
+      setSearchResults(response.ok ? { ...data, similarTo } : { error: data.error || 'Search failed', results: [] });
+    } catch (error) {
+      console.error('Error finding similar entries:', error);
+      setSearchResults({ error: 'Search failed', results: [] });
+    } finally {
+      setIsSearching(false);
+    }
+  };
+
+  const clearSearch = () => {
+    setSearchQuery("");
+    setSearchFilters(EMPTY_SEARCH_FILTERS);
+    setSearchResults(null);
+  };
+
+  // Entry management (edit, delete, re-analyze)
+  const startEditing = (entryToEdit) => {
+    setEditingEntryId(entryToEdit.id);
+    setEditText(entryToEdit.userInput);
+  };
+
+  const cancelEditing = () => {
+    setEditingEntryId(null);
+    setEditText("");
+  };
+
+  const saveOfflineEntries = (updatedEntries) => {
+    setEntries(updatedEntries);
+    saveVaultEntries(vaultKey, updatedEntries).catch(err => {
+      console.error("❌ Error saving offline entries:", err);
+    });
+  };
+
+  // Queue a change to an entry the server knows (or will know) about
+  const queueOfflineChange = async (op) => {
+    try {
+      const state = (await loadSyncState(vaultKey)) || createSyncState(entries);
+      const nextState = { ...state, ops: enqueue(state.ops, op) };
+      await saveSyncState(vaultKey, nextState);
+      setSyncState(nextState);
+      // With sync off but a connection, there's no need to wait
+      if (connectionStatus === 'connected') await loadInitialData();
+    } catch (err) {
+      console.error("❌ Error queueing offline change:", err);
+    }
+  };
+
+  // Settle an edit made offline to an entry that changed on the server meanwhile
+  const resolveConflict = async (conflict, keepThisDevice) => {
+    try {
+      if (keepThisDevice) {
+        const res = conflict.server
+          ? await apiFetch(`/api/entries/${conflict.entryId}`, {
+              method: "PATCH",
+              headers: { "Content-Type": "application/json" },
+              body: JSON.stringify({ text: conflict.text }),
+            })
+          // Deleted on the server: save this device's version as a new entry
+          : await apiFetch("/api/sentiment", {
+              method: "POST",
+              headers: { "Content-Type": "application/json" },
+              body: JSON.stringify({ text: conflict.text, timestamp: conflict.ts }),
+            });
+        if (!res.ok) throw new Error(`Saving failed with status ${res.status}`);
+      }
+
+      const state = await loadSyncState(vaultKey);
+      const nextState = {
+        ...state,
+        conflicts: state.conflicts.filter(c => !(c.entryId === conflict.entryId && c.editedAt === conflict.editedAt))
+      };
+      await saveSyncState(vaultKey, nextState);
+      setSyncState(nextState);
+      await loadInitialData();
+    } catch (err) {
+      console.error("❌ Error resolving sync conflict:", err);
+      alert("Couldn't resolve this change. Please try again.");
+    }
+  };
+
+  // Save or discard an entry written offline that the server turned down
+  const resolveFailedSync = async (failure, save) => {
+    if (!save && !window.confirm("Discard this entry? It's only on this device, so it can't be recovered.")) return;
+
+    try {
+      if (save) {
+        // A device clock running ahead is the usual cause, so date it no later than now
+        const time = new Date(failure.ts).getTime();
+        const res = await apiFetch("/api/sentiment", {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({
+            text: failure.text,
+            timestamp: new Date(Number.isNaN(time) ? Date.now() : Math.min(time, Date.now())).toISOString(),
+            clientId: String(failure.entryId)
+          }),
+        });
+        if (!res.ok) throw new Error(`Saving failed with status ${res.status}`);
+      }
+
+      const state = await loadSyncState(vaultKey);
+      const nextState = { ...state, failed: (state.failed || []).filter(f => f.entryId !== failure.entryId) };
+      await saveSyncState(vaultKey, nextState);
+      setSyncState(nextState);
+      await loadInitialData();
+    } catch (err) {
+      console.error("❌ Error saving an offline entry:", err);
+      alert("Couldn't save this entry. Please try again.");
+    }
+  };
+
+  const saveEdit = async (entryToEdit) => {
+    if (!editText.trim()) {
+      alert("An entry can't be empty. Delete it instead?");
+      return;
+    }
+
+    setBusyEntryId(entryToEdit.id);
+    try {
+      if (syncingToServer) {
+        const res = await apiFetch(`/api/entries/${entryToEdit.id}`, {
+          method: "PATCH",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({ text: editText }),
+        });
+        if (!res.ok) throw new Error(`Update failed with status ${res.status}`);
+        await loadInitialData();
+      } else {
+        const analysis = analyzeSentimentOffline(editText);
+        // Sam's first reply follows the new text; the rest of the conversation stays
+        const followUps = followUpTurns(entryToEdit.conversation);
+        const followUpText = followUps.filter(turn => turn.role === 'user').map(turn => turn.text).join('\n');
+        saveOfflineEntries(entries.map(e => e.id === entryToEdit.id ? {
+          ...e,
+          userInput: editText.trim(),
+          sentiment: analysis.sentiment,
+          emotions: analysis.emotions,
+          themes: analysis.themes,
+          wordCount: editText.trim().split(/\s+/).length,
+          safety: mergeSafety(analysis.safety, assessSafety(followUpText)),
+          conversation: [...buildOfflineConversation(editText, analysis, e.ts), ...followUps]
+        } : e));
+        if (!entryToEdit.localOnly) {
+          await queueOfflineChange({
+            type: 'edit',
+            entryId: entryToEdit.id,
+            text: editText.trim(),
+            ts: entryToEdit.ts,
+            baseUpdatedAt: entryVersion(entryToEdit),
+            editedAt: new Date().toISOString()
+          });
+        }
+      }
+      cancelEditing();
+    } catch (err) {
+      console.error("❌ Error updating entry:", err);
+      alert("Error updating entry. Please try again.");
+    } finally {
+      setBusyEntryId(null);
+    }
+  };
+
+  const deleteEntry = async (entryToDelete) => {
+    if (!window.confirm("Delete this entry and its conversation with Sam? This can't be undone.")) {
+      return;
+    }
+
+    setBusyEntryId(entryToDelete.id);
+    try {
+      if (syncingToServer) {
+        const res = await apiFetch(`/api/entries/${entryToDelete.id}`, { method: "DELETE" });
+        if (!res.ok) throw new Error(`Delete failed with status ${res.status}`);
+        if (lastAnalysis && lastAnalysis.id === entryToDelete.id) setLastAnalysis(null);
+        await loadInitialData();
+      } else {
+        saveOfflineEntries(entries.filter(e => e.id !== entryToDelete.id));
+        if (!entryToDelete.localOnly) {
+          await queueOfflineChange({ type: 'delete', entryId: entryToDelete.id });
+        }
+      }
+    } catch (err) {
+      console.error("❌ Error deleting entry:", err);
+      alert("Error deleting entry. Please try again.");
+    } finally {
+      setBusyEntryId(null);
+    }
+  };
+
+  const reanalyzeEntry = async (entryToAnalyze) => {
+    setBusyEntryId(entryToAnalyze.id);
+    try {
+      if (syncingToServer) {
+        const res = await apiFetch(`/api/entries/${entryToAnalyze.id}/reanalyze`, { method: "POST" });
+        if (!res.ok) throw new Error(`Re-analyze failed with status ${res.status}`);
+        setLastAnalysis(await res.json());
+        await loadInitialData();
+      } else {
+        const analysis = analyzeSentimentOffline(entryToAnalyze.userInput);
+        saveOfflineEntries(entries.map(e => e.id === entryToAnalyze.id ? { ...e, ...analysis } : e));
+        // Cloud analysis replaces this once the entry syncs
+        if (!entryToAnalyze.localOnly && !isLocalId(entryToAnalyze.id)) {
+          await queueOfflineChange({ type: 'reanalyze', entryId: entryToAnalyze.id });
+        }
+      }
+    } catch (err) {
+      console.error("❌ Error re-analyzing entry:", err);
+      alert("Error re-analyzing entry. Please try again.");
+    } finally {
+      setBusyEntryId(null);
     }
-    
-    if (/work|job|career|office/i.test(text)) emotions.push('work');
-    if (/family|friend|relationship/i.test(text)) emotions.push('relationships');
-    if (/health|exercise|gym/i.test(text)) emotions.push('health');
-    if (/creative|art|music|write/i.test(text)) emotions.push('creativity');
-    
-    return {
-      sentiment,
-      emotions,
-      themes: emotions.filter(e => e !== 'joy' && e !== 'sadness')
-    };
+  };
+
+  // Continue the conversation with Sam inside an entry
+  const sendReply = async (chat) => {
+    const text = (replyDrafts[chat.id] || "").trim();
+    if (!text) return;
+
+    setReplyingEntryId(chat.id);
+    try {
+      const res = await apiFetch(`/api/entries/${chat.id}/conversation`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ text, timestamp: new Date().toISOString() }),
+      });
+      if (!res.ok) throw new Error(`Reply failed with status ${res.status}`);
+      const updatedEntry = await res.json();
+
+      const replaceChat = (list) => Array.isArray(list)
+        ? list.map(c => c.id === updatedEntry.id ? updatedEntry : c)
+        : list;
+      setChatHistory(replaceChat);
+      setHashtagChats(replaceChat);
+      setReplyDrafts(prev => ({ ...prev, [chat.id]: "" }));
+      showCrisisResourcesIfFlagged(updatedEntry);
+
+      await loadInitialData();
+    } catch (err) {
+      console.error("❌ Error sending reply:", err);
+      alert("Sam couldn't reply right now. Please try again.");
+    } finally {
+      setReplyingEntryId(null);
+    }
+  };
+
+  // Offline analysis uses the same local pipeline as the server
+  const analyzeSentimentOffline = (text) => ({ ...analyzeText(text), analysisSource: 'local', safety: assessSafety(text) });
+
+  // Crisis resources, shown when the safety check flags an entry or reply
+  const showCrisisResourcesIfFlagged = (analyzed) => {
+    if (analyzed?.safety?.flagged) setCrisisSafety(analyzed.safety);
+  };
+
+  const changeCrisisRegion = (region) => {
+    setCrisisRegion(region);
+    localStorage.setItem(CRISIS_REGION_KEY, region);
+  };
+
+  // Start an entry from a writing prompt; saving it marks the prompt answered
+  const writeAboutPrompt = (prompt) => {
+    setActivePrompt(prompt);
+    setNextPrompt(prompt.text);
+    setFollowUpPrompt(null);
+    setCurrentView('journal');
+  };
+
+  const skipPrompt = async (prompt) => {
+    try {
+      const res = await apiFetch(`/api/ai-prompts/${prompt.id}/skip`, { method: "POST" });
+      if (!res.ok) throw new Error(`Skip failed with status ${res.status}`);
+      setAiPrompts(prev => prev.filter(p => p.id !== prompt.id));
+
+      const promptsRes = await apiFetch(aiPromptsUrl());
+      setAiPrompts((await promptsRes.json()).prompts || []);
+    } catch (err) {
+      console.error("❌ Error skipping prompt:", err);
+    }
+  };
+
+  // Suggested next question from /api/prompt: by entry ID for stored entries
+  // (the server caches it), or from the analysis when the entry isn't stored
+  const fetchFollowUpPrompt = async (body) => {
+    try {
+      const res = await apiFetch("/api/prompt", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(body),
+      });
+      if (!res.ok) throw new Error(`Prompt request failed with status ${res.status}`);
+      return (await res.json()).prompt;
+    } catch (err) {
+      console.error("❌ Error fetching follow-up question:", err);
+      return null;
+    }
+  };
+
+  // Sam's reply in the prompt area, with the next question under it
+  const showReplyAndFollowUp = (aiResponse, prompt, fallback) => {
+    setNextPrompt(aiResponse || prompt || fallback);
+    setFollowUpPrompt(aiResponse ? prompt : null);
   };
 
   const analyzeEntry = async () => {
@@ -279,38 +1381,81 @@ export default function App() {
     }
 
     setIsAnalyzing(true);
+    setFollowUpPrompt(null);
     
     try {
       if (connectionStatus === 'connected') {
-        // Use backend API
-        const sentimentRes = await fetch("/api/sentiment", {
+        // Use backend API, showing the analysis and Sam's reply as they arrive
+        const sentimentRes = await apiFetch("/api/sentiment/stream", {
           method: "POST",
           headers: { "Content-Type": "application/json" },
           body: JSON.stringify({ 
             text: entry,
-            timestamp: new Date().toISOString() // Send timestamp to preserve it
+            timestamp: new Date().toISOString(), // Send timestamp to preserve it
+            ...(activePrompt ? { prompt: activePrompt } : {})
           }),
         });
-        const sentimentData = await sentimentRes.json();
+        if (!sentimentRes.ok) throw new Error(`Analysis failed with status ${sentimentRes.status}`);
+
+        let sentimentData = null;
+        let streamError = null;
+        setStreamingReply("");
+        await readEventStream(sentimentRes, (event, data) => {
+          if (event === 'analysis') {
+            setLastAnalysis({ ...data, userInput: entry.trim() });
+            showCrisisResourcesIfFlagged(data);
+          } else if (event === 'token') {
+            setStreamingReply(prev => (prev || "") + data.text);
+          } else if (event === 'entry') {
+            sentimentData = data;
+          } else if (event === 'error') {
+            streamError = data.error;
+          }
+        });
+        if (!sentimentData) throw new Error(streamError || "The analysis stream ended early");
+
+        if (sentimentData.stored === false) {
+          // Sync is off: the server analyzed the entry but didn't keep it
+          const newEntry = {
+            id: createLocalId(),
+            localOnly: true,
+            userInput: sentimentData.userInput,
+            sentiment: sentimentData.sentiment,
+            emotions: sentimentData.emotions,
+            themes: sentimentData.themes,
+            ts: sentimentData.ts,
+            wordCount: sentimentData.wordCount,
+            safety: sentimentData.safety,
+            conversation: sentimentData.conversation
+          };
+          setLastAnalysis(newEntry);
+          showCrisisResourcesIfFlagged(newEntry);
+          const prompt = newEntry.safety?.flagged ? null : await fetchFollowUpPrompt({
+            text: newEntry.userInput,
+            sentiment: newEntry.sentiment,
+            emotions: newEntry.emotions,
+            themes: newEntry.themes
+          });
+          showReplyAndFollowUp(sentimentData.aiResponse, prompt, OFFLINE_PROMPTS[sentimentData.sentiment] || "What's on your mind today?");
+          setStreamingReply(null);
+          saveOfflineEntries([newEntry, ...entries]);
+          setEntry("");
+          setActivePrompt(null);
+          return;
+        }
 
         setEntries(prev => [sentimentData, ...prev]);
         setLastAnalysis(sentimentData);
+        showCrisisResourcesIfFlagged(sentimentData);
 
-        // Get empathetic prompt
-        const promptRes = await fetch("/api/prompt", {
-          method: "POST",
-          headers: { "Content-Type": "application/json" },
-          body: JSON.stringify({ 
-            text: entry, 
-            sentiment: sentimentData.sentiment,
-            emotions: sentimentData.emotions 
-          }),
-        });
-        const promptData = await promptRes.json();
-        setNextPrompt(promptData.prompt);
+        // Keep Sam's reply in view (the final text replaces what streamed in)
+        // and suggest a question to write about next
+        const prompt = await fetchFollowUpPrompt({ entryId: sentimentData.id });
+        showReplyAndFollowUp(sentimentData.aiResponse, prompt, "What's on your mind today?");
+        setStreamingReply(null);
 
         // Refresh insights
-        const insightsRes = await fetch("/api/insights");
+        const insightsRes = await apiFetch(`/api/insights${analyticsQuery}`);
         const insightsData = await insightsRes.json();
         setInsights(insightsData);
 
@@ -319,45 +1464,45 @@ export default function App() {
       } else {
         // Use offline analysis
         const analysis = analyzeSentimentOffline(entry);
+        const ts = new Date().toISOString();
         const newEntry = {
-          id: Date.now(),
-          text: entry.trim(),
+          id: createLocalId(),
+          userInput: entry.trim(),
           sentiment: analysis.sentiment,
           emotions: analysis.emotions,
           themes: analysis.themes,
-          ts: new Date().toISOString(),
-          wordCount: entry.trim().split(/\s+/).length
+          ts,
+          wordCount: entry.trim().split(/\s+/).length,
+          safety: analysis.safety,
+          conversation: buildOfflineConversation(entry, analysis, ts)
         };
 
-        setEntries(prev => [newEntry, ...prev]);
         setLastAnalysis(newEntry);
+        showCrisisResourcesIfFlagged(newEntry);
         
         // Generate simple prompt
-        const prompts = {
-          positive: "That sounds wonderful! What made today feel so good?",
-          negative: "I hear you. What's one small thing that helped you today?",
-          neutral: "How are you feeling about everything right now?"
-        };
-        setNextPrompt(prompts[analysis.sentiment] || "What's on your mind today?");
+        setNextPrompt(offlineReplyFor(analysis));
         
-        // Save to localStorage
-        const updatedEntries = [newEntry, ...entries];
-        localStorage.setItem('journalEntries', JSON.stringify(updatedEntries));
+        // Save to the encrypted local copy and send it to the server once it's back
+        saveOfflineEntries([newEntry, ...entries]);
+        await queueOfflineChange({ type: 'create', entryId: newEntry.id, text: newEntry.userInput, ts });
       }
 
       setEntry("");
+      setActivePrompt(null);
     } catch (err) {
       console.error("❌ Error analyzing entry:", err);
       alert("Error analyzing entry. Please try again.");
     } finally {
+      setStreamingReply(null);
       setIsAnalyzing(false);
     }
   };
 
   const fetchSummary = async () => {
     try {
-      if (connectionStatus === 'connected') {
-        const res = await fetch("/api/summary");
+      if (syncingToServer) {
+        const res = await apiFetch("/api/summary");
         const data = await res.json();
         setWeeklySummary(data.summary);
       } else {
@@ -428,6 +1573,246 @@ export default function App() {
     }
   };
 
+  const renderSyncStatus = () => {
+    const pending = syncState?.ops.length || 0;
+    const conflicts = syncState?.conflicts || [];
+    const failed = syncState?.failed || [];
+    if (pending === 0 && conflicts.length === 0 && failed.length === 0) return null;
+
+    return (
+      <div className="sync-status">
+        {pending > 0 && (
+          <p className="sync-pending">
+            <RefreshCw size={14} />
+            {pending} {pending === 1 ? 'change' : 'changes'} saved on this device, waiting to sync
+          </p>
+        )}
+
+        {conflicts.map(conflict => (
+          <div key={`${conflict.entryId}-${conflict.editedAt}`} className="sync-conflict">
+            <h4>
+              {conflict.server
+                ? 'This entry was also changed on another device'
+                : 'This entry was deleted on another device'}
+            </h4>
+            <div className="sync-conflict-versions">
+              <div>
+                <span className="sync-conflict-label">This device</span>
+                <p>{conflict.text}</p>
+              </div>
+              {conflict.server && (
+                <div>
+                  <span className="sync-conflict-label">Other device</span>
+                  <p>{conflict.server.userInput}</p>
+                </div>
+              )}
+            </div>
+            <div className="entry-actions">
+              <button
+                className="entry-action-btn"
+                onClick={() => resolveConflict(conflict, true)}
+                disabled={connectionStatus !== 'connected'}
+              >
+                <Check size={14} />
+                {conflict.server ? 'Keep this version' : 'Restore it'}
+              </button>
+              <button
+                className="entry-action-btn"
+                onClick={() => resolveConflict(conflict, false)}
+                disabled={connectionStatus !== 'connected'}
+              >
+                <X size={14} />
+                {conflict.server ? 'Keep the other version' : 'Leave it deleted'}
+              </button>
+            </div>
+          </div>
+        ))}
+
+        {failed.map(failure => (
+          <div key={failure.entryId} className="sync-conflict">
+            <h4>This entry couldn't be saved to your journal: {failure.error}</h4>
+            <div className="sync-conflict-versions">
+              <div>
+                <span className="sync-conflict-label">
+                  This device · {safeFormatDate(failure.ts, 'MMM d, yyyy h:mm a', 'Unknown Date')}
+                </span>
+                <p>{failure.text}</p>
+              </div>
+            </div>
+            <div className="entry-actions">
+              <button
+                className="entry-action-btn"
+                onClick={() => resolveFailedSync(failure, true)}
+                disabled={connectionStatus !== 'connected'}
+              >
+                <Check size={14} />
+                Save it now
+              </button>
+              <button className="entry-action-btn" onClick={() => resolveFailedSync(failure, false)}>
+                <X size={14} />
+                Discard it
+              </button>
+            </div>
+          </div>
+        ))}
+      </div>
+    );
+  };
+
+  const renderSearch = () => (
+    <div className="search-section">
+      <form className="search-bar" onSubmit={runSearch}>
+        <Search size={16} className="search-icon" />
+        <input
+          type="search"
+          placeholder="Search your entries and chats with Sam..."
+          value={searchQuery}
+          onChange={(e) => setSearchQuery(e.target.value)}
+          className="search-input"
+        />
+        <button type="submit" className="search-button" disabled={isSearching}>
+          {isSearching ? 'Searching...' : 'Search'}
+        </button>
+      </form>
+      <div className="search-filters">
+        <select
+          value={searchFilters.sentiment}
+          onChange={(e) => setSearchFilters(prev => ({ ...prev, sentiment: e.target.value }))}
+          aria-label="Sentiment"
+        >
+          <option value="">Any sentiment</option>
+          {SENTIMENT_LEVELS.map(level => (
+            <option key={level} value={level}>{level.replace('_', ' ')}</option>
+          ))}
+        </select>
+        <select
+          value={searchFilters.emotion}
+          onChange={(e) => setSearchFilters(prev => ({ ...prev, emotion: e.target.value }))}
+          aria-label="Emotion"
+        >
+          <option value="">Any emotion</option>
+          {EMOTIONS.map(emotion => (
+            <option key={emotion} value={emotion}>{EMOTION_ICONS[emotion]} {emotion}</option>
+          ))}
+        </select>
+        <select
+          value={searchFilters.theme}
+          onChange={(e) => setSearchFilters(prev => ({ ...prev, theme: e.target.value }))}
+          aria-label="Hashtag"
+        >
+          <option value="">Any hashtag</option>
+          {hashtags.map(hashtag => (
+            <option key={hashtag.name} value={hashtag.name}>#{hashtag.name}</option>
+          ))}
+        </select>
+        <input
+          type="date"
+          value={searchFilters.from}
+          onChange={(e) => setSearchFilters(prev => ({ ...prev, from: e.target.value }))}
+          aria-label="From"
+        />
+        <input
+          type="date"
+          value={searchFilters.to}
+          onChange={(e) => setSearchFilters(prev => ({ ...prev, to: e.target.value }))}
+          aria-label="To"
+        />
+      </div>
+
+      {searchResults && (
+        <div className="search-results">
+          <div className="search-results-header">
+            <span>
+              {searchResults.error
+                ? searchResults.error
+                : searchResults.similarTo
+                  ? `Entries like "${searchResults.similarTo.userInput.slice(0, 60)}${searchResults.similarTo.userInput.length > 60 ? '…' : ''}"`
+                  : `${searchResults.total} result${searchResults.total === 1 ? '' : 's'}`}
+            </span>
+            <button className="search-clear" onClick={clearSearch}>
+              <X size={14} /> Clear
+            </button>
+          </div>
+          {!searchResults.error && searchResults.results.length === 0 && (
+            <p className="search-empty">No matching entries.</p>
+          )}
+          {searchResults.results.map(({ entry: result, snippets }) => (
+            <div
+              key={result.id}
+              className="search-result clickable-entry"
+              onClick={() => viewChatHistory(result.ts)}
+            >
+              <div className="entry-header">
+                <span className="entry-date">{safeFormatDate(result.ts, 'MMM d, yyyy h:mm a', 'Unknown Date')}</span>
+                <span className="entry-sentiment" style={{ color: getSentimentColor(result.sentiment) }}>
+                  {getSentimentEmoji(result.sentiment)} {result.sentiment.replace('_', ' ')}
+                </span>
+              </div>
+              {snippets.length > 0 ? (
+                snippets.map((snippet, index) => (
+                  <p key={index} className="search-snippet">
+                    <span className="chat-role">{snippet.role === 'ai' ? 'Sam' : 'You'}:</span>{' '}
+                    {highlightSnippet(snippet.text, snippet.highlights)}
+                  </p>
+                ))
+              ) : (
+                <p className="entry-text">{result.userInput}</p>
+              )}
+              <div className="entry-actions" onClick={(e) => e.stopPropagation()}>
+                <button className="entry-action-btn" onClick={() => findSimilar(result)}>
+                  <Sparkles size={14} /> Find similar
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+
+  const renderCrisisPanel = () => {
+    const resources = CRISIS_RESOURCES[crisisRegion] || CRISIS_RESOURCES.INTL;
+    return (
+      <motion.div
+        className={`crisis-panel ${crisisSafety.level}`}
+        role="alert"
+        initial={{ opacity: 0, y: -20 }}
+        animate={{ opacity: 1, y: 0 }}
+      >
+        <div className="crisis-header">
+          <LifeBuoy size={22} />
+          <h3>{crisisSafety.level === 'urgent' ? 'You deserve support right now' : "You don't have to go through this alone"}</h3>
+        </div>
+        <p className="crisis-emergency">
+          If you're in immediate danger, call <strong>{resources.emergency}</strong>.
+        </p>
+        <ul className="crisis-lines">
+          {resources.lines.map(line => (
+            <li key={line.name}>
+              <strong>{line.name}</strong> - {line.contact}
+              {line.link && (
+                <> · <a href={line.link} target="_blank" rel="noopener noreferrer">{line.link.replace(/^https:\/\/(www\.)?/, '')}</a></>
+              )}
+            </li>
+          ))}
+        </ul>
+        <div className="crisis-footer">
+          <label>
+            Region{' '}
+            <select value={crisisRegion} onChange={(e) => changeCrisisRegion(e.target.value)}>
+              {Object.entries(CRISIS_RESOURCES).map(([code, region]) => (
+                <option key={code} value={code}>{region.name}</option>
+              ))}
+            </select>
+          </label>
+          <button className="entry-action-btn" onClick={() => setCrisisSafety(null)}>
+            Hide for now
+          </button>
+        </div>
+      </motion.div>
+    );
+  };
+
   const renderJournalView = () => (
     <div className="journal-container">
 
@@ -438,13 +1823,27 @@ export default function App() {
         animate={{ opacity: 1, y: 0 }}
       >
         <Shield className="privacy-icon" />
-        <span>Your data stays private • {connectionStatus === 'connected' ? 'Cloud-based AI processing' : 'Local analysis only'}</span>
+        <span>
+          Your data stays private • {connectionStatus !== 'connected'
+            ? 'Local analysis only'
+            : privacySettings?.aiMode === 'off'
+              ? 'AI processing off'
+              : privacySettings?.onDeviceProcessing ?? aiProviderInfo?.onDevice
+                ? `On-device AI processing (${privacySettings?.aiMode === 'local' ? 'Local NLP' : aiProviderInfo?.name})`
+                : 'Cloud-based AI processing'}
+          {connectionStatus === 'connected' && !syncingToServer && ' • Entries stay on this device'}
+        </span>
       </motion.div>
 
+      {renderSyncStatus()}
+
+      {/* Crisis Resources */}
+      {crisisSafety && renderCrisisPanel()}
+
       {/* Dynamic Prompt */}
       <motion.div 
         className="prompt-container"
-        key={nextPrompt}
+        key={streamingReply === null ? nextPrompt : 'streaming'}
         initial={{ opacity: 0, scale: 0.95 }}
         animate={{ opacity: 1, scale: 1 }}
         transition={{ duration: 0.3 }}
@@ -453,14 +1852,27 @@ export default function App() {
           <Sparkles className="prompt-icon" />
           <span className="companion-message">Sam, your AI companion here.</span>
         </div>
-        <p className="prompt-text">{nextPrompt}</p>
+        {streamingReply === null ? (
+          <p className="prompt-text">{nextPrompt}</p>
+        ) : (
+          <p className="prompt-text streaming" aria-live="polite">
+            {streamingReply || "Sam is reading your entry..."}
+            <span className="streaming-cursor" />
+          </p>
+        )}
+        {followUpPrompt && streamingReply === null && (
+          <div className="follow-up-prompt">
+            <span className="follow-up-label">Something to write about next</span>
+            <p>{followUpPrompt}</p>
+          </div>
+        )}
       </motion.div>
 
       {/* Journal Input */}
       <div className="input-container">
         <textarea
           rows="6"
-          placeholder="Share your thoughts, feelings, or experiences..."
+          placeholder={followUpPrompt || "Share your thoughts, feelings, or experiences..."}
           value={entry}
           onChange={(e) => setEntry(e.target.value)}
           className="journal-textarea"
@@ -509,10 +1921,13 @@ export default function App() {
                 ))}
               </div>
             )}
-            {lastAnalysis.themes && lastAnalysis.themes.length > 0 && (
+            {((lastAnalysis.themes && lastAnalysis.themes.length > 0) || (lastAnalysis.tags && lastAnalysis.tags.length > 0)) && (
               <div className="themes-display">
-                {lastAnalysis.themes.map(theme => (
-                  <span key={theme} className="theme-tag">#{theme}</span>
+                {(lastAnalysis.themes || []).map(theme => (
+                  <span key={`theme-${theme}`} className="theme-tag">#{theme}</span>
+                ))}
+                {(lastAnalysis.tags || []).map(tag => (
+                  <span key={`tag-${tag}`} className="theme-tag user-tag">#{tag}</span>
                 ))}
               </div>
             )}
@@ -520,18 +1935,22 @@ export default function App() {
         )}
       </AnimatePresence>
 
+      {/* Search */}
+      {syncingToServer && renderSearch()}
+
       {/* Hashtag Filter */}
       {hashtags.length > 0 && (
         <div className="hashtag-filter">
-          <h4>Filter by Theme:</h4>
+          <h4>Filter by Hashtag:</h4>
           <div className="hashtag-buttons">
             {hashtags.map(hashtag => (
               <button
-                key={hashtag}
-                className={`hashtag-btn ${selectedHashtag === hashtag ? 'active' : ''}`}
-                onClick={() => viewHashtagChats(hashtag)}
+                key={hashtag.name}
+                className={`hashtag-btn ${hashtag.kinds.includes('tag') ? 'user-tag' : ''} ${selectedHashtag === hashtag.name ? 'active' : ''}`}
+                onClick={() => viewHashtagChats(hashtag.name)}
+                title={describeHashtagKinds(hashtag.kinds)}
               >
-                #{hashtag}
+                #{hashtag.name}
               </button>
             ))}
           </div>
@@ -552,6 +1971,7 @@ export default function App() {
             const date = isDailyChat ? item.displayDate : safeFormatDate(timestamp, 'MMM d, yyyy', 'Unknown Date');
             const time = safeFormatDate(timestamp, 'h:mm a', 'Unknown Time');
             const chatCount = isDailyChat ? item.chats.length : 1;
+            const canTag = syncingToServer && !isLocalId(entry.id);
             
             return (
               <motion.div 
@@ -573,11 +1993,52 @@ export default function App() {
                     {getSentimentEmoji(entry.sentiment)} {entry.sentiment.replace('_', ' ')}
                   </span>
                 </div>
-                <p className="entry-text">{entry.text || entry.userInput}</p>
-                {entry.themes && entry.themes.length > 0 && (
+                {editingEntryId === entry.id ? (
+                  <div className="entry-edit" onClick={(e) => e.stopPropagation()}>
+                    <textarea
+                      rows="4"
+                      value={editText}
+                      onChange={(e) => setEditText(e.target.value)}
+                      className="journal-textarea entry-edit-textarea"
+                    />
+                    <div className="entry-actions">
+                      <button
+                        className="entry-action-btn"
+                        disabled={busyEntryId === entry.id}
+                        onClick={() => saveEdit(entry)}
+                      >
+                        <Check size={14} /> Save
+                      </button>
+                      <button className="entry-action-btn" onClick={cancelEditing}>
+                        <X size={14} /> Cancel
+                      </button>
+                    </div>
+                  </div>
+                ) : (
+                  <p className="entry-text">{entry.userInput}</p>
+                )}
+                {((entry.themes && entry.themes.length > 0) || (entry.tags && entry.tags.length > 0)) && (
                   <div className="entry-themes">
-                    {entry.themes.map(theme => (
-                      <span key={theme} className="theme-badge">#{theme}</span>
+                    {(entry.themes || []).map(theme => (
+                      <span key={`theme-${theme}`} className="theme-badge" title="AI theme">#{theme}</span>
+                    ))}
+                    {(entry.tags || []).map(tag => (
+                      <span key={`tag-${tag}`} className="theme-badge user-tag" title="Your tag">
+                        #{tag}
+                        {canTag && (
+                          <button
+                            className="tag-remove"
+                            disabled={busyEntryId === entry.id}
+                            onClick={(e) => {
+                              e.stopPropagation();
+                              updateEntryTags(entry, { remove: [tag] });
+                            }}
+                            aria-label={`Remove #${tag}`}
+                          >
+                            <X size={10} />
+                          </button>
+                        )}
+                      </span>
                     ))}
                   </div>
                 )}
@@ -585,6 +2046,67 @@ export default function App() {
                   <span className="chat-count">{chatCount} chat{chatCount > 1 ? 's' : ''}</span>
                   <span className="click-hint">Click to view chat history</span>
                 </div>
+                {editingEntryId !== entry.id && (
+                  <div className="entry-actions" onClick={(e) => e.stopPropagation()}>
+                    <button
+                      className="entry-action-btn"
+                      disabled={busyEntryId === entry.id}
+                      onClick={() => startEditing(entry)}
+                      aria-label="Edit entry"
+                    >
+                      <Pencil size={14} /> Edit
+                    </button>
+                    <button
+                      className="entry-action-btn"
+                      disabled={busyEntryId === entry.id}
+                      onClick={() => reanalyzeEntry(entry)}
+                      aria-label="Re-analyze entry"
+                    >
+                      <RefreshCw size={14} /> {busyEntryId === entry.id ? 'Working...' : 'Re-analyze'}
+                    </button>
+                    {canTag && (
+                      <button
+                        className="entry-action-btn"
+                        onClick={() => findSimilar(entry)}
+                        aria-label="Find similar entries"
+                      >
+                        <Sparkles size={14} /> Similar
+                      </button>
+                    )}
+                    {canTag && (
+                      <form
+                        className="tag-add"
+                        onSubmit={(e) => {
+                          e.preventDefault();
+                          addEntryTag(entry);
+                        }}
+                      >
+                        <input
+                          type="text"
+                          placeholder="#tag"
+                          value={tagDrafts[entry.id] || ""}
+                          onChange={(e) => setTagDrafts(prev => ({ ...prev, [entry.id]: e.target.value }))}
+                          aria-label="New tag"
+                        />
+                        <button
+                          type="submit"
+                          className="entry-action-btn"
+                          disabled={busyEntryId === entry.id || !(tagDrafts[entry.id] || "").trim()}
+                        >
+                          <Tag size={14} /> Tag
+                        </button>
+                      </form>
+                    )}
+                    <button
+                      className="entry-action-btn danger"
+                      disabled={busyEntryId === entry.id}
+                      onClick={() => deleteEntry(entry)}
+                      aria-label="Delete entry"
+                    >
+                      <Trash2 size={14} /> Delete
+                    </button>
+                  </div>
+                )}
               </motion.div>
             );
           })}
@@ -608,89 +2130,129 @@ export default function App() {
           </motion.div>
         )}
       </div>
+    </div>
+  );
 
-      {/* Chat History Modal */}
-      <AnimatePresence>
-        {selectedDate && (
+  // Chat history for a day (or hashtag), opened from recent chats, search or the mood calendar
+  const renderChatHistoryModal = () => (
+    <AnimatePresence>
+      {selectedDate && (
+        <motion.div 
+          className="chat-history-modal"
+          initial={{ opacity: 0 }}
+          animate={{ opacity: 1 }}
+          exit={{ opacity: 0 }}
+          onClick={() => {
+            setSelectedDate(null);
+            setSelectedHashtag(null);
+          }}
+        >
           <motion.div 
-            className="chat-history-modal"
-            initial={{ opacity: 0 }}
-            animate={{ opacity: 1 }}
-            exit={{ opacity: 0 }}
-            onClick={() => {
-              setSelectedDate(null);
-              setSelectedHashtag(null);
-            }}
+            className="chat-history-content"
+            initial={{ scale: 0.9, y: 20 }}
+            animate={{ scale: 1, y: 0 }}
+            exit={{ scale: 0.9, y: 20 }}
+            onClick={(e) => e.stopPropagation()}
           >
-            <motion.div 
-              className="chat-history-content"
-              initial={{ scale: 0.9, y: 20 }}
-              animate={{ scale: 1, y: 0 }}
-              exit={{ scale: 0.9, y: 20 }}
-              onClick={(e) => e.stopPropagation()}
-            >
-              <div className="chat-history-header">
-                <h3>
-                  {selectedHashtag ? `Chats tagged #${selectedHashtag}` : 
-                   `Chat History - ${safeFormatDate(selectedDate, 'MMMM d, yyyy', 'Unknown Date')}`}
-                </h3>
-                <button 
-                  className="close-button"
-                  onClick={() => {
-                    setSelectedDate(null);
-                    setSelectedHashtag(null);
-                  }}
-                >
-                  ×
-                </button>
-              </div>
-              <div className="chat-history-list">
-                {(selectedHashtag ? hashtagChats : chatHistory).map((chat, index) => (
-                  <div key={index} className="chat-entry">
-                    {/* Show conversation if available, otherwise show old format */}
-                    {chat.conversation ? (
-                      chat.conversation.map((message, msgIndex) => (
-                        <div key={msgIndex} className={`chat-message ${message.role}`}>
-                          <div className="chat-time">
-                            {safeFormatDate(message.timestamp, 'h:mm a', 'Unknown Time')}
-                          </div>
-                          <div className="chat-content">
-                            <div className="chat-role">{message.role === 'user' ? 'You' : 'Sam'}</div>
-                            <div className="chat-text">{message.text}</div>
-                          </div>
-                        </div>
-                      ))
-                    ) : (
-                      <div className="chat-message">
+            <div className="chat-history-header">
+              <h3>
+                {selectedHashtag ? `Chats tagged #${selectedHashtag} (${describeHashtagKinds(hashtags.find(h => h.name === selectedHashtag)?.kinds || [])})` : 
+                 `Chat History - ${safeFormatDate(selectedDate, 'MMMM d, yyyy', 'Unknown Date')}`}
+              </h3>
+              <button 
+                className="close-button"
+                onClick={() => {
+                  setSelectedDate(null);
+                  setSelectedHashtag(null);
+                }}
+              >
+                ×
+              </button>
+            </div>
+            <div className="chat-history-list">
+              {(selectedHashtag ? hashtagChats : chatHistory).map((chat, index) => (
+                <div key={index} className="chat-entry">
+                  {/* Show conversation if available, otherwise show old format */}
+                  {chat.conversation ? (
+                    chat.conversation.map((message, msgIndex) => (
+                      <div key={msgIndex} className={`chat-message ${message.role}`}>
                         <div className="chat-time">
-                          {safeFormatDate(chat.timestamp || chat.ts, 'h:mm a', 'Unknown Time')}
+                          {safeFormatDate(message.timestamp, 'h:mm a', 'Unknown Time')}
                         </div>
                         <div className="chat-content">
-                          <div className="chat-role">You</div>
-                          <div className="chat-text">{chat.text || chat.userInput}</div>
-                          {chat.analysis && (
-                            <div className="chat-analysis">
-                              <span className="sentiment-badge">{getSentimentEmoji(chat.analysis.sentiment)} {chat.analysis.sentiment}</span>
-                              {chat.analysis.themes && (
-                                <div className="chat-themes">
-                                  {chat.analysis.themes.map(theme => (
-                                    <span key={theme} className="theme-tag">#{theme}</span>
-                                  ))}
-                                </div>
-                              )}
-                            </div>
-                          )}
+                          <div className="chat-role">{message.role === 'user' ? 'You' : 'Sam'}</div>
+                          <div className="chat-text">{message.text}</div>
                         </div>
                       </div>
-                    )}
-                  </div>
-                ))}
-              </div>
-            </motion.div>
+                    ))
+                  ) : (
+                    <div className="chat-message">
+                      <div className="chat-time">
+                        {safeFormatDate(chat.timestamp || chat.ts, 'h:mm a', 'Unknown Time')}
+                      </div>
+                      <div className="chat-content">
+                        <div className="chat-role">You</div>
+                        <div className="chat-text">{chat.text || chat.userInput}</div>
+                        {chat.analysis && (
+                          <div className="chat-analysis">
+                            <span className="sentiment-badge">{getSentimentEmoji(chat.analysis.sentiment)} {chat.analysis.sentiment}</span>
+                            {chat.analysis.themes && (
+                              <div className="chat-themes">
+                                {chat.analysis.themes.map(theme => (
+                                  <span key={theme} className="theme-tag">#{theme}</span>
+                                ))}
+                              </div>
+                            )}
+                          </div>
+                        )}
+                      </div>
+                    </div>
+                  )}
+                  {chat.conversation && chat.id && (
+                    syncingToServer ? (
+                      <div className="chat-reply">
+                        <textarea
+                          rows="2"
+                          placeholder="Reply to Sam..."
+                          value={replyDrafts[chat.id] || ""}
+                          onChange={(e) => setReplyDrafts(prev => ({ ...prev, [chat.id]: e.target.value }))}
+                          onKeyDown={(e) => {
+                            if (e.key === 'Enter' && !e.shiftKey) {
+                              e.preventDefault();
+                              sendReply(chat);
+                            }
+                          }}
+                          className="chat-reply-input"
+                          disabled={replyingEntryId === chat.id}
+                        />
+                        <button
+                          className="chat-reply-button"
+                          onClick={() => sendReply(chat)}
+                          disabled={replyingEntryId === chat.id || !(replyDrafts[chat.id] || "").trim()}
+                          aria-label="Send reply"
+                        >
+                          {replyingEntryId === chat.id ? (
+                            <motion.div
+                              className="loading-spinner"
+                              animate={{ rotate: 360 }}
+                              transition={{ duration: 1, repeat: Infinity, ease: "linear" }}
+                            />
+                          ) : (
+                            <Send size={16} />
+                          )}
+                        </button>
+                      </div>
+                    ) : (
+                      <div className="chat-reply-offline">Reconnect to keep talking with Sam.</div>
+                    )
+                  )}
+                </div>
+              ))}
+            </div>
           </motion.div>
-        )}
-      </AnimatePresence>
-    </div>
+        </motion.div>
+      )}
+    </AnimatePresence>
   );
 
   const renderMentalHealthResources = () => {
@@ -843,43 +2405,258 @@ export default function App() {
             </div>
           </div>
 
-          <div className="carousel-dots">
-            {[0, 1, 2, 3, 4].map((index) => (
-              <button
-                key={index}
-                className={`carousel-dot ${index === currentSlide ? 'active' : ''}`}
-                onClick={() => goToSlide(index)}
-                aria-label={`Go to slide ${index + 1}`}
+          <div className="carousel-dots">
+            {[0, 1, 2, 3, 4].map((index) => (
+              <button
+                key={index}
+                className={`carousel-dot ${index === currentSlide ? 'active' : ''}`}
+                onClick={() => goToSlide(index)}
+                aria-label={`Go to slide ${index + 1}`}
+              />
+            ))}
+          </div>
+        </div>
+
+        {/* AI-Generated Writing Prompts Section */}
+        <div className="ai-prompts-section">
+          <h3 className="ai-prompts-title">🤖 AI-Generated Writing Prompts</h3>
+          <p className="ai-prompts-subtitle">Personalized prompts based on your recent themes, what's still on your mind and the time of day</p>
+          
+          <div className="ai-prompts-grid">
+            {aiPrompts.map(prompt => (
+              <div key={prompt.id} className="ai-prompt-item">
+                <div className="ai-prompt-content">
+                  <h4 className="ai-prompt-title">{prompt.text}</h4>
+                </div>
+                <div className="entry-actions">
+                  <button className="entry-action-btn" onClick={() => writeAboutPrompt(prompt)}>
+                    <Pencil size={14} />
+                    Write about this
+                  </button>
+                  <button
+                    className="entry-action-btn"
+                    onClick={() => skipPrompt(prompt)}
+                    disabled={connectionStatus !== 'connected'}
+                    title="Don't suggest this prompt again"
+                  >
+                    <X size={14} />
+                    Skip
+                  </button>
+                </div>
+              </div>
+            ))}
+          </div>
+        </div>
+      </div>
+    );
+  };
+
+  const selectAnalyticsRange = (preset) => {
+    setAnalyticsRange(prev => (preset === 'custom'
+      ? { ...prev, preset }
+      : { ...prev, preset, bucket: suggestBucket(ANALYTICS_RANGES.find(range => range.value === preset).days) }));
+  };
+
+  const setCustomRangeDate = (field, value) => {
+    setAnalyticsRange(prev => {
+      const next = { ...prev, [field]: value };
+      return { ...next, bucket: suggestBucket(customRangeDays(next)) };
+    });
+  };
+
+  const renderRangePicker = () => (
+    <div className="analytics-range">
+      <div className="range-presets">
+        {ANALYTICS_RANGES.map(range => (
+          <button
+            key={range.value}
+            className={`range-preset ${analyticsRange.preset === range.value ? 'active' : ''}`}
+            onClick={() => selectAnalyticsRange(range.value)}
+          >
+            {range.label}
+          </button>
+        ))}
+      </div>
+      <div className="range-options">
+        {analyticsRange.preset === 'custom' && (
+          <>
+            <input
+              type="date"
+              value={analyticsRange.from}
+              max={analyticsRange.to || undefined}
+              onChange={(e) => setCustomRangeDate('from', e.target.value)}
+              aria-label="From"
+            />
+            <input
+              type="date"
+              value={analyticsRange.to}
+              min={analyticsRange.from || undefined}
+              onChange={(e) => setCustomRangeDate('to', e.target.value)}
+              aria-label="To"
+            />
+          </>
+        )}
+        <select
+          value={analyticsRange.bucket}
+          onChange={(e) => setAnalyticsRange(prev => ({ ...prev, bucket: e.target.value }))}
+          aria-label="Group by"
+        >
+          {BUCKET_OPTIONS.map(option => (
+            <option key={option.value} value={option.value}>By {option.label.toLowerCase()}</option>
+          ))}
+        </select>
+      </div>
+    </div>
+  );
+
+  /**
+   * Stacked emotion frequency over time, and a heatmap of emotions against
+   * themes, time of day or weekday
+   */
+  const renderEmotionCharts = (rangeTitle) => {
+    if (!emotionAnalytics || emotionAnalytics.totalEntries === 0) {
+      return (
+        <div className="chart-container">
+          <h3>Emotions ({rangeTitle})</h3>
+          <div className="chart-empty">
+            <p>Emotion charts will appear here once entries in this range have been analyzed.</p>
+          </div>
+        </div>
+      );
+    }
+
+    const { emotions, frequency } = emotionAnalytics;
+    const heatmap = EMOTION_HEATMAPS.find(option => option.value === emotionHeatmap);
+    const columns = emotionAnalytics[heatmap.value];
+    // One point per cell; x and y are indexes so cells line up with the ticks
+    const cells = columns.flatMap((column, x) => emotions.map((emotion, y) => ({
+      x,
+      y,
+      emotion,
+      column: heatmap.format(column[heatmap.key]),
+      count: column[emotion],
+      entryCount: column.entryCount
+    })));
+    const maxCount = Math.max(1, ...cells.map(cell => cell.count));
+
+    const renderHeatmapCell = ({ cx, cy, xAxis, yAxis, payload }) => {
+      const width = xAxis.width / columns.length;
+      const height = yAxis.height / emotions.length;
+      return (
+        <rect
+          x={cx - width / 2 + 1}
+          y={cy - height / 2 + 1}
+          width={Math.max(width - 2, 0)}
+          height={Math.max(height - 2, 0)}
+          rx={4}
+          fill="#4A90E2"
+          fillOpacity={payload.count === 0 ? 0.04 : 0.15 + 0.85 * (payload.count / maxCount)}
+        />
+      );
+    };
+
+    return (
+      <div className="chart-container emotion-charts">
+        <h3>Emotions ({rangeTitle})</h3>
+        <ResponsiveContainer width="100%" height={300}>
+          <AreaChart data={frequency}>
+            <CartesianGrid strokeDasharray="3 3" stroke="rgba(74, 144, 226, 0.1)" />
+            <XAxis
+              dataKey="label"
+              tick={{ fill: '#4A90E2', fontSize: 12 }}
+              axisLine={{ stroke: '#4A90E2' }}
+            />
+            <YAxis
+              allowDecimals={false}
+              tick={{ fill: '#4A90E2', fontSize: 12 }}
+              axisLine={{ stroke: '#4A90E2' }}
+            />
+            <Tooltip
+              formatter={(value, emotion) => [`${value} ${value === 1 ? 'entry' : 'entries'}`, `${EMOTION_ICONS[emotion]} ${emotion}`]}
+            />
+            <Legend formatter={(emotion) => `${EMOTION_ICONS[emotion]} ${emotion}`} />
+            {emotions.map(emotion => (
+              <Area
+                key={emotion}
+                type="monotone"
+                dataKey={emotion}
+                stackId="emotions"
+                stroke={EMOTION_COLORS[emotion]}
+                fill={EMOTION_COLORS[emotion]}
+                fillOpacity={0.6}
               />
             ))}
-          </div>
-        </div>
+          </AreaChart>
+        </ResponsiveContainer>
 
-        {/* AI-Generated Writing Prompts Section */}
-        <div className="ai-prompts-section">
-          <h3 className="ai-prompts-title">🤖 AI-Generated Writing Prompts</h3>
-          <p className="ai-prompts-subtitle">Personalized prompts based on your recent journaling patterns and sentiment</p>
-          
-          <div className="ai-prompts-grid">
-            {aiPrompts.map((prompt, index) => (
-              <div key={index} className="ai-prompt-item">
-                <div className="ai-prompt-content">
-                  <h4 className="ai-prompt-title">{prompt}</h4>
-                </div>
-              </div>
+        <div className="heatmap-header">
+          <h4>How often each emotion comes up</h4>
+          <select value={emotionHeatmap} onChange={(e) => setEmotionHeatmap(e.target.value)} aria-label="Heatmap">
+            {EMOTION_HEATMAPS.map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
             ))}
-          </div>
+          </select>
         </div>
+        {columns.length > 0 ? (
+          <ResponsiveContainer width="100%" height={280}>
+            <ScatterChart margin={{ top: 10, right: 10, bottom: 10, left: 10 }}>
+              <XAxis
+                type="number"
+                dataKey="x"
+                domain={[-0.5, columns.length - 0.5]}
+                ticks={columns.map((_, index) => index)}
+                tickFormatter={(index) => heatmap.format(columns[index][heatmap.key])}
+                tick={{ fill: '#4A90E2', fontSize: 12 }}
+                axisLine={false}
+                tickLine={false}
+              />
+              <YAxis
+                type="number"
+                dataKey="y"
+                domain={[-0.5, emotions.length - 0.5]}
+                ticks={emotions.map((_, index) => index)}
+                tickFormatter={(index) => `${EMOTION_ICONS[emotions[index]]} ${emotions[index]}`}
+                tick={{ fill: '#4A90E2', fontSize: 12 }}
+                axisLine={false}
+                tickLine={false}
+                reversed
+                width={100}
+              />
+              <Tooltip
+                cursor={false}
+                content={({ active, payload }) => {
+                  if (!active || !payload?.length) return null;
+                  const cell = payload[0].payload;
+                  return (
+                    <div className="heatmap-tooltip">
+                      {EMOTION_ICONS[cell.emotion]} {cell.emotion} · {cell.column}: {cell.count} of {cell.entryCount} {cell.entryCount === 1 ? 'entry' : 'entries'}
+                    </div>
+                  );
+                }}
+              />
+              <Scatter data={cells} shape={renderHeatmapCell} isAnimationActive={false} />
+            </ScatterChart>
+          </ResponsiveContainer>
+        ) : (
+          <div className="chart-empty">
+            <p>No themes in this range yet.</p>
+          </div>
+        )}
       </div>
     );
   };
 
   const renderInsightsView = () => {
+    const bucket = BUCKET_OPTIONS.find(option => option.value === analyticsRange.bucket);
+    const rangeTitle = analyticsRange.preset === 'custom'
+      ? `${analyticsRange.from || 'Start'} to ${analyticsRange.to || 'Today'}`
+      : ANALYTICS_RANGES.find(range => range.value === analyticsRange.preset).label;
     console.log('Rendering insights view, insights state:', insights);
     console.log('Rendering insights view, trends state:', trends);
     return (
       <div className="insights-container">
         <h2>Your Emotional Journey</h2>
+        {renderRangePicker()}
         
         {insights ? (
         <div className="insights-grid">
@@ -930,6 +2707,48 @@ export default function App() {
               ))}
             </div>
           </div>
+
+          {retentionPreview && (
+            <div className="insight-card">
+              <div className="insight-header">
+                <Shield size={24} />
+                <h3>Data Retention</h3>
+              </div>
+              <p className="retention-policy">
+                {retentionPreview.retentionDays
+                  ? `Entries older than ${retentionPreview.retentionDays} days are ${retentionPreview.mode === 'archive' ? 'archived' : 'permanently deleted'} automatically.`
+                  : 'Retention is off. Entries are kept until you delete them.'}
+              </p>
+
+              {retentionPreview.entries.length > 0 ? (
+                <>
+                  <p className="retention-summary">
+                    {retentionPreview.entries.length} {retentionPreview.entries.length === 1 ? 'entry' : 'entries'} will be removed in the next cleanup:
+                  </p>
+                  <div className="themes-list">
+                    {retentionPreview.entries.slice(0, 5).map(expired => (
+                      <div key={expired.id} className="theme-item">
+                        <span className="retention-excerpt">{expired.excerpt}</span>
+                        <span className="theme-count">{safeFormatDate(expired.ts, 'MMM d, yyyy')}</span>
+                      </div>
+                    ))}
+                  </div>
+                  <button className="entry-action-btn danger retention-run" onClick={runRetentionNow}>
+                    <Trash2 size={14} />
+                    Clean up now
+                  </button>
+                </>
+              ) : retentionPreview.retentionDays ? (
+                <p className="retention-summary">Nothing is due for removal.</p>
+              ) : null}
+
+              {retentionAudit.length > 0 && (
+                <p className="retention-last-run">
+                  Last cleanup {safeFormatDate(retentionAudit[0].runAt, 'MMM d, yyyy h:mm a')}: {retentionAudit[0].entries.length + (retentionAudit[0].archivedEntries || []).length} {retentionAudit[0].mode === 'archive' ? 'archived' : 'deleted'}
+                </p>
+              )}
+            </div>
+          )}
         </div>
       ) : (
         <div className="insights-empty">
@@ -944,7 +2763,7 @@ export default function App() {
       {/* Sentiment Trends Chart */}
       {trends && trends.length > 0 ? (
         <div className="chart-container">
-          <h3>Sentiment Trends (Last 30 Days)</h3>
+          <h3>Sentiment Trends ({rangeTitle})</h3>
           <ResponsiveContainer width="100%" height={300}>
             <LineChart data={trends}>
               <CartesianGrid strokeDasharray="3 3" stroke="rgba(74, 144, 226, 0.1)" />
@@ -967,7 +2786,7 @@ export default function App() {
                 }}
               />
               <Tooltip 
-                labelFormatter={(date) => `Date: ${date}`}
+                labelFormatter={(date) => (bucket.value === 'day' ? `Date: ${date}` : date)}
                 formatter={(value, name) => [
                   `${value > 0 ? '+' : ''}${value}`,
                   'Sentiment Score'
@@ -1041,31 +2860,199 @@ export default function App() {
                   </span>
                 </div>
                 <div className="stat">
-                  <span className="stat-label">Days Tracked:</span>
+                  <span className="stat-label">{bucket.plural} Tracked:</span>
                   <span className="stat-value">{trends.length}</span>
                 </div>
                 <div className="stat">
-                  <span className="stat-label">Best Day:</span>
+                  <span className="stat-label">Best {bucket.label}:</span>
                   <span className="stat-value">
                     {trends.reduce((best, current) => current.sentiment > best.sentiment ? current : best).displayDate}
                   </span>
                 </div>
+                {moodTrend?.slopePerWeek !== null && moodTrend?.slopePerWeek !== undefined && (
+                  <div className="stat">
+                    <span className="stat-label">Trend:</span>
+                    <span className="stat-value">
+                      {moodTrend.direction} {formatWeeklyChange(moodTrend.slopePerWeek)} / week
+                    </span>
+                    {moodTrend.confidenceInterval && (
+                      <span className="stat-detail">
+                        {Math.round(moodTrend.confidenceInterval.level * 100)}% CI {formatWeeklyChange(moodTrend.confidenceInterval.low)} to {formatWeeklyChange(moodTrend.confidenceInterval.high)}
+                      </span>
+                    )}
+                  </div>
+                )}
               </div>
+              {(() => {
+                // Flag charts that mix model analysis with local fallback results
+                const sourceTotals = trends.reduce((totals, day) => {
+                  Object.entries(day.analysisSources || {}).forEach(([source, count]) => {
+                    totals[source] = (totals[source] || 0) + count;
+                  });
+                  return totals;
+                }, {});
+                const total = Object.values(sourceTotals).reduce((sum, count) => sum + count, 0);
+                const nonModel = total - (sourceTotals.model || 0);
+                if (!sourceTotals.model || nonModel === 0) return null;
+                return (
+                  <p className="analysis-source-note">
+                    {nonModel} of {total} entries in this chart used local fallback analysis instead of the AI model.
+                  </p>
+                );
+              })()}
             </div>
           )}
         </div>
       ) : (
         <div className="chart-container">
-          <h3>Sentiment Trends (Last 30 Days)</h3>
+          <h3>Sentiment Trends ({rangeTitle})</h3>
           <div className="chart-empty">
             <p>Chart will appear here as you add more journal entries over time.</p>
           </div>
         </div>
       )}
+
+      {renderEmotionCharts(rangeTitle)}
     </div>
     );
   };
 
+  /**
+   * Month or year heatmap of daily mood, with entry counts. Missed days
+   * (no entries since the first one) are outlined so gaps in a streak show.
+   */
+  const renderCalendarView = () => {
+    // Days with entries, from the daily chats (or the offline copy when entries don't sync)
+    const dayList = dailyChats.length > 0
+      ? dailyChats
+      : [...new Set(entries.map(e => getDayKey(e.ts)))].map(date => ({ date, chats: buildOfflineChatHistory(entries, date) }));
+    const days = new Map(dayList.map(day => [day.date, day]));
+    const today = getDayKey(new Date());
+    const firstDay = [...days.keys()].sort()[0];
+    const isMissed = (dayKey) => !days.has(dayKey) && firstDay && dayKey >= firstDay && dayKey < today;
+
+    const period = calendarMode === 'year'
+      ? { start: startOfYear(calendarDate), end: endOfYear(calendarDate) }
+      : { start: startOfMonth(calendarDate), end: endOfMonth(calendarDate) };
+    const pastDays = eachDayOfInterval(period).map(getDayKey).filter(dayKey => dayKey <= today);
+    const writtenDays = pastDays.filter(dayKey => days.has(dayKey)).length;
+    const missedDays = pastDays.filter(isMissed).length;
+    let longestStreak = 0;
+    let run = 0;
+    pastDays.forEach(dayKey => {
+      run = days.has(dayKey) ? run + 1 : 0;
+      longestStreak = Math.max(longestStreak, run);
+    });
+
+    const step = (amount) => setCalendarDate(prev => (calendarMode === 'year' ? addYears(prev, amount) : addMonths(prev, amount)));
+
+    const renderCalendarDay = (date) => {
+      const dayKey = getDayKey(date);
+      const day = days.get(dayKey);
+      const mood = day ? dayMood(day.chats) : null;
+      const count = day ? day.chats.length : 0;
+      const missed = isMissed(dayKey);
+      const label = `${format(date, 'EEEE, MMM d, yyyy')}: ${day
+        ? `${count} ${count === 1 ? 'entry' : 'entries'}, ${mood.replace('_', ' ')}`
+        : missed ? 'missed' : 'no entries'}`;
+
+      return (
+        <button
+          key={dayKey}
+          className={`calendar-day ${missed ? 'missed' : ''} ${dayKey > today ? 'future' : ''} ${dayKey === today ? 'today' : ''}`}
+          style={day ? { backgroundColor: COLORS[mood] } : undefined}
+          title={label}
+          aria-label={label}
+          disabled={!day}
+          onClick={() => viewDailyChats(day)}
+        >
+          {calendarMode === 'month' && (
+            <>
+              <span className="calendar-date">{format(date, 'd')}</span>
+              {day && <span className="calendar-count">{count}</span>}
+            </>
+          )}
+        </button>
+      );
+    };
+
+    const renderMonth = (month) => (
+      <div key={format(month, 'yyyy-MM')} className="calendar-month">
+        {calendarMode === 'year' && (
+          <button
+            className="calendar-month-name"
+            onClick={() => {
+              setCalendarDate(month);
+              setCalendarMode('month');
+            }}
+          >
+            {format(month, 'MMMM')}
+          </button>
+        )}
+        <div className="calendar-grid">
+          {CALENDAR_WEEKDAYS.map(weekday => (
+            <span key={weekday} className="calendar-weekday">{calendarMode === 'year' ? weekday[0] : weekday}</span>
+          ))}
+          {monthWeeks(month).flat().map((date, index) => (
+            date ? renderCalendarDay(date) : <span key={`blank-${index}`} className="calendar-blank" />
+          ))}
+        </div>
+      </div>
+    );
+
+    return (
+      <div className={`insights-container mood-calendar ${calendarMode}`}>
+        <h2>Mood Calendar</h2>
+
+        <div className="calendar-header">
+          <button className="calendar-nav" onClick={() => step(-1)} aria-label={`Previous ${calendarMode}`}>
+            <ChevronLeft size={18} />
+          </button>
+          <h3>{format(calendarDate, calendarMode === 'year' ? 'yyyy' : 'MMMM yyyy')}</h3>
+          <button className="calendar-nav" onClick={() => step(1)} aria-label={`Next ${calendarMode}`}>
+            <ChevronRight size={18} />
+          </button>
+          <div className="range-presets">
+            {['month', 'year'].map(mode => (
+              <button
+                key={mode}
+                className={`range-preset ${calendarMode === mode ? 'active' : ''}`}
+                onClick={() => setCalendarMode(mode)}
+              >
+                {mode === 'month' ? 'Month' : 'Year'}
+              </button>
+            ))}
+          </div>
+        </div>
+
+        <div className="calendar-months">
+          {calendarMode === 'year'
+            ? eachMonthOfInterval(period).map(renderMonth)
+            : renderMonth(period.start)}
+        </div>
+
+        <div className="calendar-summary">
+          <span>{writtenDays} of {pastDays.length} days written</span>
+          <span>{missedDays} missed</span>
+          <span>Longest streak: {longestStreak} {longestStreak === 1 ? 'day' : 'days'}</span>
+          <span>Current streak: {insights?.writingStreak || 0} {insights?.writingStreak === 1 ? 'day' : 'days'}</span>
+        </div>
+        <div className="calendar-legend">
+          {[...SENTIMENT_LEVELS].reverse().map(level => (
+            <span key={level} className="calendar-legend-item">
+              <span className="calendar-swatch" style={{ backgroundColor: COLORS[level] }} />
+              {level.replace('_', ' ')}
+            </span>
+          ))}
+          <span className="calendar-legend-item">
+            <span className="calendar-swatch missed" />
+            missed
+          </span>
+        </div>
+      </div>
+    );
+  };
+
   const renderFutureEnhancement = () => {
     const getTabInfo = () => {
       switch (currentView) {
@@ -1121,6 +3108,498 @@ export default function App() {
     );
   };
 
+  const renderAuthView = () => (
+    <div className={`app ${isDarkMode ? 'dark' : 'light'}`}>
+      <main className="auth-main">
+        <motion.form
+          className="auth-card"
+          onSubmit={submitAuth}
+          initial={{ opacity: 0, y: 20 }}
+          animate={{ opacity: 1, y: 0 }}
+        >
+          <h1>📝 AI Journaling Companion</h1>
+          <p className="auth-subtitle">
+            {authMode === 'signup'
+              ? 'Create an account to start your private journal.'
+              : 'Sign in to continue journaling with Sam.'}
+          </p>
+
+          <label htmlFor="auth-email">Email</label>
+          <input
+            id="auth-email"
+            type="email"
+            autoComplete="email"
+            value={authEmail}
+            onChange={(e) => setAuthEmail(e.target.value)}
+            required
+          />
+
+          <label htmlFor="auth-password">Password</label>
+          <input
+            id="auth-password"
+            type="password"
+            autoComplete={authMode === 'signup' ? 'new-password' : 'current-password'}
+            minLength={authMode === 'signup' ? 8 : undefined}
+            value={authPassword}
+            onChange={(e) => setAuthPassword(e.target.value)}
+            required
+          />
+
+          {authError && <p className="auth-error">{authError}</p>}
+
+          <button type="submit" className="auth-submit" disabled={isAuthenticating}>
+            {isAuthenticating
+              ? 'Please wait...'
+              : authMode === 'signup' ? 'Create account' : 'Sign in'}
+          </button>
+
+          <button
+            type="button"
+            className="auth-switch"
+            onClick={() => {
+              setAuthMode(authMode === 'signup' ? 'signin' : 'signup');
+              setAuthError("");
+            }}
+          >
+            {authMode === 'signup'
+              ? 'Already have an account? Sign in'
+              : "New here? Create an account"}
+          </button>
+
+          <div className="auth-privacy">
+            <Shield size={14} />
+            <span>Your journal is only visible to you.</span>
+          </div>
+        </motion.form>
+      </main>
+    </div>
+  );
+
+  const renderUnlockView = () => (
+    <div className={`app ${isDarkMode ? 'dark' : 'light'}`}>
+      <main className="auth-main">
+        <motion.form
+          className="auth-card"
+          onSubmit={submitVaultPassphrase}
+          initial={{ opacity: 0, y: 20 }}
+          animate={{ opacity: 1, y: 0 }}
+        >
+          <h1>📝 AI Journaling Companion</h1>
+          <p className="auth-subtitle">
+            {connectionStatus === 'connected'
+              ? "Sync is off, so new entries are kept on this device. "
+              : "You're offline. "}
+            {hasVault()
+              ? "Enter your passphrase to open the journal saved on this device."
+              : "Choose a passphrase to encrypt the entries you write on this device."}
+          </p>
+
+          <label htmlFor="vault-passphrase">Passphrase</label>
+          <input
+            id="vault-passphrase"
+            type="password"
+            autoComplete={hasVault() ? 'current-password' : 'new-password'}
+            value={vaultPassphrase}
+            onChange={(e) => setVaultPassphrase(e.target.value)}
+            required
+          />
+
+          {vaultError && <p className="auth-error">{vaultError}</p>}
+
+          <button type="submit" className="auth-submit" disabled={isAuthenticating}>
+            {isAuthenticating ? 'Please wait...' : hasVault() ? 'Unlock' : 'Set passphrase'}
+          </button>
+
+          <div className="auth-privacy">
+            <Lock size={14} />
+            <span>Entries on this device are encrypted with your passphrase.</span>
+          </div>
+        </motion.form>
+      </main>
+    </div>
+  );
+
+  const renderSettingsView = () => {
+    // Settings may finish loading after the view was opened
+    const draft = settingsDraft || privacySettings;
+    if (connectionStatus !== 'connected' || !draft) {
+      return (
+        <div className="insights-container settings-container">
+          <h2>⚙️ Settings</h2>
+          <p className="settings-note">Privacy settings are saved with your account. Reconnect to change them.</p>
+          <button type="button" className="entry-action-btn" onClick={() => setShowSecurity(true)}>
+            <Lock size={14} />
+            Encryption & passphrase
+          </button>
+        </div>
+      );
+    }
+
+    const userTags = hashtags.filter(hashtag => hashtag.kinds.includes('tag'));
+    const retentionOptions = RETENTION_OPTIONS.some(option => option.value === draft.dataRetention)
+      ? RETENTION_OPTIONS
+      : [{ value: draft.dataRetention, label: `${draft.dataRetention} days` }, ...RETENTION_OPTIONS];
+
+    return (
+      <div className="insights-container settings-container">
+        <h2>⚙️ Settings</h2>
+
+        <form className="settings-form" onSubmit={saveSettings}>
+          <div className="settings-group">
+            <label htmlFor="data-retention">Keep entries for</label>
+            <select
+              id="data-retention"
+              value={draft.dataRetention ?? 'forever'}
+              onChange={(e) => updateSettingsDraft({
+                dataRetention: e.target.value === 'forever' ? null : Number(e.target.value)
+              })}
+            >
+              {retentionOptions.map(option => (
+                <option key={option.label} value={option.value ?? 'forever'}>{option.label}</option>
+              ))}
+            </select>
+            <p className="settings-note">
+              Older entries are {privacySettings.retentionMode === 'archive' ? 'archived' : 'permanently deleted'} by the daily clean-up.
+            </p>
+          </div>
+
+          <div className="settings-group">
+            <span className="settings-label">AI processing</span>
+            {AI_MODE_OPTIONS.map(option => (
+              <label key={option.value} className="settings-option">
+                <input
+                  type="radio"
+                  name="ai-mode"
+                  value={option.value}
+                  checked={draft.aiMode === option.value}
+                  onChange={() => updateSettingsDraft({ aiMode: option.value })}
+                />
+                <span>
+                  <strong>
+                    {option.label}
+                    {option.value === 'cloud' && aiProviderInfo?.name ? ` (${aiProviderInfo.name})` : ''}
+                  </strong>
+                  <small>{option.description}</small>
+                </span>
+              </label>
+            ))}
+          </div>
+
+          <div className="settings-group">
+            <label className="settings-option">
+              <input
+                type="checkbox"
+                checked={draft.aiReplies && draft.aiMode !== 'off'}
+                disabled={draft.aiMode === 'off'}
+                onChange={(e) => updateSettingsDraft({ aiReplies: e.target.checked })}
+              />
+              <span>
+                <strong>Replies from Sam</strong>
+                <small>When off, entries are analyzed but Sam doesn't respond.</small>
+              </span>
+            </label>
+            <label className="settings-option">
+              <input
+                type="checkbox"
+                checked={draft.syncEntries}
+                onChange={(e) => updateSettingsDraft({ syncEntries: e.target.checked })}
+              />
+              <span>
+                <strong>Save entries to the server</strong>
+                <small>
+                  When off, new entries are analyzed and then kept only in this device's encrypted copy.
+                  They won't appear in your insights or on other devices.
+                </small>
+              </span>
+            </label>
+          </div>
+
+          {settingsMessage && (
+            <p className={`security-message ${settingsMessage.type}`}>{settingsMessage.text}</p>
+          )}
+
+          <div className="settings-actions">
+            <button type="submit" className="auth-submit">
+              Save settings
+            </button>
+            <button type="button" className="entry-action-btn" onClick={() => setShowSecurity(true)}>
+              <Lock size={14} />
+              Encryption & passphrase
+            </button>
+          </div>
+        </form>
+
+        <form className="settings-form export-form" onSubmit={exportJournal}>
+          <h3>📦 Export your journal</h3>
+          <p className="settings-note">
+            Download your entries and conversations with Sam, for yourself or to share with a therapist.
+            {!syncingToServer && " Entries kept only on this device aren't included."}
+          </p>
+
+          <div className="settings-group">
+            <label htmlFor="export-format">Format</label>
+            <select
+              id="export-format"
+              value={exportOptions.format}
+              onChange={(e) => setExportOptions(prev => ({ ...prev, format: e.target.value }))}
+            >
+              {EXPORT_FORMAT_OPTIONS.map(option => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
+            </select>
+          </div>
+
+          <div className="export-range">
+            <div className="settings-group">
+              <label htmlFor="export-from">From</label>
+              <input
+                id="export-from"
+                type="date"
+                value={exportOptions.from}
+                max={exportOptions.to || undefined}
+                onChange={(e) => setExportOptions(prev => ({ ...prev, from: e.target.value }))}
+              />
+            </div>
+            <div className="settings-group">
+              <label htmlFor="export-to">To</label>
+              <input
+                id="export-to"
+                type="date"
+                value={exportOptions.to}
+                min={exportOptions.from || undefined}
+                onChange={(e) => setExportOptions(prev => ({ ...prev, to: e.target.value }))}
+              />
+            </div>
+          </div>
+
+          <div className="settings-group">
+            <label htmlFor="export-hashtag">Hashtag</label>
+            <select
+              id="export-hashtag"
+              value={exportOptions.hashtag}
+              onChange={(e) => setExportOptions(prev => ({ ...prev, hashtag: e.target.value }))}
+            >
+              <option value="">All entries</option>
+              {hashtags.map(hashtag => (
+                <option key={hashtag.name} value={hashtag.name}>#{hashtag.name}</option>
+              ))}
+            </select>
+          </div>
+
+          <div className="settings-actions">
+            <button type="submit" className="auth-submit" disabled={isExporting}>
+              <Download size={16} />
+              {isExporting ? 'Preparing...' : 'Download'}
+            </button>
+          </div>
+        </form>
+
+        <form className="settings-form export-form" onSubmit={importJournal}>
+          <h3>📥 Import entries</h3>
+          <p className="settings-note">
+            Bring in a backup from this app, a Day One JSON export (unzipped), Markdown files or a CSV
+            with date and text columns. Entries already in your journal are skipped.
+          </p>
+
+          <div className="settings-group">
+            <label htmlFor="import-files">Files</label>
+            <input
+              id="import-files"
+              type="file"
+              multiple
+              accept=".json,.md,.markdown,.txt,.csv"
+              onChange={(e) => {
+                setImportFiles(Array.from(e.target.files));
+                setImportMessage(null);
+              }}
+            />
+          </div>
+
+          <div className="settings-group">
+            <label className="settings-option">
+              <input
+                type="checkbox"
+                checked={importAnalyze && privacySettings.aiMode === 'cloud'}
+                disabled={privacySettings.aiMode !== 'cloud'}
+                onChange={(e) => setImportAnalyze(e.target.checked)}
+              />
+              <span>
+                <strong>Analyze with {aiProviderInfo?.name || 'AI'}</strong>
+                <small>Slower for large imports. Otherwise entries get on-device analysis, and backups keep theirs.</small>
+              </span>
+            </label>
+          </div>
+
+          {importMessage && (
+            <p className={`security-message ${importMessage.type}`}>{importMessage.text}</p>
+          )}
+
+          <div className="settings-actions">
+            <button type="submit" className="auth-submit" disabled={isImporting || importFiles.length === 0 || !syncingToServer}>
+              <Upload size={16} />
+              {isImporting ? 'Importing...' : 'Import'}
+            </button>
+            {!syncingToServer && <span className="settings-note">Turn on sync to import entries.</span>}
+          </div>
+        </form>
+
+        <div className="settings-form export-form tag-manager">
+          <h3>🏷️ Your tags</h3>
+          <p className="settings-note">
+            Tags you add to entries or write in them, like #therapy. Renaming a tag to one you
+            already use merges the two. AI themes come from the analysis and aren't changed here.
+          </p>
+
+          {userTags.length === 0 ? (
+            <p className="settings-note">No tags yet. Write a #hashtag in an entry or add one from Recent Chats.</p>
+          ) : (
+            <ul className="tag-list">
+              {userTags.map(tag => (
+                <li key={tag.name} className="tag-row">
+                  <input
+                    type="checkbox"
+                    checked={selectedTags.includes(tag.name)}
+                    onChange={(e) => setSelectedTags(prev => (e.target.checked
+                      ? [...prev, tag.name]
+                      : prev.filter(name => name !== tag.name)))}
+                    aria-label={`Select #${tag.name} to merge`}
+                  />
+                  <span className="theme-badge user-tag">#{tag.name}</span>
+                  <span className="tag-count">{tag.count} {tag.count === 1 ? 'entry' : 'entries'}</span>
+                  <input
+                    type="text"
+                    placeholder="New name"
+                    value={tagRenames[tag.name] || ""}
+                    onChange={(e) => setTagRenames(prev => ({ ...prev, [tag.name]: e.target.value }))}
+                    aria-label={`Rename #${tag.name}`}
+                  />
+                  <button
+                    type="button"
+                    className="entry-action-btn"
+                    disabled={!syncingToServer || !(tagRenames[tag.name] || "").trim()}
+                    onClick={() => renameTag(tag.name)}
+                  >
+                    <Pencil size={14} /> Rename
+                  </button>
+                  <button
+                    type="button"
+                    className="entry-action-btn danger"
+                    disabled={!syncingToServer}
+                    onClick={() => deleteTag(tag.name)}
+                    aria-label={`Delete #${tag.name}`}
+                  >
+                    <Trash2 size={14} />
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+
+          {selectedTags.length > 1 && (
+            <div className="settings-actions">
+              <input
+                type="text"
+                placeholder="Merge into..."
+                value={mergeTarget}
+                onChange={(e) => setMergeTarget(e.target.value)}
+                aria-label="Merged tag name"
+              />
+              <button type="button" className="auth-submit" onClick={mergeTags} disabled={!syncingToServer || !mergeTarget.trim()}>
+                <Tag size={16} />
+                Merge {selectedTags.length} tags
+              </button>
+            </div>
+          )}
+
+          {tagMessage && (
+            <p className={`security-message ${tagMessage.type}`}>{tagMessage.text}</p>
+          )}
+        </div>
+      </div>
+    );
+  };
+
+  const renderSecurityModal = () => (
+    <AnimatePresence>
+      {showSecurity && (
+        <motion.div 
+          className="chat-history-modal"
+          initial={{ opacity: 0 }}
+          animate={{ opacity: 1 }}
+          exit={{ opacity: 0 }}
+          onClick={closeSecurity}
+        >
+          <motion.div 
+            className="chat-history-content security-content"
+            initial={{ scale: 0.9, y: 20 }}
+            animate={{ scale: 1, y: 0 }}
+            exit={{ scale: 0.9, y: 20 }}
+            onClick={(e) => e.stopPropagation()}
+          >
+            <div className="chat-history-header">
+              <h3>Encryption & Passphrase</h3>
+              <button className="close-button" onClick={closeSecurity}>
+                ×
+              </button>
+            </div>
+
+            <form className="security-form" onSubmit={changePassphrase}>
+              <p className="security-note">
+                Your entries and conversations are encrypted with a key only your passphrase can unlock.
+                Sentiment, emotions and themes stay readable so your charts keep working.
+              </p>
+
+              <label htmlFor="current-passphrase">Current passphrase</label>
+              <input
+                id="current-passphrase"
+                type="password"
+                autoComplete="current-password"
+                value={currentPassphrase}
+                onChange={(e) => setCurrentPassphrase(e.target.value)}
+              />
+
+              <label htmlFor="new-passphrase">New passphrase</label>
+              <input
+                id="new-passphrase"
+                type="password"
+                autoComplete="new-password"
+                minLength={8}
+                value={newPassphrase}
+                onChange={(e) => setNewPassphrase(e.target.value)}
+              />
+
+              {securityMessage && (
+                <p className={`security-message ${securityMessage.type}`}>{securityMessage.text}</p>
+              )}
+
+              <div className="security-actions">
+                <button type="submit" className="auth-submit" disabled={!currentPassphrase || !newPassphrase}>
+                  Change passphrase
+                </button>
+                <button type="button" className="entry-action-btn" onClick={rotateKey}>
+                  <RefreshCw size={14} />
+                  Rotate encryption key
+                </button>
+              </div>
+            </form>
+          </motion.div>
+        </motion.div>
+      )}
+    </AnimatePresence>
+  );
+
+  // Online journals belong to an account; offline mode stays local to this device
+  if (connectionStatus === 'connected' && !currentUser) {
+    return authToken
+      ? <div className={`app ${isDarkMode ? 'dark' : 'light'}`}><p className="auth-loading">Signing you in...</p></div>
+      : renderAuthView();
+  }
+
+  // The local copy is encrypted, so it has to be unlocked before it's used
+  if (!syncingToServer && connectionStatus !== 'checking' && !vaultKey) {
+    return renderUnlockView();
+  }
+
   return (
     <div className={`app ${isDarkMode ? 'dark' : 'light'}`}>
       <header className="app-header">
@@ -1135,10 +3614,26 @@ export default function App() {
             </button>
             <button 
               className="settings-button"
-              onClick={() => setCurrentView(currentView === 'journal' ? 'insights' : 'journal')}
+              onClick={openSettings}
             >
               <Settings size={20} />
             </button>
+            <button 
+              className="settings-button"
+              onClick={() => setShowSecurity(true)}
+              title="Encryption & passphrase"
+            >
+              <Lock size={20} />
+            </button>
+            {currentUser && (
+              <button 
+                className="settings-button"
+                onClick={signOut}
+                title={`Sign out ${currentUser.email}`}
+              >
+                <LogOut size={20} />
+              </button>
+            )}
           </div>
         </div>
         
@@ -1157,6 +3652,13 @@ export default function App() {
             <BarChart3 size={16} />
             Insights
           </button>
+          <button 
+            className={`nav-button ${currentView === 'calendar' ? 'active' : ''}`}
+            onClick={() => setCurrentView('calendar')}
+          >
+            <Calendar size={16} />
+            Calendar
+          </button>
           <button 
             className={`nav-button ${currentView === 'newsfeed' ? 'active' : ''}`}
             onClick={() => setCurrentView('newsfeed')}
@@ -1189,7 +3691,7 @@ export default function App() {
       </header>
 
       <main className="app-main">
-        <div className={`main-content ${currentView === 'insights' ? 'insights-view' : ''}`}>
+        <div className={`main-content ${['insights', 'calendar', 'settings'].includes(currentView) ? 'insights-view' : ''}`}>
           {currentView === 'journal' ? (
             <>
               <motion.div
@@ -1219,6 +3721,24 @@ export default function App() {
             >
               {renderInsightsView()}
             </motion.div>
+          ) : currentView === 'calendar' ? (
+            <motion.div
+              className="insights-section active"
+              initial={{ opacity: 0, y: 20 }}
+              animate={{ opacity: 1, y: 0 }}
+              transition={{ duration: 0.3 }}
+            >
+              {renderCalendarView()}
+            </motion.div>
+          ) : currentView === 'settings' ? (
+            <motion.div
+              className="insights-section active"
+              initial={{ opacity: 0, y: 20 }}
+              animate={{ opacity: 1, y: 0 }}
+              transition={{ duration: 0.3 }}
+            >
+              {renderSettingsView()}
+            </motion.div>
           ) : (
             <motion.div
               className="future-section active"
@@ -1231,6 +3751,9 @@ export default function App() {
           )}
         </div>
       </main>
+
+      {renderChatHistoryModal()}
+      {renderSecurityModal()}
     </div>
   );
-}
\ No newline at end of file
+}
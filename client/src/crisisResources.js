@@ -0,0 +1,105 @@
+// Crisis lines shown when an entry is flagged by the safety check
+// (shared/safety.js), keyed by ISO region code. INTL is the fallback for
+// regions without their own list.
+
+export const CRISIS_REGION_KEY = 'crisisRegion';
+
+export const CRISIS_RESOURCES = {
+  US: {
+    name: 'United States',
+    emergency: '911',
+    lines: [
+      { name: '988 Suicide & Crisis Lifeline', contact: 'Call or text 988', link: 'https://988lifeline.org' },
+      { name: 'Crisis Text Line', contact: 'Text HOME to 741741', link: 'https://www.crisistextline.org' }
+    ]
+  },
+  CA: {
+    name: 'Canada',
+    emergency: '911',
+    lines: [
+      { name: '9-8-8 Suicide Crisis Helpline', contact: 'Call or text 988', link: 'https://988.ca' },
+      { name: 'Kids Help Phone', contact: 'Call 1-800-668-6868 or text 686868', link: 'https://kidshelpphone.ca' }
+    ]
+  },
+  GB: {
+    name: 'United Kingdom',
+    emergency: '999',
+    lines: [
+      { name: 'Samaritans', contact: 'Call 116 123', link: 'https://www.samaritans.org' },
+      { name: 'Shout', contact: 'Text SHOUT to 85258', link: 'https://giveusashout.org' }
+    ]
+  },
+  IE: {
+    name: 'Ireland',
+    emergency: '112 or 999',
+    lines: [
+      { name: 'Samaritans', contact: 'Call 116 123', link: 'https://www.samaritans.org/ireland' },
+      { name: '50808', contact: 'Text HELLO to 50808', link: 'https://text50808.ie' }
+    ]
+  },
+  AU: {
+    name: 'Australia',
+    emergency: '000',
+    lines: [
+      { name: 'Lifeline', contact: 'Call 13 11 14 or text 0477 13 11 14', link: 'https://www.lifeline.org.au' },
+      { name: 'Beyond Blue', contact: 'Call 1300 22 4636', link: 'https://www.beyondblue.org.au' }
+    ]
+  },
+  NZ: {
+    name: 'New Zealand',
+    emergency: '111',
+    lines: [
+      { name: 'Need to talk?', contact: 'Call or text 1737', link: 'https://1737.org.nz' },
+      { name: 'Lifeline Aotearoa', contact: 'Call 0800 543 354', link: 'https://www.lifeline.org.nz' }
+    ]
+  },
+  IN: {
+    name: 'India',
+    emergency: '112',
+    lines: [
+      { name: 'Tele-MANAS', contact: 'Call 14416', link: 'https://telemanas.mohfw.gov.in' }
+    ]
+  },
+  DE: {
+    name: 'Germany',
+    emergency: '112',
+    lines: [
+      { name: 'TelefonSeelsorge', contact: 'Call 0800 111 0 111 or 0800 111 0 222', link: 'https://www.telefonseelsorge.de' }
+    ]
+  },
+  FR: {
+    name: 'France',
+    emergency: '112',
+    lines: [
+      { name: 'Numéro national de prévention du suicide', contact: 'Call 3114', link: 'https://3114.fr' }
+    ]
+  },
+  ES: {
+    name: 'Spain',
+    emergency: '112',
+    lines: [
+      { name: 'Línea 024', contact: 'Call 024', link: null }
+    ]
+  },
+  INTL: {
+    name: 'Other country',
+    emergency: 'your local emergency number',
+    lines: [
+      { name: 'Find A Helpline', contact: 'Free, confidential lines in your country', link: 'https://findahelpline.com' }
+    ]
+  }
+};
+
+/**
+ * Best guess at the user's region from the browser's languages ("en-GB" -> "GB"),
+ * unless they picked one before
+ */
+export function detectCrisisRegion() {
+  const saved = localStorage.getItem(CRISIS_REGION_KEY);
+  if (saved && CRISIS_RESOURCES[saved]) return saved;
+
+  const region = (navigator.languages || [navigator.language])
+    .map(language => (language || '').split('-')[1]?.toUpperCase())
+    .find(code => code && CRISIS_RESOURCES[code]);
+  return region || 'INTL';
+}
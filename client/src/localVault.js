@@ -0,0 +1,153 @@
+// Passphrase-protected storage for the offline journal copy (Web Crypto, AES-GCM).
+// A random data key encrypts the entries; only a passphrase-wrapped copy of it
+// is kept in localStorage.
+
+const VAULT_KEY = 'journalVault';
+const ENTRIES_KEY = 'journalEntries';
+const SYNC_KEY = 'journalSyncQueue';
+const PBKDF2_ITERATIONS = 210000;
+
+const subtle = () => window.crypto.subtle;
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+const toBase64 = (buffer) => {
+  const bytes = new Uint8Array(buffer);
+  let binary = '';
+  // Chunked so large journals don't overflow the argument limit
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+};
+const fromBase64 = (text) => Uint8Array.from(atob(text), char => char.charCodeAt(0));
+
+async function deriveWrappingKey(passphrase, salt) {
+  const material = await subtle().importKey('raw', encoder.encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+  return subtle().deriveKey(
+    { name: 'PBKDF2', salt, iterations: PBKDF2_ITERATIONS, hash: 'SHA-256' },
+    material,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt']
+  );
+}
+
+async function encryptBytes(key, bytes) {
+  const iv = window.crypto.getRandomValues(new Uint8Array(12));
+  const data = await subtle().encrypt({ name: 'AES-GCM', iv }, key, bytes);
+  return { iv: toBase64(iv), data: toBase64(data) };
+}
+
+async function decryptBytes(key, blob) {
+  return subtle().decrypt({ name: 'AES-GCM', iv: fromBase64(blob.iv) }, key, fromBase64(blob.data));
+}
+
+const importDataKey = (raw) => subtle().importKey('raw', raw, 'AES-GCM', false, ['encrypt', 'decrypt']);
+
+/**
+ * Vault record holding the raw data key wrapped with a passphrase
+ */
+async function sealVault(rawKey, passphrase, keyVersion) {
+  const salt = window.crypto.getRandomValues(new Uint8Array(16));
+  const wrappingKey = await deriveWrappingKey(passphrase, salt);
+  return JSON.stringify({
+    salt: toBase64(salt),
+    wrappedKey: await encryptBytes(wrappingKey, rawKey),
+    keyVersion
+  });
+}
+
+const sealJson = async (key, value) =>
+  JSON.stringify(await encryptBytes(key, encoder.encode(JSON.stringify(value))));
+
+const openJson = async (key, sealed) => JSON.parse(decoder.decode(await decryptBytes(key, sealed)));
+
+async function openVault(passphrase) {
+  const vault = JSON.parse(localStorage.getItem(VAULT_KEY));
+  const wrappingKey = await deriveWrappingKey(passphrase, fromBase64(vault.salt));
+  try {
+    const rawKey = await decryptBytes(wrappingKey, vault.wrappedKey);
+    return { vault, rawKey };
+  } catch (err) {
+    // AES-GCM fails authentication when the passphrase is wrong
+    throw new Error('Incorrect passphrase');
+  }
+}
+
+export const hasVault = () => localStorage.getItem(VAULT_KEY) !== null;
+
+export async function saveEntries(key, entries) {
+  localStorage.setItem(ENTRIES_KEY, await sealJson(key, entries));
+}
+
+export async function loadEntries(key) {
+  const saved = JSON.parse(localStorage.getItem(ENTRIES_KEY));
+  if (!saved) return [];
+  // Copies saved before the vault existed are plain arrays
+  if (Array.isArray(saved)) return saved;
+  return openJson(key, saved);
+}
+
+/**
+ * Offline changes waiting to be synced ({ ops, conflicts }), or null if
+ * this device has never had a sync queue
+ */
+export async function loadSyncState(key) {
+  const saved = JSON.parse(localStorage.getItem(SYNC_KEY));
+  return saved ? openJson(key, saved) : null;
+}
+
+export async function saveSyncState(key, state) {
+  localStorage.setItem(SYNC_KEY, await sealJson(key, state));
+}
+
+/**
+ * Create a vault and encrypt any plaintext entries already on this device
+ */
+export async function createVault(passphrase) {
+  const rawKey = window.crypto.getRandomValues(new Uint8Array(32));
+  const key = await importDataKey(rawKey);
+  const vault = await sealVault(rawKey, passphrase, 1);
+
+  const existing = JSON.parse(localStorage.getItem(ENTRIES_KEY));
+  const sealed = Array.isArray(existing) ? await sealJson(key, existing) : null;
+  localStorage.setItem(VAULT_KEY, vault);
+  if (sealed) localStorage.setItem(ENTRIES_KEY, sealed);
+  return key;
+}
+
+export async function unlockVault(passphrase) {
+  const { rawKey } = await openVault(passphrase);
+  return importDataKey(rawKey);
+}
+
+/**
+ * Re-wrap the same data key under a new passphrase
+ */
+export async function changeVaultPassphrase(currentPassphrase, newPassphrase) {
+  const { vault, rawKey } = await openVault(currentPassphrase);
+  localStorage.setItem(VAULT_KEY, await sealVault(rawKey, newPassphrase, vault.keyVersion));
+}
+
+/**
+ * Replace the data key and re-encrypt the stored entries and sync queue with it
+ */
+export async function rotateVaultKey(passphrase) {
+  const { vault, rawKey } = await openVault(passphrase);
+  const oldKey = await importDataKey(rawKey);
+  const entries = await loadEntries(oldKey);
+  const syncState = await loadSyncState(oldKey);
+
+  const newRawKey = window.crypto.getRandomValues(new Uint8Array(32));
+  const newKey = await importDataKey(newRawKey);
+  const sealedEntries = await sealJson(newKey, entries);
+  const sealedSync = syncState ? await sealJson(newKey, syncState) : null;
+  const newVault = await sealVault(newRawKey, passphrase, vault.keyVersion + 1);
+
+  // Written back to back so the stored data and the key that opens it never diverge
+  localStorage.setItem(ENTRIES_KEY, sealedEntries);
+  if (sealedSync) localStorage.setItem(SYNC_KEY, sealedSync);
+  localStorage.setItem(VAULT_KEY, newVault);
+  return newKey;
+}
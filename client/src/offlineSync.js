@@ -0,0 +1,144 @@
+// Offline-first sync: writes made while the server is unreachable are queued
+// (encrypted, next to the offline copy) and replayed in order once
+// /api/health responds again.
+
+export const createLocalId = () => `local-${window.crypto.randomUUID()}`;
+
+// Offline entries used Date.now() IDs before they had the local- prefix
+export const isLocalId = (id) => typeof id === 'number' || String(id).startsWith('local-');
+
+/**
+ * Entries saved offline used `text` where the server uses `userInput`;
+ * convert either shape to the server's
+ */
+export function normalizeEntry(entry) {
+  const { text, ...rest } = entry;
+  return {
+    ...rest,
+    userInput: entry.userInput ?? text,
+    conversation: entry.conversation || []
+  };
+}
+
+/**
+ * The version an offline edit is made against (see PATCH /api/entries/:id)
+ */
+export const entryVersion = (entry) => entry.updatedAt || entry.ts;
+
+/**
+ * Starting queue for a device that has never synced: entries written offline
+ * before the queue existed still need to reach the server
+ */
+export const createSyncState = (offlineEntries) => ({
+  ops: offlineEntries
+    .filter(entry => isLocalId(entry.id) && !entry.localOnly)
+    .map(entry => normalizeEntry(entry))
+    .map(entry => ({ type: 'create', entryId: entry.id, text: entry.userInput, ts: entry.ts })),
+  conflicts: [],
+  failed: []
+});
+
+/**
+ * Add an operation ({ type: 'create' | 'edit' | 'delete' | 'reanalyze', entryId, ... })
+ * to the queue, folding it into earlier operations on the same entry
+ */
+export function enqueue(ops, op) {
+  const forEntry = ops.filter(queued => queued.entryId === op.entryId);
+  const pendingCreate = forEntry.find(queued => queued.type === 'create');
+
+  if (op.type === 'create' && pendingCreate) {
+    return ops;
+  }
+  if (op.type === 'delete') {
+    // Nothing to delete on the server if the entry never got there
+    const others = ops.filter(queued => queued.entryId !== op.entryId);
+    return pendingCreate ? others : [...others, op];
+  }
+  if (op.type === 'edit') {
+    const pendingEdit = pendingCreate || forEntry.find(queued => queued.type === 'edit');
+    // A folded edit keeps the version the first offline edit was made against
+    return pendingEdit
+      ? ops.map(queued => (queued === pendingEdit ? { ...queued, text: op.text, editedAt: op.editedAt } : queued))
+      : [...ops, op];
+  }
+  if (op.type === 'reanalyze' && forEntry.length > 0) {
+    // Creates and edits are analyzed by the server anyway
+    return ops;
+  }
+  return [...ops, op];
+}
+
+const requestFor = (op) => {
+  switch (op.type) {
+    case 'create':
+      return ['/api/sentiment', { method: 'POST', body: { text: op.text, timestamp: op.ts, clientId: String(op.entryId) } }];
+    case 'edit':
+      return [`/api/entries/${op.entryId}`, { method: 'PATCH', body: { text: op.text, baseUpdatedAt: op.baseUpdatedAt } }];
+    case 'delete':
+      return [`/api/entries/${op.entryId}`, { method: 'DELETE' }];
+    case 'reanalyze':
+      return [`/api/entries/${op.entryId}/reanalyze`, { method: 'POST' }];
+    default:
+      throw new Error(`Unknown sync operation "${op.type}"`);
+  }
+};
+
+/**
+ * Replay queued operations until the queue is empty or the server stops
+ * answering. Returns the new sync state, a map of local → server IDs, the
+ * local entries the server declined to store (sync turned off) and how
+ * many operations were applied. Entries the server rejects are kept in
+ * `failed` until the user saves or discards them.
+ */
+export async function replayQueue(state, apiFetch) {
+  let ops = [...state.ops];
+  const conflicts = [...state.conflicts];
+  const failed = [...(state.failed || [])];
+  const idMap = {};
+  const keptLocal = [];
+  let applied = 0;
+
+  while (ops.length > 0) {
+    const op = ops[0];
+    const [url, { method, body }] = requestFor(op);
+
+    let res;
+    try {
+      res = await apiFetch(url, {
+        method,
+        ...(body ? { headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) } : {})
+      });
+    } catch (err) {
+      break; // Offline again, try later
+    }
+    if (res.status === 401 || res.status >= 500) break;
+
+    const data = await res.json().catch(() => ({}));
+    if (op.type === 'create' && res.ok && data.stored === false) {
+      // Sync was turned off in the meantime, so the entry stays on this device
+      keptLocal.push(op.entryId);
+      ops = ops.filter(queued => queued.entryId !== op.entryId);
+      continue;
+    }
+
+    if (op.type === 'create' && res.ok) {
+      idMap[op.entryId] = data.id;
+      ops = ops.map(queued => (queued.entryId === op.entryId ? { ...queued, entryId: data.id } : queued));
+    } else if (op.type === 'edit' && (res.status === 409 || res.status === 404)) {
+      const server = res.status === 409 ? data.entry : null;
+      // Same text on both sides isn't a real conflict
+      if (!server || server.userInput !== op.text.trim()) {
+        conflicts.push({ entryId: op.entryId, text: op.text, ts: op.ts, editedAt: op.editedAt, server });
+      }
+    } else if (op.type === 'create' && !res.ok) {
+      failed.push({ entryId: op.entryId, text: op.text, ts: op.ts, error: data.error || `Status ${res.status}` });
+    } else if (!res.ok && res.status !== 404) {
+      console.error(`❌ Dropping queued ${op.type} for ${op.entryId}:`, data.error || res.status);
+    }
+
+    ops = ops.slice(1);
+    applied++;
+  }
+
+  return { state: { ops, conflicts, failed }, idMap, keptLocal, applied };
+}
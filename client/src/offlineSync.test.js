@@ -0,0 +1,35 @@
+import { replayQueue } from './offlineSync';
+
+const respond = (status, body) => Promise.resolve({ ok: status < 400, status, json: () => Promise.resolve(body) });
+
+describe('replayQueue', () => {
+  test('keeps a rejected new entry instead of dropping its text', async () => {
+    const state = {
+      ops: [
+        { type: 'create', entryId: 'local-1', text: 'Written on a fast clock', ts: '2099-01-01T09:00:00.000Z' },
+        { type: 'create', entryId: 'local-2', text: 'Written on time', ts: '2026-03-01T09:00:00.000Z' }
+      ],
+      conflicts: []
+    };
+    const apiFetch = (url, { body }) => (JSON.parse(body).clientId === 'local-1'
+      ? respond(400, { error: "timestamp must be an ISO 8601 date that isn't in the future" })
+      : respond(201, { id: 'server-2' }));
+
+    const { state: next, idMap } = await replayQueue(state, apiFetch);
+    expect(next.ops).toEqual([]);
+    expect(idMap).toEqual({ 'local-2': 'server-2' });
+    expect(next.failed).toEqual([{
+      entryId: 'local-1',
+      text: 'Written on a fast clock',
+      ts: '2099-01-01T09:00:00.000Z',
+      error: "timestamp must be an ISO 8601 date that isn't in the future"
+    }]);
+  });
+
+  test('stops without losing anything when the server is unreachable', async () => {
+    const state = { ops: [{ type: 'create', entryId: 'local-1', text: 'Hi', ts: '2026-03-01T09:00:00.000Z' }], conflicts: [] };
+    const { state: next } = await replayQueue(state, () => Promise.reject(new Error('offline')));
+    expect(next.ops).toEqual(state.ops);
+    expect(next.failed).toEqual([]);
+  });
+});
@@ -0,0 +1,247 @@
+// Local sentiment, emotion and theme analysis.
+// Shared by the server (local provider and AI fallback) and the client's
+// offline mode, so both label entries the same way. Keep this file
+// CommonJS and free of Node-only APIs so it runs in both environments.
+const Sentiment = require('sentiment');
+const englishLabels = require('sentiment/languages/en/labels.json');
+
+const SENTIMENT_LEVELS = ['very_negative', 'negative', 'neutral', 'positive', 'very_positive'];
+const EMOTIONS = ['joy', 'sadness', 'anger', 'fear', 'surprise', 'disgust'];
+const THEMES = ['work', 'relationships', 'health', 'creativity', 'travel', 'learning', 'stress', 'gratitude', 'goals', 'nature'];
+
+// Words that flip the polarity of a sentiment word up to NEGATION_WINDOW tokens later
+const NEGATORS = new Set([
+  'not', 'no', 'never', 'none', 'nobody', 'nothing', 'neither', 'nor', 'nowhere', 'without',
+  'hardly', 'barely', 'scarcely', 'cant', "can't", 'cannot', 'dont', "don't", 'doesnt', "doesn't",
+  'didnt', "didn't", 'isnt', "isn't", 'wasnt', "wasn't", 'arent', "aren't", 'werent', "weren't",
+  'wont', "won't", 'wouldnt', "wouldn't", 'shouldnt', "shouldn't", 'couldnt', "couldn't",
+  'havent', "haven't", 'hasnt', "hasn't", 'aint', "ain't"
+]);
+const NEGATION_WINDOW = 3;
+// A negated word is weaker than its opposite: "not happy" is milder than "sad"
+const NEGATION_FACTOR = -0.75;
+
+// Multipliers for the word immediately before a sentiment word
+const INTENSIFIERS = {
+  extremely: 1.8, incredibly: 1.7, absolutely: 1.6, completely: 1.6, totally: 1.5, utterly: 1.6,
+  very: 1.5, really: 1.4, so: 1.4, super: 1.5, truly: 1.4, deeply: 1.5, especially: 1.3,
+  quite: 1.2, pretty: 1.15, too: 1.3,
+  slightly: 0.5, somewhat: 0.6, bit: 0.6, little: 0.6, kinda: 0.7, sorta: 0.7, mildly: 0.6, barely: 0.4
+};
+
+// Journaling vocabulary AFINN misses or under-weights
+const JOURNAL_LABELS = {
+  overwhelmed: -3, overwhelming: -3, burnout: -3, burnt: -2, drained: -2, exhausted: -3,
+  stressful: -2, anxious: -3, lonely: -3, hopeless: -4, worthless: -4, miserable: -4,
+  grateful: 3, thankful: 3, proud: 3, peaceful: 3, relaxed: 2, content: 2, hopeful: 2, calm: 2,
+  okay: 0, ok: 0, fine: 1
+};
+
+// Clause weights around contrastive words: "tired, but happy" leans positive
+const CONTRAST_WORDS = /\b(?:but|however|although|though|yet)\b/i;
+const CONTRAST_BEFORE_WEIGHT = 0.5;
+const CONTRAST_AFTER_WEIGHT = 1.5;
+
+// Normalization constant for mapping raw scores into [-1, 1] (as in VADER)
+const NORMALIZATION_ALPHA = 15;
+
+/**
+ * Lexicons for emotions and themes. Entries ending in `*` match any word
+ * with that prefix ("stress*" matches "stressed", "stressful").
+ */
+const EMOTION_LEXICON = {
+  joy: ['happy', 'happier', 'happiest', 'happiness', 'joy*', 'excite*', 'delight*', 'glad', 'cheerful', 'thrill*', 'proud', 'elated', 'wonderful', 'amazing', 'fantastic', 'great', 'love', 'loved', 'loving', 'fun', 'laugh*', 'smil*', 'celebrat*', 'content', 'peaceful'],
+  sadness: ['sad', 'sadder', 'sadness', 'hurt*', 'lonely', 'loneliness', 'alone', 'cry', 'cried', 'crying', 'tears', 'depress*', 'miss', 'missed', 'missing', 'grief', 'griev*', 'heartbroken', 'empty', 'hopeless', 'miserable', 'disappoint*', 'numb'],
+  anger: ['angry', 'anger', 'mad', 'furious', 'upset', 'annoy*', 'frustrat*', 'irritat*', 'resent*', 'rage', 'hate', 'hated', 'pissed', 'livid', 'outrag*', 'bitter'],
+  fear: ['worr*', 'anxious', 'anxiety', 'scared', 'afraid', 'fear*', 'nervous', 'panic*', 'dread*', 'terrif*', 'uneasy', 'overwhelm*', 'insecure', 'tense', 'stress*'],
+  surprise: ['surpris*', 'shock*', 'unexpected*', 'amazed', 'astonish*', 'suddenly', 'stunned', 'wow', 'unbelievable', 'speechless'],
+  disgust: ['disgust*', 'gross', 'revolting', 'repuls*', 'nasty', 'sickening', 'vile', 'yuck', 'appall*']
+};
+
+const THEME_LEXICON = {
+  work: ['work', 'worked', 'working', 'job', 'jobs', 'career', 'office', 'boss', 'manager', 'meeting*', 'project*', 'deadline*', 'colleague*', 'coworker*', 'promotion', 'client*', 'shift', 'interview*'],
+  relationships: ['family', 'friend*', 'relationship*', 'partner', 'husband', 'wife', 'boyfriend', 'girlfriend', 'mom', 'mum', 'dad', 'mother', 'father', 'parent*', 'sister*', 'brother*', 'son', 'daughter', 'kids', 'child*', 'dating', 'marriage', 'married', 'wedding'],
+  health: ['health*', 'exercis*', 'gym', 'doctor*', 'sleep*', 'slept', 'sick', 'ill', 'illness', 'workout*', 'diet', 'therap*', 'medication*', 'meds', 'hospital', 'pain', 'headache*', 'yoga', 'running'],
+  creativity: ['creativ*', 'art', 'artist*', 'music*', 'write', 'writing', 'wrote', 'design*', 'paint*', 'draw*', 'song*', 'craft*', 'poem*', 'photograph*', 'sketch*', 'guitar', 'piano', 'novel'],
+  travel: ['travel*', 'trip*', 'flight*', 'vacation*', 'holiday*', 'abroad', 'hotel*', 'airport', 'explor*', 'journey', 'tour*', 'roadtrip', 'visit*'],
+  learning: ['learn*', 'study*', 'studied', 'class*', 'course*', 'book*', 'read', 'reading', 'school', 'college', 'university', 'exam*', 'skill*', 'lesson*', 'lecture*', 'homework', 'tutorial*'],
+  stress: ['stress*', 'overwhelm*', 'pressure*', 'burnout', 'burnt', 'exhaust*', 'busy', 'tense', 'hectic', 'swamped', 'frantic', 'deadline*'],
+  gratitude: ['grateful', 'gratitude', 'thankful', 'thanks', 'thank', 'appreciat*', 'blessed', 'lucky', 'fortunate'],
+  goals: ['goal*', 'plan', 'plans', 'planning', 'achiev*', 'progress*', 'resolution*', 'habit*', 'ambition*', 'milestone*', 'target*', 'aspir*', 'focus*', 'motivat*'],
+  nature: ['nature', 'park', 'parks', 'walk', 'walked', 'walking', 'hike', 'hiked', 'hiking', 'forest*', 'beach*', 'garden*', 'tree*', 'ocean', 'sea', 'mountain*', 'sunset*', 'sunrise*', 'outdoors', 'lake', 'river', 'flowers', 'birds', 'sun', 'rain']
+};
+
+function compileLexicon(lexicon) {
+  const compiled = {};
+  Object.keys(lexicon).forEach(label => {
+    const exact = new Set();
+    const prefixes = [];
+    lexicon[label].forEach(term => {
+      if (term.endsWith('*')) prefixes.push(term.slice(0, -1));
+      else exact.add(term);
+    });
+    compiled[label] = { exact, prefixes };
+  });
+  return compiled;
+}
+
+const EMOTION_MATCHERS = compileLexicon(EMOTION_LEXICON);
+const THEME_MATCHERS = compileLexicon(THEME_LEXICON);
+
+const matchesLexicon = (token, matcher) =>
+  matcher.exact.has(token) || matcher.prefixes.some(prefix => token.startsWith(prefix));
+
+function isNegated(tokens, index) {
+  for (let i = Math.max(0, index - NEGATION_WINDOW); i < index; i++) {
+    if (NEGATORS.has(tokens[i])) return true;
+  }
+  return false;
+}
+
+// Register a journaling variant of the English AFINN lexicon with negation
+// windows and intensifiers in place of the default one-word negation
+const sentimentAnalyzer = new Sentiment();
+sentimentAnalyzer.registerLanguage('journal', {
+  labels: Object.assign({}, englishLabels, JOURNAL_LABELS),
+  scoringStrategy: {
+    apply(tokens, cursor, tokenScore) {
+      const negated = isNegated(tokens, cursor);
+      const intensity = cursor > 0 ? INTENSIFIERS[tokens[cursor - 1]] || 1 : 1;
+      if (negated) {
+        // "not very happy" reads like "not happy", so drop the intensifier
+        return tokenScore * NEGATION_FACTOR;
+      }
+      return tokenScore * intensity;
+    }
+  }
+});
+
+const normalizeText = (text) => String(text || '').replace(/[‘’]/g, "'");
+
+const tokenize = (text) => normalizeText(text).toLowerCase().match(/[a-z']+/g) || [];
+
+/**
+ * Split text into clauses with weights, so contrastive words shift the
+ * emphasis to what comes after them
+ */
+function splitClauses(text) {
+  const clauses = [];
+  normalizeText(text)
+    .split(/[.,;\n]+|[!?]+/)
+    .map(sentence => sentence.trim())
+    .filter(Boolean)
+    .forEach(sentence => {
+      const parts = sentence.split(CONTRAST_WORDS);
+      if (parts.length === 1) {
+        clauses.push({ text: sentence, weight: 1 });
+        return;
+      }
+      parts.forEach((part, index) => {
+        if (!part.trim()) return;
+        const weight = index === parts.length - 1 ? CONTRAST_AFTER_WEIGHT : CONTRAST_BEFORE_WEIGHT;
+        clauses.push({ text: part, weight });
+      });
+    });
+  return clauses;
+}
+
+/**
+ * Score text on a continuous [-1, 1] scale, returning the evidence used
+ */
+function scoreSentiment(text) {
+  let rawScore = 0;
+  let positiveHits = 0;
+  let negativeHits = 0;
+
+  splitClauses(text).forEach(clause => {
+    const result = sentimentAnalyzer.analyze(clause.text, { language: 'journal' });
+    rawScore += result.score * clause.weight;
+    positiveHits += result.positive.length;
+    negativeHits += result.negative.length;
+  });
+
+  // Exclamation marks amplify whatever direction the entry already leans
+  const exclamations = Math.min((normalizeText(text).match(/!/g) || []).length, 3);
+  rawScore *= 1 + exclamations * 0.1;
+
+  return {
+    score: rawScore / Math.sqrt(rawScore * rawScore + NORMALIZATION_ALPHA),
+    positiveHits,
+    negativeHits
+  };
+}
+
+/**
+ * Map a normalized [-1, 1] score onto the five-level sentiment scale
+ */
+function classifySentiment(score) {
+  if (score >= 0.7) return 'very_positive';
+  if (score >= 0.15) return 'positive';
+  if (score > -0.15) return 'neutral';
+  if (score > -0.7) return 'negative';
+  return 'very_negative';
+}
+
+// Class boundaries on the normalized scale, used to measure how decisive a label is
+const CLASS_BOUNDARIES = [-0.7, -0.15, 0.15, 0.7];
+
+/**
+ * Confidence in [0.3, 0.85]. It grows with the amount of sentiment-bearing
+ * evidence and the distance from the nearest class boundary, and shrinks when
+ * positive and negative signals conflict. Capped below what we accept from a
+ * language model, since this is a lexicon heuristic.
+ */
+function calibrateConfidence({ score, positiveHits, negativeHits }, wordCount) {
+  const hits = positiveHits + negativeHits;
+  const evidence = hits === 0
+    ? Math.min(wordCount / 40, 0.5) // Longer text with no sentiment words is probably neutral
+    : 1 - Math.exp(-hits / 3);
+  const agreement = hits === 0 ? 1 : Math.abs(positiveHits - negativeHits) / hits;
+  const margin = Math.min(...CLASS_BOUNDARIES.map(boundary => Math.abs(score - boundary)));
+  const decisiveness = Math.min(margin / 0.2, 1);
+
+  const confidence = 0.3 + 0.35 * evidence * (0.5 + 0.5 * agreement) + 0.2 * decisiveness;
+  return Math.round(Math.min(confidence, 0.85) * 100) / 100;
+}
+
+/**
+ * Detect labels from a lexicon, ignoring negated mentions ("not angry")
+ * and ordering by how often each label appears
+ */
+function detectLabels(tokens, matchers, { respectNegation }) {
+  const counts = {};
+  tokens.forEach((token, index) => {
+    if (respectNegation && isNegated(tokens, index)) return;
+    Object.keys(matchers).forEach(label => {
+      if (matchesLexicon(token, matchers[label])) {
+        counts[label] = (counts[label] || 0) + 1;
+      }
+    });
+  });
+  return Object.keys(counts).sort((a, b) => counts[b] - counts[a]);
+}
+
+/**
+ * Analyze a journal entry locally. Returns the same shape the AI analysis
+ * produces: { sentiment, emotions, themes, confidence }.
+ */
+function analyzeText(text) {
+  const tokens = tokenize(text);
+  const scored = scoreSentiment(text);
+
+  return {
+    sentiment: classifySentiment(scored.score),
+    emotions: detectLabels(tokens, EMOTION_MATCHERS, { respectNegation: true }),
+    themes: detectLabels(tokens, THEME_MATCHERS, { respectNegation: false }),
+    confidence: calibrateConfidence(scored, tokens.length)
+  };
+}
+
+module.exports = {
+  analyzeText,
+  scoreSentiment,
+  classifySentiment,
+  SENTIMENT_LEVELS,
+  EMOTIONS,
+  THEMES
+};
@@ -0,0 +1,144 @@
+// Crisis and self-harm language detection.
+// Shared by the server (every entry and reply to Sam) and the client's
+// offline mode, so a flagged entry gets the same safety response either way.
+// Keep this file CommonJS and free of Node-only APIs so it runs in both.
+
+// How worried to be, in increasing order. The model's analysis uses the same labels.
+const RISK_LEVELS = ['none', 'concern', 'urgent'];
+
+/**
+ * First-person phrases that suggest risk. `negatable` patterns are ignored
+ * when a negation directly governs them ("I would never kill myself");
+ * patterns that carry their own negation ("don't want to live") are not.
+ * Phrases about other people ("my uncle's suicide") deliberately don't match,
+ * and phrases that are everyday speech with an object ("end it all with this
+ * project", "can't keep going to the gym") only match at the end of a clause.
+ */
+const SAFETY_PATTERNS = [
+  // Suicidal thoughts
+  { signal: 'suicidal_ideation', level: 'urgent', negatable: true, pattern: /\b(?:kill(?:ing)?|hang(?:ing)?) myself\b(?! (?:laughing|trying|at (?:work|the gym)|with work))/ },
+  { signal: 'suicidal_ideation', level: 'urgent', negatable: true, pattern: /\b(?:end(?:ing)?|tak(?:e|ing)) my (?:own )?life\b/ },
+  { signal: 'suicidal_ideation', level: 'urgent', negatable: true, pattern: /\b(?:want(?:ed|ing)? to|wanna) die\b(?! laughing| (?:of|from) (?:embarrassment|laughter|boredom|cuteness))/ },
+  { signal: 'suicidal_ideation', level: 'urgent', negatable: true, pattern: /\bwish (?:i (?:was|were|could be)|i'd be) dead\b/ },
+  { signal: 'suicidal_ideation', level: 'urgent', negatable: true, pattern: /\bbetter off dead\b/ },
+  { signal: 'suicidal_ideation', level: 'urgent', negatable: false, pattern: /\b(?:don't|do not|dont) want to (?:live|be alive|exist|be here|wake up)(?= like this| anymore| any more| ever again| again| tomorrow\s*(?:[.!?;,\n]|$)|\s*(?:[.!?;,\n]|$))/ },
+  { signal: 'suicidal_ideation', level: 'urgent', negatable: false, pattern: /\bnot sure (?:if |whether |that )?i (?:want to|wanna) (?:live|be alive|be here|go on|keep living)\b/ },
+  { signal: 'suicidal_ideation', level: 'urgent', negatable: true, pattern: /\b(?:i'm|i am|im|feel(?:ing)?|felt|been|so|getting) (?:really |very |so )?suicidal\b/ },
+  { signal: 'suicidal_ideation', level: 'urgent', negatable: true, pattern: /\bsuicidal (?:thoughts|feelings|urges|ideation)\b/ },
+  { signal: 'suicidal_ideation', level: 'urgent', negatable: true, pattern: /\b(?:think|thinking|thought|thoughts) (?:about|of) (?:suicide|ending it|ending things)\b/ },
+  { signal: 'suicidal_ideation', level: 'urgent', negatable: true, pattern: /\bend(?:ing)? it all(?= now| tonight| today| soon|\s*(?:[.!?;,\n]|$))/ },
+  { signal: 'suicidal_ideation', level: 'urgent', negatable: true, pattern: /\bi(?:'ve| have| had)? (?:attempted|tried) suicide\b/ },
+
+  // Plans and means
+  { signal: 'plan', level: 'urgent', negatable: true, pattern: /\b(?:overdos(?:e|ing) on (?:my |the |these |those |some |all (?:of )?(?:my |the )?)?(?:pills|meds|medication|tablets|painkillers|sleeping pills|insulin)|(?:take|taking|took|plan(?:ning)? to take) an overdose|(?:planning|thinking about|thought about) overdosing|i (?:want to|wanna|could|might|will|'ll|am going to|'m going to) overdose)\b/ },
+  { signal: 'plan', level: 'urgent', negatable: true, pattern: /\btak(?:e|ing) all (?:of )?(?:my|the|these|those) (?:pills|meds|medication|tablets)\b/ },
+  { signal: 'plan', level: 'urgent', negatable: true, pattern: /\bjump(?:ing)? (?:off|from) (?:a|the|my) (?:bridge|roof|building|balcony)\b/ },
+  { signal: 'plan', level: 'urgent', negatable: true, pattern: /\b(?:wrote|writing|write|written) (?:a |my )?(?:suicide|goodbye) (?:note|letter)\b/ },
+  { signal: 'plan', level: 'urgent', negatable: true, pattern: /\b(?:have|made|making) a plan to (?:die|end it|kill myself)\b/ },
+
+  // Self-harm
+  // Accidents ("cut myself cooking") only count with words that make them deliberate
+  { signal: 'self_harm', level: 'concern', negatable: true, pattern: /\b(?:cutting|harm(?:ing|ed)?|punish(?:ing|ed)?|starv(?:e|ing|ed)) myself\b/ },
+  { signal: 'self_harm', level: 'concern', negatable: true, pattern: /\b(?:cut|burn(?:ed|t)?|hurt|hit) myself (?:on purpose|deliberately|again)\b/ },
+  { signal: 'self_harm', level: 'concern', negatable: true, pattern: /\b(?:want(?:ed)? to|urge to|wanna) (?:hurt|cut|burn|harm) myself\b/ },
+  { signal: 'self_harm', level: 'concern', negatable: true, pattern: /\bself[- ]?harm(?:ing|ed)?\b/ },
+  { signal: 'self_harm', level: 'concern', negatable: true, pattern: /\brelaps(?:e|ed|ing) (?:on|into|with)? ?(?:cutting|self[- ]?harm)\b/ },
+  { signal: 'self_harm', level: 'concern', negatable: true, pattern: /\b(?:been|started|start|keep|kept|back to|i'm|i am|i was) cutting (?:again|my (?:arms?|legs?|wrists?|thighs?|skin))\b/ },
+
+  // Hopelessness
+  { signal: 'hopelessness', level: 'concern', negatable: true, pattern: /\bno (?:reason|point) (?:to|in) (?:live|living|going on|being alive|being here)\b/ },
+  { signal: 'hopelessness', level: 'concern', negatable: true, pattern: /\bnothing (?:left )?to live for\b/ },
+  { signal: 'hopelessness', level: 'concern', negatable: false, pattern: /\b(?:can't|cannot|cant) (?:go on|keep going)(?= like this| anymore| any more|\s*(?:[.!?;,\n]|$))/ },
+  { signal: 'hopelessness', level: 'concern', negatable: true, pattern: /\b(?:everyone|everybody|they|people|the world|my family) (?:would|will|'d) be better off without me\b/ },
+  { signal: 'hopelessness', level: 'concern', negatable: true, pattern: /\bno way out(?=\s*(?:[.!?;,\n]|$)| (?:of|from) (?:this|it|here|my life)\s*(?:[.!?;,\n]|$))/ },
+  { signal: 'hopelessness', level: 'concern', negatable: true, pattern: /\b(?:want|wish i could|wanna) (?:to )?disappear(?= forever| for good| from (?:everyone|everything|the world|existence)|\s*(?:[.!?;,\n]|$))/ },
+  { signal: 'hopelessness', level: 'concern', negatable: true, pattern: /\bi(?:'m| am|m) (?:just |such |only )?a burden\b/ }
+];
+
+// A negation right before the phrase, optionally through "want to" or "going to"
+// ("I would never kill myself", "I'm not going to hurt myself"). Negations that
+// govern another verb ("I can't stop wanting to die", "I don't know why I want
+// to die") or an adjective ("not sure", "not okay") leave the match standing.
+const GOVERNING_NEGATION = /\b(?:not|never|no longer|don't|dont|do not|didn't|didnt|did not|won't|wont|will not|wouldn't|wouldnt|would not|can't|cant|cannot|stopped|quit)(?: (?:ever|even|really|actually))?(?: (?:want(?:ed)? to|wanna|going to|gonna|plan(?:ning)? to|try(?:ing)? to))?\s*$/;
+
+// Curly quotes and apostrophes as typed on phones
+const normalizeText = (text) => String(text || '').toLowerCase().replace(/[‘’ʼ]/g, "'");
+
+const isNegated = (text, index) => GOVERNING_NEGATION.test(text.slice(0, index));
+
+const higherRisk = (a, b) => (RISK_LEVELS.indexOf(a) >= RISK_LEVELS.indexOf(b) ? a : b);
+
+/**
+ * Local classification of a piece of text: { level, signals } where level
+ * is one of RISK_LEVELS and signals lists what matched
+ * ('suicidal_ideation', 'plan', 'self_harm', 'hopelessness')
+ */
+function classifySafety(text) {
+  const normalized = normalizeText(text);
+  const matches = SAFETY_PATTERNS.filter(({ pattern, negatable }) => {
+    const global = new RegExp(pattern.source, 'g');
+    return [...normalized.matchAll(global)].some(match => !negatable || !isNegated(normalized, match.index));
+  });
+
+  return {
+    level: matches.reduce((level, match) => higherRisk(level, match.level), 'none'),
+    signals: [...new Set(matches.map(match => match.signal))]
+  };
+}
+
+/**
+ * Combine the local classifier with the model's `risk` label (if the entry
+ * was analyzed by a model). Either layer can raise the level; neither can
+ * lower what the other found.
+ */
+function assessSafety(text, modelRisk = null) {
+  const local = classifySafety(text);
+  const model = RISK_LEVELS.includes(modelRisk) ? modelRisk : 'none';
+  const level = higherRisk(local.level, model);
+
+  return {
+    level,
+    flagged: level !== 'none',
+    signals: local.signals,
+    sources: [
+      ...(local.level !== 'none' ? ['local'] : []),
+      ...(model !== 'none' ? ['model'] : [])
+    ]
+  };
+}
+
+/**
+ * Safety of an entry after another message: the entry keeps its highest level
+ */
+function mergeSafety(previous, next) {
+  if (!previous || !previous.flagged) return next;
+  return {
+    level: higherRisk(previous.level, next.level),
+    flagged: true,
+    signals: [...new Set([...previous.signals, ...next.signals])],
+    sources: [...new Set([...previous.sources, ...next.sources])]
+  };
+}
+
+/**
+ * What Sam says instead of the usual reply when an entry is flagged. The
+ * client shows crisis lines for the user's region alongside it.
+ */
+const SAFETY_REPLIES = {
+  urgent: "I'm really glad you wrote this down, and I'm worried about your safety. You don't have to carry this alone. " +
+    "If you might act on these thoughts, please call your local emergency number or a crisis line now - the numbers on your screen " +
+    "are free and confidential, and someone will talk with you right away. Is there someone you trust who could be with you tonight?",
+  concern: "Thank you for trusting me with something this painful. What you're going through matters, and you deserve support from " +
+    "a person, not just a journal. The crisis lines on your screen are free and confidential, and you can reach them any time - " +
+    "even just to talk. Is there someone you could reach out to today?"
+};
+
+const safetyReply = (safety) => SAFETY_REPLIES[safety.level] || SAFETY_REPLIES.concern;
+
+module.exports = {
+  RISK_LEVELS,
+  classifySafety,
+  assessSafety,
+  mergeSafety,
+  safetyReply
+};
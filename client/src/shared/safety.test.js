@@ -0,0 +1,62 @@
+const { classifySafety, assessSafety, mergeSafety } = require('./safety');
+
+describe('classifySafety', () => {
+  test.each([
+    ['I want to kill myself', 'urgent', 'suicidal_ideation'],
+    ["I don't want to live anymore", 'urgent', 'suicidal_ideation'],
+    ["I don't want to be here anymore", 'urgent', 'suicidal_ideation'],
+    ["I dont want to wake up tomorrow", 'urgent', 'suicidal_ideation'],
+    ["I'm not okay and I want to die", 'urgent', 'suicidal_ideation'],
+    ['Sometimes I just want to end it all.', 'urgent', 'suicidal_ideation'],
+    ['I took an overdose last night', 'urgent', 'plan'],
+    ["I keep thinking about overdosing on my pills", 'urgent', 'plan'],
+    ['I have been cutting again', 'concern', 'self_harm'],
+    ['I want to hurt myself', 'concern', 'self_harm'],
+    ["I can't go on like this", 'concern', 'hopelessness'],
+    ["There's no way out", 'concern', 'hopelessness'],
+    ['I just want to disappear forever', 'concern', 'hopelessness'],
+    ['I’m such a burden', 'concern', 'hopelessness'],
+    ["I can't stop thinking about killing myself", 'urgent', 'suicidal_ideation'],
+    ["I don't know why I want to die", 'urgent', 'suicidal_ideation'],
+    ["I can't stop wanting to die", 'urgent', 'suicidal_ideation'],
+    ["I'm not sure I want to live anymore", 'urgent', 'suicidal_ideation']
+  ])('flags %j', (text, level, signal) => {
+    const result = classifySafety(text);
+    expect(result.level).toBe(level);
+    expect(result.signals).toContain(signal);
+  });
+
+  test.each([
+    'I dont want to wake up at 6am tomorrow',
+    'Had an overdose of coffee this morning',
+    "Let's end it all with this project and ship it",
+    'I cannot keep going to the gym every day',
+    'I want to disappear into a good book this weekend',
+    'We found no way out of the maze',
+    'I promised my sister I would not kill myself',
+    "I'd never kill myself",
+    "I'm not going to hurt myself",
+    "I don't want to die, I want things to get better",
+    'I nearly died laughing, I want to die of embarrassment',
+    'I cut myself cooking dinner',
+    "My uncle's suicide still haunts the family"
+  ])('does not flag %j', (text) => {
+    expect(classifySafety(text)).toEqual({ level: 'none', signals: [] });
+  });
+});
+
+describe('assessSafety', () => {
+  test('the model can raise the level but not lower it', () => {
+    expect(assessSafety('A quiet day at home', 'concern')).toMatchObject({ level: 'concern', flagged: true, sources: ['model'] });
+    expect(assessSafety('I want to kill myself', 'none')).toMatchObject({ level: 'urgent', flagged: true, sources: ['local'] });
+  });
+});
+
+describe('mergeSafety', () => {
+  test('keeps the highest level across messages', () => {
+    const urgent = assessSafety('I want to kill myself');
+    const calm = assessSafety('Feeling a bit better now');
+    expect(mergeSafety(urgent, calm)).toMatchObject({ level: 'urgent', flagged: true });
+    expect(mergeSafety(calm, urgent)).toBe(urgent);
+  });
+});
@@ -0,0 +1,174 @@
+// AI provider layer: Claude, any OpenAI-compatible endpoint, or fully local NLP
+const Anthropic = require('@anthropic-ai/sdk');
+
+const DEFAULT_CLAUDE_MODEL = 'claude-3-haiku-20240307';
+const LOCAL_HOSTNAMES = ['localhost', '127.0.0.1', '::1', '[::1]'];
+
+/**
+ * Claude via the Anthropic Messages API
+ */
+class ClaudeProvider {
+  constructor({ apiKey, model }) {
+    this.name = 'claude';
+    this.displayName = 'Claude API';
+    this.model = model || DEFAULT_CLAUDE_MODEL;
+    this.isLocal = false;
+    this.onDevice = false;
+    this.client = new Anthropic({
+      apiKey: apiKey || 'your-claude-api-key-here',
+    });
+  }
+
+  async complete({ system, messages, maxTokens }) {
+    const response = await this.client.messages.create({
+      model: this.model,
+      max_tokens: maxTokens,
+      ...(system ? { system } : {}),
+      messages
+    });
+    return response.content[0].text;
+  }
+
+  /**
+   * Like complete(), calling onText with each piece of the reply as it arrives
+   */
+  async stream({ system, messages, maxTokens }, onText) {
+    const stream = this.client.messages.stream({
+      model: this.model,
+      max_tokens: maxTokens,
+      ...(system ? { system } : {}),
+      messages
+    });
+    stream.on('text', onText);
+    return stream.finalText();
+  }
+}
+
+/**
+ * Any server implementing the OpenAI chat completions API
+ * (Ollama, LM Studio, llama.cpp server, vLLM, ...)
+ */
+class OpenAICompatibleProvider {
+  constructor({ baseUrl, apiKey, model }) {
+    if (!baseUrl) {
+      throw new Error('OPENAI_COMPATIBLE_BASE_URL is required for the openai-compatible provider');
+    }
+    if (!model) {
+      throw new Error('AI_MODEL is required for the openai-compatible provider');
+    }
+
+    this.name = 'openai-compatible';
+    this.baseUrl = baseUrl.replace(/\/+$/, '');
+    this.apiKey = apiKey;
+    this.model = model;
+    this.isLocal = false;
+    // Text never leaves the machine when the endpoint runs on localhost
+    this.onDevice = LOCAL_HOSTNAMES.includes(new URL(this.baseUrl).hostname);
+    this.displayName = `${this.onDevice ? 'Local' : 'Remote'} model (${model})`;
+  }
+
+  async request({ system, messages, maxTokens }, stream = false) {
+    const response = await fetch(`${this.baseUrl}/chat/completions`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {})
+      },
+      body: JSON.stringify({
+        model: this.model,
+        max_tokens: maxTokens,
+        ...(stream ? { stream: true } : {}),
+        messages: [
+          ...(system ? [{ role: 'system', content: system }] : []),
+          ...messages
+        ]
+      })
+    });
+
+    if (!response.ok) {
+      throw new Error(`${this.displayName} request failed with status ${response.status}`);
+    }
+    return response;
+  }
+
+  async complete(params) {
+    const data = await (await this.request(params)).json();
+    return data.choices[0].message.content;
+  }
+
+  /**
+   * Like complete(), calling onText with each piece of the reply as it
+   * arrives. The server sends "data: {json}" lines and ends with "data: [DONE]".
+   */
+  async stream(params, onText) {
+    const response = await this.request(params, true);
+    const decoder = new TextDecoder();
+    let buffered = '';
+    let text = '';
+
+    for await (const chunk of response.body) {
+      buffered += decoder.decode(chunk, { stream: true });
+      const lines = buffered.split('\n');
+      buffered = lines.pop();
+
+      for (const line of lines) {
+        const data = line.replace(/^data:\s*/, '').trim();
+        if (!line.startsWith('data:') || !data || data === '[DONE]') continue;
+
+        const delta = JSON.parse(data).choices[0]?.delta?.content;
+        if (delta) {
+          text += delta;
+          onText(delta);
+        }
+      }
+    }
+    return text;
+  }
+}
+
+/**
+ * Fully on-device processing with the sentiment, compromise and natural
+ * libraries. There is no language model, so callers use the local
+ * implementations in lib/local-nlp.js instead of complete().
+ */
+class LocalProvider {
+  constructor() {
+    this.name = 'local';
+    this.displayName = 'Local NLP (on-device)';
+    this.model = 'sentiment+compromise+natural';
+    this.isLocal = true;
+    this.onDevice = true;
+  }
+
+  async complete() {
+    throw new Error('The local provider does not support free-form completion');
+  }
+
+  async stream() {
+    throw new Error('The local provider does not support free-form completion');
+  }
+}
+
+const providers = {
+  claude: (config) => new ClaudeProvider(config),
+  'openai-compatible': (config) => new OpenAICompatibleProvider(config),
+  local: () => new LocalProvider()
+};
+
+/**
+ * Create the AI provider selected by config (AI_PROVIDER=claude|openai-compatible|local)
+ */
+function createProvider(config = {}) {
+  const name = config.provider || 'claude';
+  if (!providers[name]) {
+    throw new Error(`Unknown AI provider "${name}". Available: ${Object.keys(providers).join(', ')}`);
+  }
+  return providers[name](config);
+}
+
+module.exports = {
+  createProvider,
+  ClaudeProvider,
+  OpenAICompatibleProvider,
+  LocalProvider
+};
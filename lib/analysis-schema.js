@@ -0,0 +1,121 @@
+// Parsing and validation of the model's sentiment analysis output
+const { SENTIMENT_LEVELS, EMOTIONS, THEMES } = require('../client/src/shared/analysis');
+const { RISK_LEVELS } = require('../client/src/shared/safety');
+
+/**
+ * Raised when model output can't be turned into a valid analysis.
+ * `repairable` errors are worth retrying with the error fed back to the model.
+ */
+class AnalysisValidationError extends Error {
+  constructor(message, { repairable = true } = {}) {
+    super(message);
+    this.name = 'AnalysisValidationError';
+    this.repairable = repairable;
+  }
+}
+
+/**
+ * Pull the first balanced JSON object out of model text, tolerating
+ * preambles, trailing commentary and ``` code fences
+ */
+function extractJsonObject(text) {
+  if (typeof text !== 'string' || !text.trim()) {
+    throw new AnalysisValidationError('Response was empty');
+  }
+
+  const fenced = text.match(/```(?:json)?\s*([\s\S]*?)```/i);
+  const source = fenced ? fenced[1] : text;
+  const start = source.indexOf('{');
+  if (start === -1) {
+    throw new AnalysisValidationError('Response did not contain a JSON object');
+  }
+
+  let depth = 0;
+  let inString = false;
+  for (let i = start; i < source.length; i++) {
+    const char = source[i];
+    if (inString) {
+      if (char === '\\') i++;
+      else if (char === '"') inString = false;
+    } else if (char === '"') {
+      inString = true;
+    } else if (char === '{') {
+      depth++;
+    } else if (char === '}' && --depth === 0) {
+      try {
+        return JSON.parse(source.slice(start, i + 1));
+      } catch (error) {
+        throw new AnalysisValidationError(`Response JSON was malformed: ${error.message}`);
+      }
+    }
+  }
+
+  throw new AnalysisValidationError('Response JSON object was not closed');
+}
+
+// "Very Positive" / "very-positive" -> "very_positive"
+const normalizeLabel = (value) => String(value).trim().toLowerCase().replace(/[\s-]+/g, '_');
+
+function validateLabelList(value, allowed, field) {
+  if (value === undefined || value === null) return [];
+  if (!Array.isArray(value)) {
+    throw new AnalysisValidationError(`"${field}" must be an array`);
+  }
+  // Unknown labels are dropped rather than retried; the rest of the answer is still good
+  const labels = value.map(normalizeLabel).filter(label => allowed.includes(label));
+  return [...new Set(labels)];
+}
+
+function validateConfidence(value) {
+  if (value === undefined || value === null) return 0.5;
+  const number = typeof value === 'string' ? parseFloat(value) : value;
+  if (typeof number !== 'number' || isNaN(number)) {
+    throw new AnalysisValidationError('"confidence" must be a number between 0 and 1');
+  }
+  // Some models answer in percent
+  const scaled = number > 1 && number <= 100 ? number / 100 : number;
+  if (scaled < 0 || scaled > 1) {
+    throw new AnalysisValidationError('"confidence" must be a number between 0 and 1');
+  }
+  return Math.round(scaled * 100) / 100;
+}
+
+// Older prompts (and some models) leave risk out; the local safety layer still runs
+function validateRisk(value) {
+  if (value === undefined || value === null) return 'none';
+  const risk = normalizeLabel(value);
+  if (!RISK_LEVELS.includes(risk)) {
+    throw new AnalysisValidationError(`"risk" must be one of: ${RISK_LEVELS.join(', ')}`);
+  }
+  return risk;
+}
+
+/**
+ * Parse and validate model output against the analysis schema:
+ * { sentiment: enum, emotions: enum[], themes: enum[], confidence: 0..1, risk: enum }
+ */
+function parseAnalysisResponse(text) {
+  const raw = extractJsonObject(text);
+  if (typeof raw !== 'object' || Array.isArray(raw)) {
+    throw new AnalysisValidationError('Response must be a JSON object');
+  }
+
+  const sentiment = raw.sentiment === undefined ? undefined : normalizeLabel(raw.sentiment);
+  if (!SENTIMENT_LEVELS.includes(sentiment)) {
+    throw new AnalysisValidationError(`"sentiment" must be one of: ${SENTIMENT_LEVELS.join(', ')}`);
+  }
+
+  return {
+    sentiment,
+    emotions: validateLabelList(raw.emotions, EMOTIONS, 'emotions'),
+    themes: validateLabelList(raw.themes, THEMES, 'themes'),
+    confidence: validateConfidence(raw.confidence),
+    risk: validateRisk(raw.risk)
+  };
+}
+
+module.exports = {
+  parseAnalysisResponse,
+  extractJsonObject,
+  AnalysisValidationError
+};
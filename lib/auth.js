@@ -0,0 +1,135 @@
+// Password hashing, session tokens and the Express auth middleware
+const crypto = require('crypto');
+const { promisify } = require('util');
+const { wrapKey, unwrapKey, deriveKeyFromToken } = require('./encryption');
+
+const scrypt = promisify(crypto.scrypt);
+
+const KEY_LENGTH = 64;
+const SESSION_TTL_MS = 30 * 24 * 60 * 60 * 1000; // 30 days
+const MIN_PASSWORD_LENGTH = 8;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Hash a password with a per-user random salt (scrypt)
+ */
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const derived = await scrypt(password, salt, KEY_LENGTH);
+  return `scrypt$${salt}$${derived.toString('hex')}`;
+}
+
+/**
+ * Check a password against a stored hash in constant time
+ */
+async function verifyPassword(password, storedHash) {
+  const [scheme, salt, hash] = String(storedHash).split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+
+  const expected = Buffer.from(hash, 'hex');
+  const derived = await scrypt(password, salt, expected.length);
+  return crypto.timingSafeEqual(derived, expected);
+}
+
+/**
+ * Opaque bearer token handed to the client. Only its hash is stored,
+ * so a leaked data file can't be used to hijack sessions.
+ */
+function generateToken() {
+  return crypto.randomBytes(32).toString('hex');
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Validate registration input, returning an error message or null
+ */
+function validateCredentials(email, password) {
+  if (typeof email !== 'string' || !EMAIL_PATTERN.test(email.trim())) {
+    return 'A valid email address is required';
+  }
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    return `Password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+  }
+  return null;
+}
+
+const normalizeEmail = (email) => String(email).trim().toLowerCase();
+
+/**
+ * Create a session for a user and return the raw token. The session keeps
+ * the user's data key wrapped with a key only the token holder can derive.
+ */
+async function startSession(store, userId, dataKey) {
+  const token = generateToken();
+  const now = Date.now();
+  await store.createSession({
+    tokenHash: hashToken(token),
+    userId,
+    wrappedKey: wrapKey(dataKey, deriveKeyFromToken(token)),
+    createdAt: new Date(now).toISOString(),
+    expiresAt: new Date(now + SESSION_TTL_MS).toISOString()
+  });
+  return token;
+}
+
+const readBearerToken = (req) => {
+  const header = req.headers.authorization || '';
+  const [scheme, token] = header.split(' ');
+  return scheme === 'Bearer' && token ? token : null;
+};
+
+/**
+ * Express middleware: resolves the bearer token to a user and sets
+ * req.user, req.session and req.dataKey, or responds 401
+ */
+function requireAuth(store) {
+  return async (req, res, next) => {
+    try {
+      const token = readBearerToken(req);
+      if (!token) {
+        return res.status(401).json({ error: 'Authentication required' });
+      }
+
+      const session = await store.getSession(hashToken(token));
+      if (!session) {
+        return res.status(401).json({ error: 'Authentication required' });
+      }
+      if (new Date(session.expiresAt) <= new Date()) {
+        await store.deleteSession(session.tokenHash);
+        return res.status(401).json({ error: 'Session expired, please sign in again' });
+      }
+
+      const user = await store.getUser(session.userId);
+      if (!user) {
+        return res.status(401).json({ error: 'Authentication required' });
+      }
+
+      req.user = user;
+      req.session = session;
+      req.dataKey = unwrapKey(session.wrappedKey, deriveKeyFromToken(token));
+      next();
+    } catch (error) {
+      console.error('❌ Error authenticating request:', error);
+      res.status(500).json({ error: 'Failed to authenticate request' });
+    }
+  };
+}
+
+/**
+ * The user fields that are safe to send to the client
+ */
+const publicUser = (user) => ({ id: user.id, email: user.email, createdAt: user.createdAt });
+
+module.exports = {
+  hashPassword,
+  verifyPassword,
+  hashToken,
+  validateCredentials,
+  normalizeEmail,
+  startSession,
+  requireAuth,
+  publicUser
+};
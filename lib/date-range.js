@@ -0,0 +1,226 @@
+// Day keys and date ranges shared by every route that groups entries by day
+// (streaks, daily chats, trends, search): ?from=YYYY-MM-DD&to=YYYY-MM-DD&bucket=day|week|month.
+// Days are calendar days in the user's IANA timezone, sent by the client.
+const BUCKETS = ['day', 'week', 'month'];
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_TIME_ZONE = 'UTC';
+
+// Intl formatters are slow to create, so keep one per timezone
+const calendarFormatters = new Map();
+
+function calendarFormatter(timeZone) {
+  if (!calendarFormatters.has(timeZone)) {
+    calendarFormatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23'
+    }));
+  }
+  return calendarFormatters.get(timeZone);
+}
+
+const isValidTimeZone = (timeZone) => {
+  try {
+    calendarFormatter(timeZone);
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+const calendarParts = (date, timeZone) => Object.fromEntries(
+  calendarFormatter(timeZone).formatToParts(date).map(part => [part.type, part.value])
+);
+
+/**
+ * The calendar day (YYYY-MM-DD) a moment falls on in a timezone
+ */
+function toDayKey(date, timeZone = DEFAULT_TIME_ZONE) {
+  const parts = calendarParts(date, timeZone);
+  return `${parts.year}-${parts.month}-${parts.day}`;
+}
+
+// Hour of the day (0-23) in a timezone
+const hourIn = (date, timeZone = DEFAULT_TIME_ZONE) => Number(calendarParts(date, timeZone).hour);
+
+// How far a timezone is ahead of UTC at a moment, in milliseconds
+const offsetAt = (time, timeZone) => {
+  const parts = calendarParts(new Date(time), timeZone);
+  const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute);
+  return wallClock - Math.floor(time / 60000) * 60000;
+};
+
+/**
+ * The moment a wall-clock time ('HH:MM') on a day happens in a timezone.
+ * The offset is looked up twice, in case the first guess lands on the
+ * other side of a DST change.
+ */
+function zonedTime(dayKey, time = '00:00', timeZone = DEFAULT_TIME_ZONE) {
+  const asUtc = Date.parse(`${dayKey}T${time}:00.000Z`);
+  const guess = asUtc - offsetAt(asUtc, timeZone);
+  return new Date(asUtc - offsetAt(guess, timeZone));
+}
+
+const pad = (number) => String(number).padStart(2, '0');
+
+/**
+ * A moment's wall-clock time in a timezone ('HH:MM') and the timezone's
+ * offset from UTC at that moment ('-05:00', '+05:30', or '' in UTC)
+ */
+function wallClockTime(date, timeZone = DEFAULT_TIME_ZONE) {
+  const parts = calendarParts(date, timeZone);
+  const minutes = Math.round(offsetAt(date.getTime(), timeZone) / 60000);
+  const offset = minutes === 0
+    ? ''
+    : `${minutes < 0 ? '-' : '+'}${pad(Math.floor(Math.abs(minutes) / 60))}:${pad(Math.abs(minutes) % 60)}`;
+  return { time: `${parts.hour}:${parts.minute}`, offset };
+}
+
+// Client clocks may run a little ahead of the server's
+const MAX_CLOCK_SKEW_MS = 5 * 60 * 1000;
+const ISO_TIMESTAMP_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(?::\d{2}(?:\.\d{1,3})?)?(?:Z|[+-]\d{2}:\d{2})$/;
+
+/**
+ * Check that an optional client-supplied timestamp is an ISO 8601 date
+ * with a UTC offset, and not in the future
+ */
+function isValidTimestamp(timestamp) {
+  if (timestamp === undefined || timestamp === null) return true;
+  if (typeof timestamp !== 'string' || !ISO_TIMESTAMP_PATTERN.test(timestamp)) return false;
+  const time = new Date(timestamp).getTime();
+  return !isNaN(time) && time <= Date.now() + MAX_CLOCK_SKEW_MS;
+}
+
+const dayKeyOf = (entry, timeZone = DEFAULT_TIME_ZONE) => toDayKey(new Date(entry.ts || entry.timestamp), timeZone);
+const todayIn = (timeZone = DEFAULT_TIME_ZONE) => toDayKey(new Date(), timeZone);
+
+// Calendar arithmetic on day keys, so DST changes never skip or repeat a day
+const addDays = (dayKey, days) => new Date(Date.parse(dayKey) + days * DAY_MS).toISOString().split('T')[0];
+
+/**
+ * The `days` days up to and including today in a timezone
+ */
+function lastDays(days, timeZone = DEFAULT_TIME_ZONE) {
+  const to = todayIn(timeZone);
+  return { from: addDays(to, -(days - 1)), to, timeZone };
+}
+
+/**
+ * Writing streak: consecutive days with entries in the user's timezone,
+ * counting back from today (or yesterday if there's no entry yet today)
+ */
+function calculateWritingStreak(entries, timeZone = DEFAULT_TIME_ZONE, today = todayIn(timeZone)) {
+  const daysWithEntries = new Set(entries.map(entry => dayKeyOf(entry, timeZone)));
+
+  let day = daysWithEntries.has(today) ? today : addDays(today, -1);
+  let streak = 0;
+  while (daysWithEntries.has(day) && streak < 365) { // Check up to a year
+    streak++;
+    day = addDays(day, -1);
+  }
+  return streak;
+}
+
+/**
+ * Validate from/to/bucket query parameters. A missing `to` means today in
+ * the timezone and a missing `from` means `days` days up to `to` (all time
+ * when days is null). Returns { options: { from, to, bucket, timeZone } }
+ * or { error }.
+ */
+function parseRangeOptions(query, { days = 30, bucket = 'day', timeZone = DEFAULT_TIME_ZONE } = {}) {
+  for (const [name, value] of [['from', query.from], ['to', query.to]]) {
+    if (value !== undefined && (!DATE_PATTERN.test(value) || isNaN(new Date(value).getTime()))) {
+      return { error: `${name} must be a date in YYYY-MM-DD format` };
+    }
+  }
+  if (query.bucket !== undefined && !BUCKETS.includes(query.bucket)) {
+    return { error: `Unknown bucket "${query.bucket}". Available: ${BUCKETS.join(', ')}` };
+  }
+
+  const to = query.to || todayIn(timeZone);
+  const from = query.from || (days ? addDays(to, -(days - 1)) : null);
+  if (from && from > to) {
+    return { error: 'from must not be after to' };
+  }
+
+  return { options: { from, to, bucket: query.bucket || bucket, timeZone } };
+}
+
+const inRange = (entry, { from, to, timeZone = DEFAULT_TIME_ZONE }) => {
+  const dayKey = dayKeyOf(entry, timeZone);
+  return (!from || dayKey >= from) && (!to || dayKey <= to);
+};
+
+/**
+ * The bucket a day falls in, as the day it starts on: the day itself, the
+ * Monday of its week, or the first of its month
+ */
+function bucketKeyOf(dayKey, bucket) {
+  if (bucket === 'week') {
+    const weekday = (new Date(`${dayKey}T00:00:00Z`).getUTCDay() + 6) % 7;
+    return addDays(dayKey, -weekday);
+  }
+  if (bucket === 'month') {
+    return `${dayKey.slice(0, 7)}-01`;
+  }
+  return dayKey;
+}
+
+const shortDate = (dayKey) => new Date(`${dayKey}T00:00:00Z`)
+  .toLocaleDateString('en-US', { month: 'short', day: 'numeric', timeZone: 'UTC' });
+
+/**
+ * Chart label for a bucket: "Mar 4", "Week of Mar 4" or "Mar 2025"
+ */
+function bucketLabel(bucketKey, bucket) {
+  if (bucket === 'week') return `Week of ${shortDate(bucketKey)}`;
+  if (bucket === 'month') {
+    return new Date(`${bucketKey}T00:00:00Z`).toLocaleDateString('en-US', { month: 'short', year: 'numeric', timeZone: 'UTC' });
+  }
+  return shortDate(bucketKey);
+}
+
+/**
+ * The range in words, to follow "Best day" or "You wrote 5 entries":
+ * "this week", "this month", "this quarter", "this year" for recent
+ * ranges, otherwise "so far", "since Jan 3" or "between Mar 1 and Mar 31"
+ */
+function describeRange({ from, to, timeZone = DEFAULT_TIME_ZONE }) {
+  const today = todayIn(timeZone);
+  if (!from) return to === today ? 'so far' : `up to ${shortDate(to)}`;
+  if (to !== today) return `between ${shortDate(from)} and ${shortDate(to)}`;
+
+  const days = (Date.parse(to) - Date.parse(from)) / DAY_MS + 1;
+  if (days <= 7) return 'this week';
+  if (days <= 31) return 'this month';
+  if (days <= 92) return 'this quarter';
+  if (days <= 366) return 'this year';
+  return `since ${shortDate(from)}`;
+}
+
+module.exports = {
+  BUCKETS,
+  DEFAULT_TIME_ZONE,
+  MAX_CLOCK_SKEW_MS,
+  isValidTimeZone,
+  isValidTimestamp,
+  toDayKey,
+  hourIn,
+  zonedTime,
+  wallClockTime,
+  dayKeyOf,
+  todayIn,
+  addDays,
+  lastDays,
+  calculateWritingStreak,
+  parseRangeOptions,
+  inRange,
+  bucketKeyOf,
+  bucketLabel,
+  describeRange
+};
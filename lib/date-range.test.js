@@ -0,0 +1,120 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  isValidTimeZone,
+  toDayKey,
+  hourIn,
+  zonedTime,
+  dayKeyOf,
+  addDays,
+  calculateWritingStreak,
+  parseRangeOptions,
+  inRange,
+  bucketKeyOf,
+  bucketLabel
+} = require('./date-range');
+
+test('day keys follow the timezone around midnight', () => {
+  const cases = [
+    ['2026-03-01T04:59:00Z', 'America/New_York', '2026-02-28'],
+    ['2026-03-01T05:00:00Z', 'America/New_York', '2026-03-01'],
+    ['2026-03-01T23:59:59Z', 'UTC', '2026-03-01'],
+    ['2026-03-01T18:29:00Z', 'Asia/Kolkata', '2026-03-01'],
+    ['2026-03-01T18:30:00Z', 'Asia/Kolkata', '2026-03-02'],
+    ['2026-12-31T11:00:00Z', 'Pacific/Auckland', '2027-01-01'],
+    ['2027-01-01T09:00:00Z', 'Pacific/Honolulu', '2026-12-31']
+  ];
+  cases.forEach(([moment, timeZone, expected]) => {
+    assert.equal(toDayKey(new Date(moment), timeZone), expected, `${moment} in ${timeZone}`);
+  });
+});
+
+test('hours follow DST changes', () => {
+  // US clocks go forward at 02:00 on 2026-03-08 and back at 02:00 on 2026-11-01
+  assert.equal(hourIn(new Date('2026-03-08T06:59:00Z'), 'America/New_York'), 1);
+  assert.equal(hourIn(new Date('2026-03-08T07:00:00Z'), 'America/New_York'), 3);
+  assert.equal(hourIn(new Date('2026-11-01T05:30:00Z'), 'America/New_York'), 1);
+  assert.equal(hourIn(new Date('2026-11-01T06:30:00Z'), 'America/New_York'), 1);
+  assert.equal(hourIn(new Date('2026-11-01T07:30:00Z'), 'America/New_York'), 2);
+});
+
+test('zonedTime finds the moment of a wall-clock time', () => {
+  const cases = [
+    ['2026-03-08', '00:00', 'America/New_York', '2026-03-08T05:00:00.000Z'],
+    ['2026-03-08', '12:00', 'America/New_York', '2026-03-08T16:00:00.000Z'],
+    ['2026-11-01', '12:00', 'America/New_York', '2026-11-01T17:00:00.000Z'],
+    ['2026-03-29', '00:00', 'Europe/London', '2026-03-29T00:00:00.000Z'],
+    ['2026-03-30', '00:00', 'Europe/London', '2026-03-29T23:00:00.000Z'],
+    ['2026-06-01', '00:00', 'Asia/Kolkata', '2026-05-31T18:30:00.000Z'],
+    ['2026-01-01', '00:00', 'UTC', '2026-01-01T00:00:00.000Z']
+  ];
+  cases.forEach(([dayKey, time, timeZone, expected]) => {
+    const moment = zonedTime(dayKey, time, timeZone);
+    assert.equal(moment.toISOString(), expected, `${dayKey} ${time} in ${timeZone}`);
+    assert.equal(toDayKey(moment, timeZone), dayKey);
+  });
+});
+
+test('addDays counts calendar days across DST changes', () => {
+  assert.equal(addDays('2026-03-07', 1), '2026-03-08');
+  assert.equal(addDays('2026-03-08', 1), '2026-03-09');
+  assert.equal(addDays('2026-11-02', -1), '2026-11-01');
+  assert.equal(addDays('2026-03-01', -1), '2026-02-28');
+  assert.equal(addDays('2028-03-01', -1), '2028-02-29');
+});
+
+test('isValidTimeZone accepts IANA names only', () => {
+  assert.equal(isValidTimeZone('Europe/Berlin'), true);
+  assert.equal(isValidTimeZone('UTC'), true);
+  assert.equal(isValidTimeZone('Mars/Olympus_Mons'), false);
+});
+
+test('ranges include whole days in the timezone', () => {
+  const range = { from: '2026-03-01', to: '2026-03-07', timeZone: 'America/Los_Angeles' };
+  // 2026-03-01 00:30 and 2026-03-07 23:30 in Los Angeles
+  assert.equal(inRange({ ts: '2026-03-01T08:30:00Z' }, range), true);
+  assert.equal(inRange({ ts: '2026-03-08T07:30:00Z' }, range), true);
+  // 2026-02-28 23:30 and 2026-03-08 00:30 in Los Angeles
+  assert.equal(inRange({ ts: '2026-03-01T07:30:00Z' }, range), false);
+  assert.equal(inRange({ ts: '2026-03-08T08:30:00Z' }, range), false);
+});
+
+test('parseRangeOptions validates and fills in defaults', () => {
+  assert.deepEqual(parseRangeOptions({ to: '2026-03-10' }, { days: 7, timeZone: 'Asia/Tokyo' }).options, {
+    from: '2026-03-04', to: '2026-03-10', bucket: 'day', timeZone: 'Asia/Tokyo'
+  });
+  assert.equal(parseRangeOptions({ to: '2026-03-10' }, { days: null }).options.from, null);
+  assert.match(parseRangeOptions({ from: '03/01/2026' }).error, /YYYY-MM-DD/);
+  assert.match(parseRangeOptions({ from: '2026-03-10', to: '2026-03-01' }).error, /after/);
+  assert.match(parseRangeOptions({ bucket: 'year' }).error, /Unknown bucket/);
+});
+
+test('buckets start on the day, the Monday or the first of the month', () => {
+  assert.equal(bucketKeyOf('2026-03-05', 'day'), '2026-03-05');
+  assert.equal(bucketKeyOf('2026-03-05', 'week'), '2026-03-02');
+  assert.equal(bucketKeyOf('2026-03-08', 'week'), '2026-03-02');
+  assert.equal(bucketKeyOf('2026-03-09', 'week'), '2026-03-09');
+  assert.equal(bucketKeyOf('2026-03-31', 'month'), '2026-03-01');
+  assert.equal(bucketLabel('2026-03-02', 'week'), 'Week of Mar 2');
+  assert.equal(bucketLabel('2026-03-01', 'month'), 'Mar 2026');
+});
+
+test('writing streaks count days in the timezone', () => {
+  const entries = [
+    { ts: '2026-03-10T02:00:00Z' }, // Mar 9, 22:00 in New York
+    { ts: '2026-03-09T03:00:00Z' }, // Mar 8, 23:00 (the day clocks go forward)
+    { ts: '2026-03-07T15:00:00Z' }  // Mar 7, 10:00
+  ];
+  assert.equal(calculateWritingStreak(entries, 'America/New_York', '2026-03-09'), 3);
+  // Without an entry today the streak still counts up to yesterday
+  assert.equal(calculateWritingStreak(entries, 'America/New_York', '2026-03-10'), 3);
+  assert.equal(calculateWritingStreak(entries, 'America/New_York', '2026-03-11'), 0);
+  // In UTC the same entries fall on Mar 10, Mar 9 and Mar 7
+  assert.equal(calculateWritingStreak(entries, 'UTC', '2026-03-10'), 2);
+  assert.equal(calculateWritingStreak([], 'UTC', '2026-03-10'), 0);
+});
+
+test('dayKeyOf reads ts or timestamp', () => {
+  assert.equal(dayKeyOf({ ts: '2026-03-01T23:00:00Z' }, 'Europe/Berlin'), '2026-03-02');
+  assert.equal(dayKeyOf({ timestamp: '2026-03-01T23:00:00Z' }), '2026-03-01');
+});
@@ -0,0 +1,89 @@
+// Emotion analytics: how often each emotion comes up over time, alongside
+// which themes, at what time of day and on which weekday
+const { EMOTIONS } = require('../client/src/shared/analysis');
+const { TIMES_OF_DAY, timeOfDayFor } = require('./prompts');
+const { dayKeyOf, hourIn, bucketKeyOf, bucketLabel } = require('./date-range');
+
+// Monday first, like week buckets
+const WEEKDAYS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+const MAX_THEMES = 8;
+
+const emptyCounts = () => Object.fromEntries(EMOTIONS.map(emotion => [emotion, 0]));
+
+const emotionsOf = (entry) => (entry.emotions || []).filter(emotion => EMOTIONS.includes(emotion));
+
+const weekdayOf = (dayKey) => WEEKDAYS[(new Date(`${dayKey}T00:00:00Z`).getUTCDay() + 6) % 7];
+
+/**
+ * Count entries per emotion in each group. Rows come back in `keys` order
+ * as { key, entryCount, joy, sadness, ... }; entries without emotions
+ * still count towards entryCount.
+ */
+function countByGroup(entries, keys, groupOf) {
+  const rows = new Map(keys.map(key => [key, { key, entryCount: 0, ...emptyCounts() }]));
+  entries.forEach(entry => {
+    const row = rows.get(groupOf(entry));
+    if (!row) return;
+    row.entryCount++;
+    emotionsOf(entry).forEach(emotion => { row[emotion]++; });
+  });
+  return [...rows.values()];
+}
+
+/**
+ * Emotion analytics for entries already filtered to `range`
+ * ({ from, to, bucket, timeZone }):
+ *   totals        entries per emotion
+ *   frequency     per day/week/month bucket, oldest first
+ *   coOccurrence  entries per emotion for the most common themes
+ *   timeOfDay     per morning/afternoon/evening/night
+ *   weekday       per day of the week
+ */
+function buildEmotionAnalytics(entries, range) {
+  const { bucket, timeZone } = range;
+  const periodOf = (entry) => bucketKeyOf(dayKeyOf(entry, timeZone), bucket);
+
+  const periods = [...new Set(entries.map(periodOf))].sort();
+  const frequency = countByGroup(entries, periods, periodOf)
+    .map(({ key, ...counts }) => ({ period: key, label: bucketLabel(key, bucket), ...counts }));
+
+  // Themes ranked by how many entries mention them
+  const themeCounts = new Map();
+  entries.forEach(entry => (entry.themes || []).forEach(theme => {
+    themeCounts.set(theme, (themeCounts.get(theme) || 0) + 1);
+  }));
+  const themes = [...themeCounts.entries()]
+    .sort(([themeA, a], [themeB, b]) => b - a || themeA.localeCompare(themeB))
+    .slice(0, MAX_THEMES)
+    .map(([theme]) => theme);
+
+  const coOccurrence = themes.map(theme => {
+    const withTheme = entries.filter(entry => (entry.themes || []).includes(theme));
+    const [{ key, ...counts }] = countByGroup(withTheme, [theme], () => theme);
+    return { theme: key, ...counts };
+  });
+
+  const timeOfDay = countByGroup(entries, TIMES_OF_DAY, entry => timeOfDayFor(hourIn(new Date(entry.ts || entry.timestamp), timeZone)))
+    .map(({ key, ...counts }) => ({ timeOfDay: key, ...counts }));
+
+  const weekday = countByGroup(entries, WEEKDAYS, entry => weekdayOf(dayKeyOf(entry, timeZone)))
+    .map(({ key, ...counts }) => ({ weekday: key, ...counts }));
+
+  const totals = emptyCounts();
+  entries.forEach(entry => emotionsOf(entry).forEach(emotion => { totals[emotion]++; }));
+
+  return {
+    emotions: EMOTIONS,
+    totalEntries: entries.length,
+    totals,
+    frequency,
+    coOccurrence,
+    timeOfDay,
+    weekday
+  };
+}
+
+module.exports = {
+  WEEKDAYS,
+  buildEmotionAnalytics
+};
@@ -0,0 +1,112 @@
+// Envelope encryption for journal text at rest (AES-256-GCM).
+// Each user has a random data key; it is only ever stored wrapped by a key
+// derived from their passphrase or from a session token.
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+const ALGORITHM = 'aes-256-gcm';
+const KEY_LENGTH = 32;
+
+// Entry fields holding the writer's words, or text written about them. User
+// tags count too: they are written inline in the text ("#therapy"). Everything
+// else (sentiment, emotions, themes from a fixed list, timestamps, counts)
+// stays readable for charts.
+const ENCRYPTED_FIELDS = ['userInput', 'aiResponse', 'conversation', 'followUpPrompt', 'prompt', 'tags'];
+
+/**
+ * Encrypt any JSON-serializable value
+ */
+function encrypt(value, key) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  const data = Buffer.concat([cipher.update(JSON.stringify(value), 'utf8'), cipher.final()]);
+  return {
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    data: data.toString('base64')
+  };
+}
+
+/**
+ * Decrypt a value from encrypt(). Throws if the key is wrong or the data was tampered with.
+ */
+function decrypt(blob, key) {
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(blob.iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(blob.tag, 'base64'));
+  const plaintext = Buffer.concat([decipher.update(Buffer.from(blob.data, 'base64')), decipher.final()]);
+  return JSON.parse(plaintext.toString('utf8'));
+}
+
+const createDataKey = () => crypto.randomBytes(KEY_LENGTH);
+
+const wrapKey = (dataKey, wrappingKey) => encrypt(dataKey.toString('base64'), wrappingKey);
+
+const unwrapKey = (wrapped, wrappingKey) => Buffer.from(decrypt(wrapped, wrappingKey), 'base64');
+
+/**
+ * Session tokens are high-entropy, so HKDF is enough to turn one into a key
+ */
+function deriveKeyFromToken(token) {
+  return Buffer.from(crypto.hkdfSync('sha256', token, '', 'journal-session-key', KEY_LENGTH));
+}
+
+/**
+ * Wrap a data key with a passphrase. Returns the envelope stored on the user.
+ */
+async function sealDataKey(dataKey, passphrase, keyVersion = 1) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const wrappingKey = await scrypt(passphrase, salt, KEY_LENGTH);
+  return {
+    salt,
+    wrappedKey: wrapKey(dataKey, wrappingKey),
+    keyVersion,
+    updatedAt: new Date().toISOString()
+  };
+}
+
+/**
+ * Recover the data key from a user's envelope with their passphrase
+ */
+async function openDataKey(envelope, passphrase) {
+  const wrappingKey = await scrypt(passphrase, envelope.salt, KEY_LENGTH);
+  return unwrapKey(envelope.wrappedKey, wrappingKey);
+}
+
+/**
+ * Move an entry's text fields into an encrypted blob
+ */
+function sealEntry(entry, dataKey) {
+  const sealed = { ...entry };
+  const secret = {};
+  ENCRYPTED_FIELDS.forEach(field => {
+    if (field in sealed) {
+      secret[field] = sealed[field];
+      delete sealed[field];
+    }
+  });
+  sealed.encrypted = encrypt(secret, dataKey);
+  return sealed;
+}
+
+/**
+ * Inverse of sealEntry. Entries saved before encryption pass through unchanged.
+ */
+function openEntry(stored, dataKey) {
+  if (!stored.encrypted) return stored;
+  const { encrypted, ...metadata } = stored;
+  return { ...metadata, ...decrypt(encrypted, dataKey) };
+}
+
+module.exports = {
+  ENCRYPTED_FIELDS,
+  createDataKey,
+  wrapKey,
+  unwrapKey,
+  deriveKeyFromToken,
+  sealDataKey,
+  openDataKey,
+  sealEntry,
+  openEntry
+};
@@ -0,0 +1,262 @@
+// Journal export: full JSON backup, per-day Markdown files (zipped), a CSV of
+// the analysis fields and a printable PDF report
+const archiver = require('archiver');
+const PDFDocument = require('pdfkit');
+const { normalizeTag, hasHashtag } = require('./hashtags');
+const { DEFAULT_TIME_ZONE, toDayKey, wallClockTime, dayKeyOf } = require('./date-range');
+
+const EXPORT_FORMATS = ['json', 'markdown', 'csv', 'pdf'];
+const EXPORT_VERSION = 1;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Exports group entries by day in the user's timezone. Times carry their
+// UTC offset ("18:30 UTC-05:00"), so Markdown exports import back to the
+// same moments whatever timezone they are imported in.
+const formatDay = (dayKey) => new Date(`${dayKey}T00:00:00Z`).toLocaleDateString('en-US', {
+  weekday: 'long',
+  year: 'numeric',
+  month: 'long',
+  day: 'numeric',
+  timeZone: 'UTC'
+});
+
+const formatTime = (timestamp, timeZone) => {
+  const { time, offset } = wallClockTime(new Date(timestamp), timeZone);
+  return `${time} UTC${offset}`;
+};
+
+/**
+ * Validate export query parameters. Days in from/to are in `timeZone`.
+ * Returns { options } or { error }.
+ */
+function parseExportOptions(query, timeZone = DEFAULT_TIME_ZONE) {
+  const { format = 'json', from, to, hashtag } = query;
+
+  if (!EXPORT_FORMATS.includes(format)) {
+    return { error: `format must be one of: ${EXPORT_FORMATS.join(', ')}` };
+  }
+  for (const [name, value] of [['from', from], ['to', to]]) {
+    if (value !== undefined && (!DATE_PATTERN.test(value) || isNaN(new Date(value).getTime()))) {
+      return { error: `${name} must be a date in YYYY-MM-DD format` };
+    }
+  }
+  if (from && to && from > to) {
+    return { error: 'from must not be after to' };
+  }
+  if (hashtag && !normalizeTag(hashtag)) {
+    return { error: `"${hashtag}" is not a valid hashtag` };
+  }
+
+  return {
+    options: {
+      format,
+      from: from || null,
+      to: to || null,
+      hashtag: hashtag ? normalizeTag(hashtag) : null,
+      timeZone
+    }
+  };
+}
+
+/**
+ * Entries within the (inclusive) day range and carrying the hashtag, oldest first
+ */
+function filterEntries(entries, { from = null, to = null, hashtag = null, timeZone = DEFAULT_TIME_ZONE } = {}) {
+  return entries
+    .filter(entry => {
+      const dayKey = dayKeyOf(entry, timeZone);
+      if (from && dayKey < from) return false;
+      if (to && dayKey > to) return false;
+      if (hashtag && !hasHashtag(entry, hashtag)) return false;
+      return true;
+    })
+    .sort((a, b) => new Date(a.timestamp || a.ts) - new Date(b.timestamp || b.ts));
+}
+
+/**
+ * An entry's conversation turns in order. Entries saved before conversations
+ * were tracked fall back to the opening text and reply.
+ */
+function conversationOf(entry) {
+  if (entry.conversation && entry.conversation.length > 0) {
+    return [...entry.conversation].sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+  }
+  return [
+    { role: 'user', text: entry.userInput, timestamp: entry.ts },
+    ...(entry.aiResponse ? [{ role: 'ai', text: entry.aiResponse, timestamp: entry.ts }] : [])
+  ];
+}
+
+const speakerOf = (turn) => (turn.role === 'ai' ? 'Sam' : 'You');
+
+/**
+ * Full backup in a stable, versioned shape that import can read back
+ */
+function buildJsonExport(entries, { user, privacySettings, filters, now = new Date() }) {
+  return {
+    format: 'ai-journaling-companion',
+    version: EXPORT_VERSION,
+    exportedAt: now.toISOString(),
+    account: { email: user.email },
+    filters,
+    privacySettings,
+    entries: entries.map(entry => ({
+      id: entry.id,
+      ts: entry.ts,
+      userInput: entry.userInput,
+      aiResponse: entry.aiResponse ?? null,
+      sentiment: entry.sentiment,
+      emotions: entry.emotions || [],
+      themes: entry.themes || [],
+      tags: entry.tags || [],
+      confidence: entry.confidence ?? null,
+      analysisSource: entry.analysisSource || 'unknown',
+      wordCount: entry.wordCount,
+      conversation: conversationOf(entry)
+    }))
+  };
+}
+
+const csvCell = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * One row per entry with the analysis fields only - no journal text
+ */
+function buildCsvExport(entries, timeZone = DEFAULT_TIME_ZONE) {
+  const header = ['id', 'date', 'time', 'utcOffset', 'sentiment', 'confidence', 'emotions', 'themes', 'tags', 'wordCount', 'conversationTurns'];
+  const rows = entries.map(entry => {
+    const { time, offset } = wallClockTime(new Date(entry.ts), timeZone);
+    return [
+      entry.id,
+      dayKeyOf(entry, timeZone),
+      time,
+      offset || '+00:00',
+      entry.sentiment,
+      entry.confidence,
+      (entry.emotions || []).join('; '),
+      (entry.themes || []).join('; '),
+      (entry.tags || []).join('; '),
+      entry.wordCount,
+      conversationOf(entry).length
+    ];
+  });
+  return [header, ...rows].map(row => row.map(csvCell).join(',')).join('\r\n') + '\r\n';
+}
+
+function entryToMarkdown(entry, timeZone) {
+  const details = [`**Sentiment:** ${entry.sentiment}`];
+  if (entry.emotions && entry.emotions.length > 0) {
+    details.push(`**Emotions:** ${entry.emotions.join(', ')}`);
+  }
+  if (entry.themes && entry.themes.length > 0) {
+    details.push(`**Themes:** ${entry.themes.map(theme => `#${theme}`).join(' ')}`);
+  }
+  if (entry.tags && entry.tags.length > 0) {
+    details.push(`**Tags:** ${entry.tags.map(tag => `#${tag}`).join(' ')}`);
+  }
+
+  // Escape text lines that look like an entry heading, so the import only splits on real ones
+  const turns = conversationOf(entry).map(turn => `**${speakerOf(turn)}:** ${turn.text.replace(/^(?=## \d{2}:\d{2} UTC(?:[+-]\d{2}:\d{2})?$)/gm, '\\')}`);
+  return [`## ${formatTime(entry.ts, timeZone)}`, details.join(' · '), ...turns].join('\n\n');
+}
+
+/**
+ * One Markdown file per day in the timezone: [{ name: 'YYYY-MM-DD.md', content }]
+ */
+function buildMarkdownFiles(entries, timeZone = DEFAULT_TIME_ZONE) {
+  const days = new Map();
+  entries.forEach(entry => {
+    const dayKey = dayKeyOf(entry, timeZone);
+    if (!days.has(dayKey)) days.set(dayKey, []);
+    days.get(dayKey).push(entry);
+  });
+
+  return [...days.entries()].map(([dayKey, dayEntries]) => ({
+    name: `${dayKey}.md`,
+    content: `# ${formatDay(dayKey)}\n\n${dayEntries.map(entry => entryToMarkdown(entry, timeZone)).join('\n\n---\n\n')}\n`
+  }));
+}
+
+/**
+ * Stream the per-day Markdown files to `output` as a zip archive
+ */
+function writeMarkdownArchive(output, entries, timeZone = DEFAULT_TIME_ZONE) {
+  const archive = archiver('zip');
+  archive.pipe(output);
+  buildMarkdownFiles(entries, timeZone).forEach(file => archive.append(file.content, { name: file.name }));
+  return archive.finalize();
+}
+
+const describeRange = ({ from, to }) => {
+  if (from && to) return `${formatDay(from)} to ${formatDay(to)}`;
+  if (from) return `Since ${formatDay(from)}`;
+  if (to) return `Up to ${formatDay(to)}`;
+  return 'All entries';
+};
+
+/**
+ * Stream a printable PDF report to `output`: a short overview followed by
+ * every entry with its conversation with Sam
+ */
+function writePdfReport(output, entries, { filters, now = new Date() }) {
+  const { timeZone = DEFAULT_TIME_ZONE } = filters;
+  const doc = new PDFDocument({ margin: 56, info: { Title: 'Journal Report' } });
+  doc.pipe(output);
+
+  doc.fontSize(22).fillColor('#1a1a1a').text('Journal Report');
+  doc.moveDown(0.3);
+  doc.fontSize(11).fillColor('#666666').text(describeRange(filters));
+  if (filters.hashtag) doc.text(`Entries tagged #${filters.hashtag}`);
+  doc.text(`Exported ${toDayKey(now, timeZone)} · ${entries.length} ${entries.length === 1 ? 'entry' : 'entries'}`);
+
+  const sentimentCounts = entries.reduce((counts, entry) => {
+    counts[entry.sentiment] = (counts[entry.sentiment] || 0) + 1;
+    return counts;
+  }, {});
+  if (entries.length > 0) {
+    doc.moveDown();
+    doc.fontSize(12).fillColor('#1a1a1a').text(
+      `Sentiment: ${Object.entries(sentimentCounts).map(([sentiment, count]) => `${sentiment} ${count}`).join(', ')}`
+    );
+  }
+
+  let currentDay = null;
+  entries.forEach(entry => {
+    const dayKey = dayKeyOf(entry, timeZone);
+    if (dayKey !== currentDay) {
+      currentDay = dayKey;
+      doc.moveDown(1.5);
+      doc.fontSize(15).fillColor('#4A90E2').text(formatDay(dayKey));
+    }
+
+    doc.moveDown(0.6);
+    const tags = [
+      ...(entry.emotions || []),
+      ...[...new Set([...(entry.themes || []), ...(entry.tags || [])])].map(hashtag => `#${hashtag}`)
+    ].join(', ');
+    doc.fontSize(10).fillColor('#666666').text(`${formatTime(entry.ts, timeZone)} · ${entry.sentiment}${tags ? ` · ${tags}` : ''}`);
+
+    conversationOf(entry).forEach(turn => {
+      doc.moveDown(0.3);
+      doc.fontSize(11).fillColor('#1a1a1a')
+        .font('Helvetica-Bold').text(`${speakerOf(turn)}: `, { continued: true })
+        .font('Helvetica').text(turn.text);
+    });
+  });
+
+  doc.end();
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  parseExportOptions,
+  filterEntries,
+  buildJsonExport,
+  buildCsvExport,
+  buildMarkdownFiles,
+  writeMarkdownArchive,
+  writePdfReport
+};
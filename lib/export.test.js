@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseExportOptions, filterEntries, buildCsvExport, buildMarkdownFiles } = require('./export');
+const { parseImportFiles } = require('./import');
+
+const entry = (id, ts) => ({
+  id,
+  ts,
+  userInput: `Entry ${id}`,
+  aiResponse: 'Thanks for sharing.',
+  sentiment: 'neutral',
+  emotions: [],
+  themes: [],
+  tags: [],
+  wordCount: 2
+});
+
+// Late evening of Mar 1 and early morning of Mar 2 in New York (UTC-05:00)
+const entries = [entry('a', '2026-03-02T03:30:00.000Z'), entry('b', '2026-03-02T11:00:00.000Z')];
+
+test('date filters use days in the timezone', () => {
+  const { options } = parseExportOptions({ from: '2026-03-01', to: '2026-03-01' }, 'America/New_York');
+  assert.deepEqual(filterEntries(entries, options).map(e => e.id), ['a']);
+  assert.deepEqual(filterEntries(entries, { from: '2026-03-01', to: '2026-03-01' }).map(e => e.id), []);
+});
+
+test('Markdown files are per day in the timezone and import back to the same moments', () => {
+  const files = buildMarkdownFiles(entries, 'America/New_York');
+  assert.deepEqual(files.map(file => file.name), ['2026-03-01.md', '2026-03-02.md']);
+  assert.match(files[0].content, /^## 22:30 UTC-05:00$/m);
+
+  const { records, errors } = parseImportFiles(files, 'markdown', 'Asia/Tokyo');
+  assert.deepEqual(errors, []);
+  assert.deepEqual(records.map(record => record.ts), entries.map(e => e.ts));
+});
+
+test('Markdown from older exports with UTC headings still imports', () => {
+  const content = '# Monday, March 2, 2026\n\n## 03:30 UTC\n\n**Sentiment:** neutral\n\n**You:** Entry a\n';
+  const { records } = parseImportFiles([{ name: '2026-03-02.md', content }], 'markdown', 'America/New_York');
+  assert.equal(records[0].ts, '2026-03-02T03:30:00.000Z');
+});
+
+test('CSV dates and times are local with their offset', () => {
+  const [, first] = buildCsvExport(entries, 'Asia/Kolkata').split('\r\n');
+  assert.match(first, /^a,2026-03-02,09:00,\+05:30,/);
+});
@@ -0,0 +1,101 @@
+// Hashtags: AI themes come from analysis, user tags are written inline
+// ("#therapy") or added by hand. Both are browsed and filtered together.
+const TAG_KINDS = ['theme', 'tag'];
+const MAX_TAG_LENGTH = 40;
+
+// A # that doesn't follow a word character, so "C#" and "page#top" aren't tags
+const INLINE_TAG_PATTERN = /(?:^|[^\p{L}\p{N}_&#/])#([\p{L}\p{N}_-]+)/gu;
+const TAG_PATTERN = /^[\p{L}\p{N}_-]+$/u;
+
+/**
+ * Canonical form of a tag: lowercase, no leading #, spaces as dashes.
+ * Returns null for anything that can't be a tag (e.g. "#1" or "#!!").
+ */
+function normalizeTag(tag) {
+  const name = String(tag ?? '').trim().replace(/^#/, '').trim().toLowerCase().replace(/\s+/g, '-');
+  if (!name || name.length > MAX_TAG_LENGTH || !TAG_PATTERN.test(name) || !/\p{L}/u.test(name)) {
+    return null;
+  }
+  return name;
+}
+
+const uniqueTags = (tags) => [...new Set(tags.map(normalizeTag).filter(Boolean))];
+
+/**
+ * Tags written inline in entry text, in order of first appearance
+ */
+function extractHashtags(text) {
+  return uniqueTags([...String(text || '').matchAll(INLINE_TAG_PATTERN)].map(match => match[1]));
+}
+
+/**
+ * An entry's tags after its text changed: inline tags that were removed from
+ * the text go, new ones are added, and tags added by hand stay
+ */
+function retagFromText(tags, previousText, newText) {
+  const previousInline = new Set(extractHashtags(previousText));
+  return uniqueTags([...(tags || []).filter(tag => !previousInline.has(tag)), ...extractHashtags(newText)]);
+}
+
+/**
+ * Which kinds ('theme', 'tag') a hashtag is on an entry
+ */
+function hashtagKindsOf(entry, hashtag) {
+  return [
+    ...((entry.themes || []).some(theme => theme.toLowerCase() === hashtag) ? ['theme'] : []),
+    ...((entry.tags || []).includes(hashtag) ? ['tag'] : [])
+  ];
+}
+
+const hasHashtag = (entry, hashtag) => hashtagKindsOf(entry, hashtag).length > 0;
+
+/**
+ * Every hashtag in the journal with its kinds and how many entries carry it
+ */
+function collectHashtags(entries) {
+  const hashtags = new Map();
+
+  entries.forEach(entry => {
+    const kinds = new Map();
+    (entry.themes || []).forEach(theme => kinds.set(theme.toLowerCase(), new Set(['theme'])));
+    (entry.tags || []).forEach(tag => kinds.set(tag, new Set([...(kinds.get(tag) || []), 'tag'])));
+
+    kinds.forEach((entryKinds, name) => {
+      const hashtag = hashtags.get(name) || { name, kinds: new Set(), count: 0 };
+      entryKinds.forEach(kind => hashtag.kinds.add(kind));
+      hashtag.count++;
+      hashtags.set(name, hashtag);
+    });
+  });
+
+  return [...hashtags.values()]
+    .map(hashtag => ({ ...hashtag, kinds: TAG_KINDS.filter(kind => hashtag.kinds.has(kind)) }))
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * New tag lists for the entries affected by renaming or merging `sources`
+ * into `target` (target null deletes them). Returns [{ id, tags }].
+ * AI themes belong to the analysis and are left alone.
+ */
+function planTagChange(entries, sources, target) {
+  const from = new Set(sources);
+  return entries
+    .filter(entry => (entry.tags || []).some(tag => from.has(tag)))
+    .map(entry => ({
+      id: entry.id,
+      tags: uniqueTags(entry.tags.flatMap(tag => (from.has(tag) ? (target ? [target] : []) : [tag])))
+    }));
+}
+
+module.exports = {
+  TAG_KINDS,
+  normalizeTag,
+  uniqueTags,
+  extractHashtags,
+  retagFromText,
+  hashtagKindsOf,
+  hasHashtag,
+  collectHashtags,
+  planTagChange
+};
@@ -0,0 +1,438 @@
+// Journal import: reads Day One JSON, Markdown files, CSV and this app's own
+// JSON/Markdown exports, and maps them onto the stored entry shape
+const { normalizeTag, uniqueTags, extractHashtags } = require('./hashtags');
+const { assessSafety } = require('../client/src/shared/safety');
+const { SENTIMENT_LEVELS, EMOTIONS, THEMES } = require('../client/src/shared/analysis');
+const { DEFAULT_TIME_ZONE, MAX_CLOCK_SKEW_MS, isValidTimestamp, zonedTime } = require('./date-range');
+
+const IMPORT_FORMATS = ['auto', 'journal', 'dayone', 'markdown', 'csv'];
+
+const DATE_PATTERN = /(\d{4}-\d{2}-\d{2})/;
+const TEXT_COLUMNS = ['text', 'entry', 'content', 'body', 'userinput'];
+const DATE_COLUMNS = ['ts', 'timestamp', 'date', 'created', 'creationdate', 'created_at'];
+const TAG_COLUMNS = ['tags', 'themes', 'hashtags'];
+
+class ImportError extends Error {}
+
+const isValidDate = (value) => value && !isNaN(new Date(value).getTime());
+
+const LOCAL_DATE_TIME = /^(\d{4}-\d{2}-\d{2})(?:[T ](\d{2}:\d{2})(?::\d{2}(?:\.\d+)?)?)?$/;
+
+/**
+ * A date from an import as a moment. Dates and times without a UTC offset
+ * are read in the user's timezone, so "2025-03-01" stays on March 1st
+ * for them wherever the server is.
+ */
+function resolveDate(value, timeZone) {
+  const text = String(value).trim();
+  const local = text.match(LOCAL_DATE_TIME);
+  return local ? zonedTime(local[1], local[2], timeZone) : new Date(text);
+}
+
+const isStringList = (value) => Array.isArray(value) && value.every(item => typeof item === 'string');
+
+const isTurn = (turn) => turn && ['user', 'ai'].includes(turn.role) && typeof turn.text === 'string' &&
+  typeof turn.timestamp === 'string' && isValidTimestamp(turn.timestamp);
+
+/**
+ * Analysis that came with an imported entry, or null when any field isn't
+ * one this app writes - the entry is then analyzed again like plain text
+ */
+function readAnalysis({ sentiment, emotions = [], themes = [], confidence = null, source = 'unknown' }) {
+  if (!SENTIMENT_LEVELS.includes(sentiment)) return null;
+  if (!isStringList(emotions) || !emotions.every(emotion => EMOTIONS.includes(emotion))) return null;
+  if (!isStringList(themes) || !themes.every(theme => THEMES.includes(theme))) return null;
+  if (confidence !== null && !(typeof confidence === 'number' && confidence >= 0 && confidence <= 1)) return null;
+  return { sentiment, emotions, themes, confidence, source: typeof source === 'string' ? source : 'unknown' };
+}
+
+const splitTags = (value) => String(value || '')
+  .split(/[;,]|\s+(?=#)/)
+  .map(normalizeTag)
+  .filter(Boolean);
+
+/**
+ * A candidate entry before analysis: the text, when it was written and
+ * whatever analysis and conversation the source already had
+ */
+function createRecord({ text, ts, tags = [], conversation = null, analysis = null, source }) {
+  return {
+    text: String(text).trim(),
+    ts: new Date(ts).toISOString(),
+    tags: uniqueTags(tags),
+    conversation,
+    analysis,
+    source
+  };
+}
+
+// --- This app's JSON backup (lib/export.js) ---
+
+function parseJournalBackup(data, name) {
+  if (!Array.isArray(data.entries)) {
+    throw new ImportError('Backup has no entries list');
+  }
+
+  return data.entries.map((entry, index) => {
+    if (!entry.userInput || !isValidDate(entry.ts)) {
+      throw new ImportError(`Entry ${index + 1} is missing its text or timestamp`);
+    }
+    return createRecord({
+      text: entry.userInput,
+      ts: entry.ts,
+      tags: isStringList(entry.tags) ? entry.tags : [],
+      // A malformed conversation is rebuilt from the entry text
+      conversation: Array.isArray(entry.conversation) && entry.conversation.length > 0 && entry.conversation.every(isTurn)
+        ? entry.conversation
+        : null,
+      analysis: entry.sentiment ? readAnalysis({
+        sentiment: entry.sentiment,
+        emotions: entry.emotions ?? [],
+        themes: entry.themes ?? [],
+        confidence: entry.confidence ?? null,
+        source: entry.analysisSource ?? 'unknown'
+      }) : null,
+      source: name
+    });
+  });
+}
+
+// --- Day One JSON export ---
+
+// Day One escapes Markdown punctuation and embeds photos as dayone-moment links
+const cleanDayOneText = (text) => String(text || '')
+  .replace(/!\[\]\(dayone-moment:[^)]*\)/g, '')
+  .replace(/\\([\\`*_{}[\]()#+\-.!])/g, '$1')
+  .trim();
+
+function parseDayOne(data, name) {
+  if (!Array.isArray(data.entries)) {
+    throw new ImportError('Day One export has no entries list');
+  }
+
+  return data.entries
+    .map(entry => ({ ...entry, text: cleanDayOneText(entry.text) }))
+    .filter(entry => entry.text && isValidDate(entry.creationDate))
+    .map(entry => createRecord({
+      text: entry.text,
+      ts: entry.creationDate,
+      tags: entry.tags || [],
+      source: name
+    }));
+}
+
+function parseJsonFile(content, name, format) {
+  let data;
+  try {
+    data = JSON.parse(content);
+  } catch (error) {
+    throw new ImportError('File is not valid JSON');
+  }
+
+  if (format === 'journal' || (format === 'auto' && data.format === 'ai-journaling-companion')) {
+    return parseJournalBackup(data, name);
+  }
+  if (format === 'dayone' || (format === 'auto' && Array.isArray(data.entries) && data.entries.some(entry => entry.creationDate))) {
+    return parseDayOne(data, name);
+  }
+  throw new ImportError('Unrecognized JSON format (expected a Day One or journal backup export)');
+}
+
+// --- Markdown ---
+
+const TURN_PATTERN = /^\*\*(You|Sam):\*\*\s?/;
+// Entry headings in this app's export; lines in the text that look like one are escaped with a backslash
+// (older exports have UTC times without an offset)
+const EXPORT_HEADING = /^## (\d{2}:\d{2}) UTC([+-]\d{2}:\d{2})?$/m;
+const ESCAPED_HEADING = /^\\(?=## \d{2}:\d{2} UTC(?:[+-]\d{2}:\d{2})?$)/gm;
+
+/**
+ * One section of this app's per-day Markdown export:
+ * "## HH:MM UTC±HH:MM", a details line, then the You and Sam turns
+ */
+function parseExportedSection(section, dayKey, name) {
+  const [heading, ...paragraphs] = section.trim().split(/\n{2,}/);
+  const [, time, offset = 'Z'] = heading.match(EXPORT_HEADING);
+  const ts = new Date(`${dayKey}T${time}:00.000${offset}`);
+  if (!isValidDate(ts)) {
+    throw new ImportError(`Entry at ${time} has an invalid time`);
+  }
+
+  const turns = [];
+  paragraphs.map(paragraph => paragraph.replace(ESCAPED_HEADING, '')).forEach(paragraph => {
+    const speaker = paragraph.match(TURN_PATTERN);
+    if (speaker) {
+      turns.push({ role: speaker[1] === 'Sam' ? 'ai' : 'user', text: paragraph.replace(TURN_PATTERN, '') });
+    } else if (turns.length > 0) {
+      // Entry text with blank lines continues the previous turn
+      turns[turns.length - 1].text += `\n\n${paragraph}`;
+    }
+  });
+
+  if (turns.length === 0 || turns[0].role !== 'user') {
+    throw new ImportError(`Entry at ${time} has no text`);
+  }
+
+  const detail = (label) => (section.match(new RegExp(`\\*\\*${label}:\\*\\* ([^\\n]*?)(?: · |\\n|$)`)) || [])[1];
+  const sentiment = detail('Sentiment');
+  return createRecord({
+    text: turns[0].text,
+    ts,
+    tags: detail('Tags') ? splitTags(detail('Tags')) : [],
+    analysis: sentiment ? readAnalysis({
+      sentiment,
+      emotions: detail('Emotions') ? detail('Emotions').split(', ') : [],
+      themes: detail('Themes') ? splitTags(detail('Themes')) : []
+    }) : null,
+    // Exported Markdown only keeps minutes, so space the turns a second apart
+    conversation: turns.map((turn, index) => ({
+      ...turn,
+      timestamp: new Date(ts.getTime() + index * 1000).toISOString()
+    })),
+    source: name
+  });
+}
+
+/**
+ * Split YAML-style front matter (date, tags) from the body
+ */
+function readFrontMatter(content) {
+  const match = content.match(/^---\r?\n([\s\S]*?)\r?\n---\r?\n?/);
+  if (!match) return { fields: {}, body: content };
+
+  const fields = {};
+  match[1].split(/\r?\n/).forEach(line => {
+    const [key, ...rest] = line.split(':');
+    if (rest.length > 0) fields[key.trim().toLowerCase()] = rest.join(':').trim();
+  });
+  return { fields, body: content.slice(match[0].length) };
+}
+
+/**
+ * Records from a Markdown file. In this app's own exports each entry is
+ * parsed on its own, and one that can't be read is passed to `skip` with
+ * the reason instead of failing the whole file.
+ */
+function parseMarkdownFile(content, name, skip, timeZone) {
+  const nameDate = (name.match(DATE_PATTERN) || [])[1];
+
+  // Files from this app's own Markdown export
+  if (nameDate && EXPORT_HEADING.test(content)) {
+    const records = [];
+    content
+      .split(/^(?=## \d{2}:\d{2} UTC(?:[+-]\d{2}:\d{2})?$)/m)
+      .slice(1)
+      .forEach(section => {
+        try {
+          records.push(parseExportedSection(section.replace(/\n---\s*$/, ''), nameDate, name));
+        } catch (error) {
+          if (!(error instanceof ImportError)) throw error;
+          skip(error.message);
+        }
+      });
+    return records;
+  }
+
+  const { fields, body } = readFrontMatter(content);
+  let text = body.trim();
+  let date = fields.date || nameDate;
+
+  // Fall back to a leading "# <date>" heading
+  const heading = text.match(/^#\s+(.+)\n*/);
+  if (!date && heading && isValidDate(heading[1])) {
+    date = heading[1];
+    text = text.slice(heading[0].length).trim();
+  }
+
+  if (!isValidDate(date)) {
+    throw new ImportError('No date found (use a YYYY-MM-DD file name or a "date:" front matter field)');
+  }
+  if (!text) {
+    throw new ImportError('File has no text');
+  }
+
+  return [createRecord({
+    text,
+    ts: resolveDate(date, timeZone),
+    tags: fields.tags ? splitTags(fields.tags.replace(/^\[|\]$/g, '')) : [],
+    source: name
+  })];
+}
+
+// --- CSV ---
+
+/**
+ * Minimal RFC 4180 parser: quoted fields, escaped quotes and newlines in quotes
+ */
+function parseCsvRows(content) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+    if (inQuotes) {
+      if (char === '"' && content[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && content[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter(cells => cells.some(cell => cell.trim()));
+}
+
+function parseCsvFile(content, name, timeZone) {
+  const [header, ...rows] = parseCsvRows(content.replace(/^\uFEFF/, ''));
+  if (!header) throw new ImportError('CSV file is empty');
+
+  const columns = header.map(column => column.trim().toLowerCase());
+  const find = (candidates) => columns.findIndex(column => candidates.includes(column));
+  const textColumn = find(TEXT_COLUMNS);
+  const dateColumn = find(DATE_COLUMNS);
+  const timeColumn = columns.indexOf('time');
+  const tagColumn = find(TAG_COLUMNS);
+
+  if (textColumn === -1) {
+    throw new ImportError(`CSV needs a text column (one of: ${TEXT_COLUMNS.join(', ')}). CSV exports from this app don't include text; import the JSON backup instead.`);
+  }
+  if (dateColumn === -1) {
+    throw new ImportError(`CSV needs a date column (one of: ${DATE_COLUMNS.join(', ')})`);
+  }
+
+  return rows
+    .filter(cells => (cells[textColumn] || '').trim())
+    .map((cells, index) => {
+      const date = cells[dateColumn];
+      const ts = timeColumn !== -1 && DATE_PATTERN.test(date) && !date.includes('T')
+        ? `${date.match(DATE_PATTERN)[1]}T${cells[timeColumn] || '00:00'}`
+        : date;
+      if (!isValidDate(ts)) {
+        throw new ImportError(`Row ${index + 2} has an invalid date "${date}"`);
+      }
+      return createRecord({
+        text: cells[textColumn],
+        ts: resolveDate(ts, timeZone),
+        tags: tagColumn !== -1 ? splitTags(cells[tagColumn]) : [],
+        source: name
+      });
+    });
+}
+
+/**
+ * Parse uploaded files ({ name, content }) into records. A file (or an entry
+ * in an exported Markdown file) that can't be read is reported in `errors`
+ * without failing the others, and so is an entry dated in the future.
+ * Dates without a UTC offset are in `timeZone`.
+ */
+function parseImportFiles(files, format = 'auto', timeZone = DEFAULT_TIME_ZONE) {
+  const records = [];
+  const errors = [];
+
+  files.forEach(({ name = 'untitled', content = '' }) => {
+    try {
+      const extension = (name.match(/\.([a-z]+)$/i) || [])[1]?.toLowerCase();
+      let parsed;
+      if (format === 'csv' || (format === 'auto' && extension === 'csv')) {
+        parsed = parseCsvFile(content, name, timeZone);
+      } else if (format === 'markdown' || (format === 'auto' && ['md', 'markdown', 'txt'].includes(extension))) {
+        parsed = parseMarkdownFile(content, name, error => errors.push({ file: name, error }), timeZone);
+      } else if (format !== 'auto' || extension === 'json') {
+        parsed = parseJsonFile(content, name, format);
+      } else {
+        throw new ImportError('Unsupported file type (expected .json, .md, .markdown, .txt or .csv)');
+      }
+      parsed.forEach(record => {
+        if (new Date(record.ts).getTime() > Date.now() + MAX_CLOCK_SKEW_MS) {
+          errors.push({ file: name, error: `Entry dated ${record.ts} is in the future` });
+        } else {
+          records.push(record);
+        }
+      });
+    } catch (error) {
+      if (!(error instanceof ImportError)) throw error;
+      errors.push({ file: name, error: error.message });
+    }
+  });
+
+  return { records, errors };
+}
+
+// Minute precision, so a Markdown round trip (which drops seconds) still matches
+const dedupeKey = (text, ts) => `${new Date(ts).toISOString().slice(0, 16)}|${String(text).replace(/\s+/g, ' ').trim()}`;
+
+/**
+ * Split records into new ones and ones already in the journal (or repeated in the import)
+ */
+function partitionDuplicates(records, existingEntries) {
+  const seen = new Set(existingEntries.map(entry => dedupeKey(entry.userInput, entry.ts)));
+  const fresh = [];
+  const duplicates = [];
+
+  records.forEach(record => {
+    const key = dedupeKey(record.text, record.ts);
+    if (seen.has(key)) {
+      duplicates.push(record);
+    } else {
+      seen.add(key);
+      fresh.push(record);
+    }
+  });
+  return { fresh, duplicates };
+}
+
+/**
+ * The stored entry for an analyzed record, in the same shape /api/sentiment saves
+ */
+function buildImportedEntry(record, analysis) {
+  const conversation = record.conversation && record.conversation.length > 0
+    ? record.conversation
+    : [{ role: 'user', text: record.text, timestamp: record.ts }];
+  const firstReply = conversation.find(turn => turn.role === 'ai');
+
+  return {
+    userInput: record.text,
+    aiResponse: firstReply ? firstReply.text : null,
+    sentiment: analysis.sentiment,
+    emotions: analysis.emotions,
+    themes: analysis.themes,
+    tags: uniqueTags([...record.tags, ...extractHashtags(record.text)]),
+    confidence: analysis.confidence,
+    analysisSource: analysis.source,
+    // Flagged for the record; imported entries keep the replies they came with
+    safety: assessSafety(record.text, analysis.risk),
+    ts: record.ts,
+    wordCount: record.text.split(/\s+/).length,
+    conversation,
+    importedFrom: record.source
+  };
+}
+
+module.exports = {
+  IMPORT_FORMATS,
+  ImportError,
+  parseImportFiles,
+  partitionDuplicates,
+  buildImportedEntry
+};
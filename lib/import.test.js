@@ -0,0 +1,43 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseImportFiles } = require('./import');
+
+const backup = (entries) => [{
+  name: 'backup.json',
+  content: JSON.stringify({ format: 'ai-journaling-companion', version: 1, entries })
+}];
+
+const entry = (fields) => ({
+  ts: '2026-03-01T09:00:00.000Z',
+  userInput: 'Slow morning, long walk',
+  sentiment: 'positive',
+  emotions: ['joy'],
+  themes: ['nature'],
+  ...fields
+});
+
+test('conversations need a valid timestamp on every turn', () => {
+  const turns = [
+    { role: 'user', text: 'Slow morning, long walk', timestamp: '2026-03-01T09:00:00.000Z' },
+    { role: 'ai', text: 'Sounds restful.', timestamp: 'yesterday' }
+  ];
+  const [record] = parseImportFiles(backup([entry({ conversation: turns })])).records;
+  assert.equal(record.conversation, null);
+
+  const [kept] = parseImportFiles(backup([entry({ conversation: turns.slice(0, 1) })])).records;
+  assert.equal(kept.conversation.length, 1);
+});
+
+test('analysis with a theme this app does not use is dropped', () => {
+  const [known] = parseImportFiles(backup([entry()])).records;
+  assert.deepEqual(known.analysis.themes, ['nature']);
+  const [unknown] = parseImportFiles(backup([entry({ themes: ['nature', 'astrology'] })])).records;
+  assert.equal(unknown.analysis, null);
+});
+
+test('entries dated in the future are reported, not imported', () => {
+  const future = new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString();
+  const { records, errors } = parseImportFiles(backup([entry(), entry({ ts: future })]));
+  assert.equal(records.length, 1);
+  assert.deepEqual(errors, [{ file: 'backup.json', error: `Entry dated ${future} is in the future` }]);
+});
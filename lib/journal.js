@@ -0,0 +1,175 @@
+// One user's journal: scopes store access to the user and encrypts
+// journal text on the way in and decrypts it on the way out
+const { ENCRYPTED_FIELDS, sealEntry, openEntry } = require('./encryption');
+const { generateId } = require('./storage');
+
+class Journal {
+  constructor(store, userId, dataKey) {
+    this.store = store;
+    this.userId = userId;
+    this.dataKey = dataKey;
+  }
+
+  async listEntries() {
+    const entries = await this.store.listEntries(this.userId);
+    return entries.map(entry => openEntry(entry, this.dataKey));
+  }
+
+  async getEntry(id) {
+    const entry = await this.store.getEntry(this.userId, id);
+    return entry ? openEntry(entry, this.dataKey) : null;
+  }
+
+  /**
+   * The entry created from a client's offline write, if it was already synced
+   */
+  async findByClientId(clientId) {
+    const entries = await this.store.listEntries(this.userId);
+    const entry = entries.find(e => e.clientId === clientId);
+    return entry ? openEntry(entry, this.dataKey) : null;
+  }
+
+  async countEntries() {
+    return this.store.countEntries(this.userId);
+  }
+
+  async insertEntry(entry) {
+    const stored = await this.store.insertEntry(this.userId, sealEntry(entry, this.dataKey));
+    return openEntry(stored, this.dataKey);
+  }
+
+  /**
+   * Save a batch of new entries (e.g. an import) with their journey points
+   */
+  async insertEntries(entries) {
+    const withIds = entries.map(entry => ({ ...entry, id: generateId() }));
+    const journeyPoints = withIds.map(entry => ({
+      entryId: entry.id,
+      date: entry.ts,
+      sentiment: entry.sentiment,
+      emotions: entry.emotions,
+      analysisSource: entry.analysisSource
+    }));
+
+    const stored = await this.store.insertEntries(
+      this.userId,
+      withIds.map(entry => sealEntry(entry, this.dataKey)),
+      journeyPoints
+    );
+    return stored.map(entry => openEntry(entry, this.dataKey));
+  }
+
+  async updateEntry(id, changes) {
+    const existing = await this.getEntry(id);
+    if (!existing) return null;
+
+    // Re-seal and replace the whole record so no plaintext field survives the merge
+    const replacement = sealEntry({ ...existing, ...changes, id, userId: this.userId }, this.dataKey);
+    await this.store.replaceEntries(this.userId, [{ id, replacement }]);
+    return openEntry(replacement, this.dataKey);
+  }
+
+  /**
+   * Replace the tags on many entries in a single write ([{ id, tags }])
+   */
+  async updateTags(changes) {
+    const entries = new Map((await this.store.listEntries(this.userId)).map(entry => [entry.id, entry]));
+    const updates = changes
+      .filter(({ id }) => entries.has(id))
+      .map(({ id, tags }) => ({
+        id,
+        replacement: sealEntry({ ...openEntry(entries.get(id), this.dataKey), tags }, this.dataKey)
+      }));
+
+    if (updates.length > 0) {
+      await this.store.replaceEntries(this.userId, updates);
+    }
+    return updates.length;
+  }
+
+  async deleteEntry(id) {
+    return this.store.deleteEntry(this.userId, id);
+  }
+
+  async listArchivedEntries() {
+    const entries = await this.store.listArchivedEntries(this.userId);
+    return entries.map(entry => openEntry(entry, this.dataKey));
+  }
+
+  /**
+   * Bring an entry back from the retention archive, with its journey point
+   */
+  async restoreArchivedEntry(id) {
+    const archived = (await this.store.listArchivedEntries(this.userId)).find(entry => entry.id === id);
+    if (!archived) return null;
+
+    const restored = await this.store.restoreArchivedEntry(this.userId, id, {
+      entryId: id,
+      date: archived.ts,
+      sentiment: archived.sentiment,
+      emotions: archived.emotions,
+      analysisSource: archived.analysisSource
+    });
+    return restored ? openEntry(restored, this.dataKey) : null;
+  }
+
+  async deleteArchivedEntry(id) {
+    return this.store.deleteArchivedEntry(this.userId, id);
+  }
+
+  async getUserInsights() {
+    return this.store.getUserInsights(this.userId);
+  }
+
+  async skipPrompt(promptId) {
+    return this.store.skipPrompt(this.userId, promptId);
+  }
+
+  async addJourneyPoint(point) {
+    return this.store.addJourneyPoint(this.userId, point);
+  }
+
+  async updateJourneyPoint(entryId, changes) {
+    return this.store.updateJourneyPoint(this.userId, entryId, changes);
+  }
+
+  async removeJourneyPoints(entryId) {
+    return this.store.removeJourneyPoints(this.userId, entryId);
+  }
+
+  /**
+   * Encrypt entries written before encryption existed (or claimed from a
+   * pre-accounts journal), and fields that were only added to
+   * ENCRYPTED_FIELDS later (tags). Returns how many were sealed.
+   */
+  async sealPlaintextEntries() {
+    const entries = await this.store.listEntries(this.userId);
+    const updates = entries
+      .filter(entry => !entry.encrypted || ENCRYPTED_FIELDS.some(field => field in entry))
+      .map(entry => ({ id: entry.id, replacement: sealEntry(openEntry(entry, this.dataKey), this.dataKey) }));
+
+    if (updates.length > 0) {
+      await this.store.replaceEntries(this.userId, updates);
+    }
+    return updates.length;
+  }
+
+  /**
+   * Every entry (archived ones included) re-encrypted under a new data key,
+   * ready to be saved together with the new key envelope
+   */
+  async reencryptEntries(newDataKey) {
+    const entries = [
+      ...await this.store.listEntries(this.userId),
+      ...await this.store.listArchivedEntries(this.userId)
+    ];
+    return entries.map(entry => ({
+      id: entry.id,
+      replacement: sealEntry(openEntry(entry, this.dataKey), newDataKey)
+    }));
+  }
+}
+
+module.exports = {
+  Journal
+};
@@ -0,0 +1,109 @@
+// On-device replies and summaries for the local AI provider (no network calls).
+// Entry analysis lives in client/src/shared/analysis.js, shared with the client,
+// so it only uses `sentiment`; `natural` and `compromise` don't run in the browser.
+const nlp = require('compromise');
+const { TfIdf, PorterStemmer, stopwords } = require('natural');
+
+// First-person words swapped so a topic reads naturally when reflected back
+const REFLECTIONS = { my: 'your', our: 'your', me: 'you', i: 'you', myself: 'yourself' };
+
+const WORD_PATTERN = /\p{L}+(?:'\p{L}+)?/gu;
+// Words every journal is full of, on top of the usual English stopwords
+const STOPWORDS = new Set([
+  ...stopwords, 'today', 'yesterday', 'day', 'feel', 'feeling', 'felt', 'really', 'just', 'like',
+  'get', 'got', 'also', 'still', 'much', 'lot', 'thing', 'things', 'time', 'bit', 'went', 'going'
+]);
+const MIN_WORD_LENGTH = 3;
+
+/**
+ * Pick the most salient noun phrase to reflect back to the writer
+ */
+function extractTopic(text) {
+  const doc = nlp(text);
+  const properNouns = new Set(doc.match('#ProperNoun').out('array').map(word => word.toLowerCase()));
+  const candidates = [
+    ...doc.topics().out('array'),
+    ...doc.nouns().not('#Pronoun').out('array')
+  ].filter(phrase => !/^sam$/i.test(phrase.trim()));
+
+  if (candidates.length === 0) return null;
+
+  return candidates[0]
+    .replace(/[.,!?;:]+$/, '')
+    .split(/\s+/)
+    .map(word => REFLECTIONS[word.toLowerCase()] || (properNouns.has(word.toLowerCase()) ? word : word.toLowerCase()))
+    .join(' ');
+}
+
+const REPLY_OPENERS = {
+  very_positive: "It's really lovely to read how good things feel right now.",
+  positive: "It sounds like there's some real warmth in what you're sharing.",
+  neutral: "Thanks for taking a moment to put this into words.",
+  negative: "That sounds genuinely hard, and it makes sense that it's weighing on you.",
+  very_negative: "I'm really sorry things feel this heavy right now. You don't have to carry it all at once."
+};
+
+const REPLY_QUESTIONS = {
+  very_positive: 'What do you think made the biggest difference?',
+  positive: 'What would help you hold on to this feeling?',
+  neutral: 'What feels most important to you about it right now?',
+  negative: "What's one small thing that might make the next few hours a little easier?",
+  very_negative: 'Is there someone you trust who you could reach out to today?'
+};
+
+/**
+ * Template-based reply from Sam for the local provider
+ */
+function generateLocalReply(text, analysis, thread = []) {
+  const topic = extractTopic(text);
+  const opener = thread.length > 0
+    ? "I hear you, and I'm glad you're still talking this through."
+    : REPLY_OPENERS[analysis.sentiment] || REPLY_OPENERS.neutral;
+  const reflection = topic ? ` It seems like ${topic} is a big part of this for you.` : '';
+
+  return `${opener}${reflection} ${REPLY_QUESTIONS[analysis.sentiment] || REPLY_QUESTIONS.neutral}`;
+}
+
+/**
+ * Words the writer kept coming back to: stems found in at least two of the
+ * texts, ranked by their summed TF-IDF weight and shown in their most
+ * common spelling
+ */
+function recurringWords(texts, limit = 3) {
+  const tfidf = new TfIdf();
+  const spellings = new Map();
+  const documentsWith = new Map();
+
+  texts.forEach((text, index) => {
+    const stems = [...String(text || '').toLowerCase().matchAll(WORD_PATTERN)]
+      .map(match => match[0])
+      .filter(word => word.length >= MIN_WORD_LENGTH && !STOPWORDS.has(word))
+      .map(word => {
+        const stem = PorterStemmer.stem(word);
+        if (!spellings.has(stem)) spellings.set(stem, new Map());
+        spellings.get(stem).set(word, (spellings.get(stem).get(word) || 0) + 1);
+        if (!documentsWith.has(stem)) documentsWith.set(stem, new Set());
+        documentsWith.get(stem).add(index);
+        return stem;
+      });
+    tfidf.addDocument(stems);
+  });
+
+  const mostCommonSpelling = (stem) => [...spellings.get(stem).entries()].sort((a, b) => b[1] - a[1])[0][0];
+
+  return [...documentsWith.entries()]
+    .filter(([, documents]) => documents.size >= 2)
+    .map(([stem, documents]) => ({
+      stem,
+      weight: [...documents].reduce((sum, index) => sum + tfidf.tfidf(stem, index), 0)
+    }))
+    .sort((a, b) => b.weight - a.weight)
+    .slice(0, limit)
+    .map(({ stem }) => mostCommonSpelling(stem));
+}
+
+module.exports = {
+  extractTopic,
+  generateLocalReply,
+  recurringWords
+};
@@ -0,0 +1,19 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { recurringWords } = require('./local-nlp');
+
+test('recurring words are stemmed and need at least two entries', () => {
+  const words = recurringWords([
+    "Couldn't sleep again, the deadline keeps me up",
+    'Another deadline at work. Slept badly.',
+    'A walk with Mum helped. Still thinking about deadlines and sleeping',
+    'Mum called and we laughed',
+    'The garden is blooming'
+  ]);
+  assert.deepEqual(words, ['deadline', 'sleep', 'mum']);
+  assert.deepEqual(recurringWords(['Just one entry about the garden']), []);
+});
+
+test('stopwords and everyday journal words are left out', () => {
+  assert.deepEqual(recurringWords(['I really feel it today', 'Today I really feel it']), []);
+});
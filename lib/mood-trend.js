@@ -0,0 +1,247 @@
+// Mood trend engine: a regression of daily mood on time with a confidence
+// interval, and change-point detection for lasting shifts in mood
+const { DEFAULT_TIME_ZONE, dayKeyOf } = require('./date-range');
+
+const SENTIMENT_SCORES = {
+  very_positive: 1,
+  positive: 0.5,
+  neutral: 0,
+  negative: -0.5,
+  very_negative: -1
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const CONFIDENCE_LEVEL = 0.95;
+const MIN_TREND_DAYS = 3;
+// A significant slope only counts as improving/declining if it moves mood
+// at least this much (on the -1..1 scale) across the days it covers
+const MIN_MEANINGFUL_CHANGE = 0.1;
+const CHANGE_POINT_ALPHA = 0.05;
+const MIN_SEGMENT_DAYS = 3;
+const MAX_CHANGE_POINTS = 3;
+
+const scoreOf = (sentiment) => SENTIMENT_SCORES[sentiment] ?? 0;
+const mean = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+const variance = (values) => {
+  const average = mean(values);
+  return values.reduce((sum, value) => sum + (value - average) ** 2, 0) / (values.length - 1);
+};
+
+// --- Student's t distribution ---
+
+// Lanczos approximation of ln(Gamma(x))
+function logGamma(x) {
+  const coefficients = [76.18009172947146, -86.50532032941677, 24.01409824083091,
+    -1.231739572450155, 0.1208650973866179e-2, -0.5395239384953e-5];
+  let y = x;
+  const tmp = x + 5.5 - (x + 0.5) * Math.log(x + 5.5);
+  const series = coefficients.reduce((sum, c) => sum + c / ++y, 1.000000000190015);
+  return -tmp + Math.log(2.5066282746310005 * series / x);
+}
+
+// Continued fraction for the regularized incomplete beta function
+function betaContinuedFraction(a, b, x) {
+  const tiny = 1e-30;
+  let c = 1;
+  let d = 1 - (a + b) * x / (a + 1);
+  d = 1 / (Math.abs(d) < tiny ? tiny : d);
+  let result = d;
+  for (let m = 1; m <= 200; m++) {
+    const m2 = 2 * m;
+    let aa = m * (b - m) * x / ((a + m2 - 1) * (a + m2));
+    d = 1 / (Math.abs(1 + aa * d) < tiny ? tiny : 1 + aa * d);
+    c = Math.abs(1 + aa / c) < tiny ? tiny : 1 + aa / c;
+    result *= d * c;
+    aa = -(a + m) * (a + b + m) * x / ((a + m2) * (a + m2 + 1));
+    d = 1 / (Math.abs(1 + aa * d) < tiny ? tiny : 1 + aa * d);
+    c = Math.abs(1 + aa / c) < tiny ? tiny : 1 + aa / c;
+    const delta = d * c;
+    result *= delta;
+    if (Math.abs(delta - 1) < 3e-12) break;
+  }
+  return result;
+}
+
+function regularizedBeta(x, a, b) {
+  if (x <= 0) return 0;
+  if (x >= 1) return 1;
+  const front = Math.exp(logGamma(a + b) - logGamma(a) - logGamma(b) + a * Math.log(x) + b * Math.log(1 - x));
+  return x < (a + 1) / (a + b + 2)
+    ? front * betaContinuedFraction(a, b, x) / a
+    : 1 - front * betaContinuedFraction(b, a, 1 - x) / b;
+}
+
+/**
+ * Two-sided p-value of a t statistic with df degrees of freedom
+ */
+function tTestPValue(t, df) {
+  if (!Number.isFinite(t)) return 0;
+  return regularizedBeta(df / (df + t * t), df / 2, 0.5);
+}
+
+/**
+ * The t value with a two-sided tail probability of alpha (e.g. 2.571 for
+ * alpha 0.05 and df 5), by bisection
+ */
+function tCritical(alpha, df) {
+  let low = 0;
+  let high = 1000;
+  for (let i = 0; i < 100; i++) {
+    const middle = (low + high) / 2;
+    if (tTestPValue(middle, df) > alpha) low = middle;
+    else high = middle;
+  }
+  return (low + high) / 2;
+}
+
+// --- Daily series ---
+
+/**
+ * Average mood per calendar day, oldest first: { date, day, score, count }
+ * where day counts days since the epoch. Several entries on one day count
+ * as one observation, so a burst of writing doesn't outweigh a quiet week.
+ */
+function dailyScores(entries, timeZone = DEFAULT_TIME_ZONE) {
+  const days = new Map();
+  entries.forEach(entry => {
+    const date = dayKeyOf(entry, timeZone);
+    if (!days.has(date)) days.set(date, []);
+    days.get(date).push(scoreOf(entry.sentiment));
+  });
+
+  return [...days.entries()]
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([date, scores]) => ({ date, day: Date.parse(date) / DAY_MS, score: mean(scores), count: scores.length }));
+}
+
+/**
+ * Least-squares fit of daily mood against time. The slope is in mood per
+ * day, with a CONFIDENCE_LEVEL interval from the t distribution.
+ */
+function fitTrend(series) {
+  const n = series.length;
+  const xs = series.map(point => point.day);
+  const ys = series.map(point => point.score);
+  const xMean = mean(xs);
+  const yMean = mean(ys);
+  const sxx = xs.reduce((sum, x) => sum + (x - xMean) ** 2, 0);
+  const sxy = xs.reduce((sum, x, i) => sum + (x - xMean) * (ys[i] - yMean), 0);
+
+  const slope = sxy / sxx;
+  const intercept = yMean - slope * xMean;
+  const residuals = ys.reduce((sum, y, i) => sum + (y - (intercept + slope * xs[i])) ** 2, 0);
+  const df = n - 2;
+  const standardError = df > 0 ? Math.sqrt(residuals / df / sxx) : Infinity;
+  const margin = df > 0 ? tCritical(1 - CONFIDENCE_LEVEL, df) * standardError : Infinity;
+
+  return { slope, standardError, df, low: slope - margin, high: slope + margin, spanDays: xs[n - 1] - xs[0] };
+}
+
+// Welch's t-test between two runs of daily scores
+function welchTest(before, after) {
+  const standardErrorSquared = variance(before) / before.length + variance(after) / after.length;
+  const shift = mean(after) - mean(before);
+  if (standardErrorSquared === 0) {
+    return { shift, pValue: shift === 0 ? 1 : 0 };
+  }
+  const df = standardErrorSquared ** 2 / (
+    (variance(before) / before.length) ** 2 / (before.length - 1) +
+    (variance(after) / after.length) ** 2 / (after.length - 1)
+  );
+  return { shift, pValue: tTestPValue(shift / Math.sqrt(standardErrorSquared), df) };
+}
+
+/**
+ * Days where mood shifted and stayed shifted, by binary segmentation: split
+ * the series where the before/after difference is most significant (Welch's
+ * t-test, Bonferroni-corrected for the splits tried), then look for more
+ * shifts on each side. Each run needs at least MIN_SEGMENT_DAYS days.
+ */
+function detectChangePoints(series) {
+  const found = [];
+
+  const search = (start, end) => {
+    const candidates = end - start - 2 * MIN_SEGMENT_DAYS + 1;
+    if (candidates < 1 || found.length >= MAX_CHANGE_POINTS) return;
+
+    const scores = series.slice(start, end).map(point => point.score);
+    let best = null;
+    for (let split = MIN_SEGMENT_DAYS; split <= scores.length - MIN_SEGMENT_DAYS; split++) {
+      const test = welchTest(scores.slice(0, split), scores.slice(split));
+      if (!best || test.pValue < best.pValue) best = { ...test, split };
+    }
+    if (best.pValue * candidates >= CHANGE_POINT_ALPHA) return;
+
+    const index = start + best.split;
+    found.push({
+      date: series[index].date,
+      before: mean(scores.slice(0, best.split)),
+      after: mean(scores.slice(best.split)),
+      shift: best.shift,
+      pValue: best.pValue
+    });
+    search(start, index);
+    search(index, end);
+  };
+
+  search(0, series.length);
+  return found
+    .sort((a, b) => a.date.localeCompare(b.date))
+    .slice(0, MAX_CHANGE_POINTS)
+    .map(point => ({
+      date: point.date,
+      direction: point.shift > 0 ? 'up' : 'down',
+      before: round(point.before),
+      after: round(point.after),
+      shift: round(point.shift),
+      pValue: Math.round(point.pValue * 10000) / 10000
+    }));
+}
+
+const round = (value) => Math.round(value * 100) / 100;
+const perWeek = (slope) => round(slope * 7);
+
+/**
+ * Mood trend of a set of entries: { trend, direction, description } as the
+ * insights view shows it, plus the fitted slope and its confidence interval
+ * (mood change per week), the days it's based on and any change points
+ */
+function analyzeMoodTrend(entries, timeZone = DEFAULT_TIME_ZONE) {
+  if (entries.length === 0) {
+    return { trend: 'stable', direction: '➡️', description: 'No data yet', days: 0, slopePerWeek: null, confidenceInterval: null, changePoints: [] };
+  }
+
+  const series = dailyScores(entries, timeZone);
+  if (series.length < MIN_TREND_DAYS) {
+    return { trend: 'stable', direction: '➡️', description: 'Need more data', days: series.length, slopePerWeek: null, confidenceInterval: null, changePoints: [] };
+  }
+
+  const fit = fitTrend(series);
+  const meaningful = Math.abs(fit.slope * fit.spanDays) >= MIN_MEANINGFUL_CHANGE;
+  const base = {
+    days: series.length,
+    slopePerWeek: perWeek(fit.slope),
+    confidenceInterval: Number.isFinite(fit.low)
+      ? { level: CONFIDENCE_LEVEL, low: perWeek(fit.low), high: perWeek(fit.high) }
+      : null,
+    changePoints: detectChangePoints(series)
+  };
+
+  if (fit.low > 0 && meaningful) {
+    return { trend: 'improving', direction: '↗️', description: 'Getting better', ...base };
+  }
+  if (fit.high < 0 && meaningful) {
+    return { trend: 'declining', direction: '↘️', description: 'Needs attention', ...base };
+  }
+  return { trend: 'stable', direction: '➡️', description: 'Staying steady', ...base };
+}
+
+module.exports = {
+  SENTIMENT_SCORES,
+  scoreOf,
+  dailyScores,
+  tTestPValue,
+  tCritical,
+  detectChangePoints,
+  analyzeMoodTrend
+};
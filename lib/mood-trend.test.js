@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { dailyScores, tTestPValue, tCritical, detectChangePoints, analyzeMoodTrend } = require('./mood-trend');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// One entry a day at noon UTC from 2026-03-01, with the given sentiments
+const daily = (sentiments) => sentiments.map((sentiment, i) => ({
+  ts: new Date(Date.parse('2026-03-01T12:00:00Z') + i * DAY_MS).toISOString(),
+  sentiment
+}));
+
+test('t distribution matches known critical values', () => {
+  assert.ok(Math.abs(tCritical(0.05, 5) - 2.571) < 0.001);
+  assert.ok(Math.abs(tCritical(0.05, 30) - 2.042) < 0.001);
+  assert.ok(Math.abs(tTestPValue(2.228, 10) - 0.05) < 0.001);
+  assert.equal(tTestPValue(Infinity, 10), 0);
+});
+
+test('daily scores average each day in the timezone', () => {
+  const entries = [
+    { ts: '2026-03-01T22:00:00Z', sentiment: 'very_positive' },
+    { ts: '2026-03-02T03:00:00Z', sentiment: 'very_negative' }
+  ];
+  // Two different days in UTC...
+  assert.deepEqual(dailyScores(entries, 'UTC').map(({ date, score }) => [date, score]), [
+    ['2026-03-01', 1],
+    ['2026-03-02', -1]
+  ]);
+  // ...but the same evening in New York
+  assert.deepEqual(dailyScores(entries, 'America/New_York').map(({ date, score, count }) => [date, score, count]), [
+    ['2026-03-01', 0, 2]
+  ]);
+});
+
+test('too little data is stable', () => {
+  assert.equal(analyzeMoodTrend([]).description, 'No data yet');
+  const twoDays = analyzeMoodTrend(daily(['negative', 'very_positive']));
+  assert.equal(twoDays.trend, 'stable');
+  assert.equal(twoDays.description, 'Need more data');
+});
+
+test('a steady climb is improving and a steady fall is declining', () => {
+  const climb = ['very_negative', 'negative', 'negative', 'neutral', 'neutral', 'positive', 'positive', 'very_positive'];
+  const improving = analyzeMoodTrend(daily(climb));
+  assert.equal(improving.trend, 'improving');
+  assert.ok(improving.confidenceInterval.low > 0);
+
+  const declining = analyzeMoodTrend(daily([...climb].reverse()));
+  assert.equal(declining.trend, 'declining');
+  assert.ok(declining.confidenceInterval.high < 0);
+});
+
+test('noise without direction is stable', () => {
+  const noisy = analyzeMoodTrend(daily(['positive', 'negative', 'neutral', 'positive', 'negative', 'neutral', 'positive', 'negative']));
+  assert.equal(noisy.trend, 'stable');
+  assert.ok(noisy.confidenceInterval.low < 0 && noisy.confidenceInterval.high > 0);
+});
+
+test('a burst of entries on one day counts once', () => {
+  const entries = [
+    ...daily(['neutral', 'neutral', 'neutral', 'neutral', 'neutral']),
+    ...Array.from({ length: 10 }, (_, i) => ({ ts: `2026-03-05T1${i}:30:00Z`, sentiment: 'very_positive' }))
+  ];
+  assert.equal(analyzeMoodTrend(entries).days, 5);
+});
+
+test('a lasting shift is found as a change point', () => {
+  const series = dailyScores(daily([
+    'positive', 'very_positive', 'positive', 'positive', 'very_positive', 'positive',
+    'negative', 'very_negative', 'negative', 'negative', 'very_negative', 'negative'
+  ]));
+  const [change] = detectChangePoints(series);
+  assert.equal(change.date, '2026-03-07');
+  assert.equal(change.direction, 'down');
+  assert.equal(detectChangePoints(dailyScores(daily(Array(12).fill('neutral')))).length, 0);
+});
@@ -0,0 +1,236 @@
+// Writing prompts: a keyed local library and the signals used to pick
+// prompts for a user (recent themes, unresolved topics, time of day)
+const crypto = require('crypto');
+
+const PROMPT_COUNT = 5;
+
+// Writing prompt ids are library keys ("work-energy") or hashes ("ai-3f2c...")
+const PROMPT_ID_PATTERN = /^[a-z0-9-]{1,100}$/;
+
+// A topic still counts as unresolved if the last entry about it was this recent
+const UNRESOLVED_WINDOW_DAYS = 14;
+const MAX_UNRESOLVED_TOPICS = 3;
+
+const TIMES_OF_DAY = ['morning', 'afternoon', 'evening', 'night'];
+
+/**
+ * 'morning' (5-11), 'afternoon' (12-16), 'evening' (17-21) or 'night'
+ */
+function timeOfDayFor(hour) {
+  if (hour >= 5 && hour < 12) return 'morning';
+  if (hour >= 12 && hour < 17) return 'afternoon';
+  if (hour >= 17 && hour < 22) return 'evening';
+  return 'night';
+}
+
+const moodOf = (sentiment) => {
+  if (sentiment === 'very_positive' || sentiment === 'positive') return 'positive';
+  if (sentiment === 'very_negative' || sentiment === 'negative') return 'negative';
+  return 'neutral';
+};
+
+/**
+ * Local prompts. Each has a stable id, so answered and skipped prompts can
+ * be remembered, and keys saying when it fits: themes (from the analysis
+ * schema), moods, emotions and times of day. A prompt only fits when every
+ * kind of key it has matches; prompts without keys fit any time.
+ */
+const PROMPT_LIBRARY = [
+  // Themes
+  { id: 'work-energy', text: "💼 What part of your work gave you energy this week, and what drained it?", themes: ['work'] },
+  { id: 'work-tomorrow', text: "💼 How do you want to feel about work tomorrow?", themes: ['work'] },
+  { id: 'work-boundary', text: "🚪 Where could a clearer boundary between work and the rest of your life help?", themes: ['work', 'stress'] },
+  { id: 'work-proud', text: "🏅 What's something you did at work recently that nobody noticed but you're proud of?", themes: ['work'] },
+  { id: 'relationships-nurture', text: "👥 What's one way you can nurture an important relationship this week?", themes: ['relationships'] },
+  { id: 'relationships-unsaid', text: "💬 Is there something you wish you'd said to someone close to you?", themes: ['relationships'] },
+  { id: 'relationships-support', text: "🤝 Who has supported you lately, and how could you let them know it mattered?", themes: ['relationships', 'gratitude'] },
+  { id: 'relationships-need', text: "🫶 What do you need more of from the people around you right now?", themes: ['relationships'] },
+  { id: 'health-body', text: "🩺 How has your body been feeling lately, and what is it asking for?", themes: ['health'] },
+  { id: 'health-rest', text: "😴 What does real rest look like for you, and when did you last get it?", themes: ['health', 'stress'] },
+  { id: 'health-habit', text: "🥗 What's one small health habit that would make tomorrow easier?", themes: ['health', 'goals'] },
+  { id: 'health-kind', text: "💚 How could you be a little kinder to your body this week?", themes: ['health'] },
+  { id: 'creativity-spark', text: "🎨 What idea has been quietly tugging at you lately?", themes: ['creativity'] },
+  { id: 'creativity-play', text: "🖌️ When did you last make something just for the fun of it?", themes: ['creativity'] },
+  { id: 'creativity-block', text: "🧩 What gets in the way when you try to create, and what helps you past it?", themes: ['creativity'] },
+  { id: 'travel-place', text: "🧭 Which place you've been to still lives in your head, and why?", themes: ['travel'] },
+  { id: 'travel-change', text: "✈️ How did your last trip change the way you see home?", themes: ['travel'] },
+  { id: 'travel-next', text: "🗺️ Where would you go next if nothing stood in the way?", themes: ['travel', 'goals'] },
+  { id: 'learning-recent', text: "📚 What's something you learned recently that surprised you?", themes: ['learning'] },
+  { id: 'learning-struggle', text: "🧠 What are you finding hard to learn, and what would make it easier?", themes: ['learning'] },
+  { id: 'learning-teach', text: "🎓 What could you teach someone else from what you've learned lately?", themes: ['learning'] },
+  { id: 'stress-source', text: "🌪️ What's weighing on you most right now, and how much of it is in your control?", themes: ['stress'] },
+  { id: 'stress-calm', text: "🧘 What helps you feel calm and centered when things pile up?", themes: ['stress'] },
+  { id: 'stress-drop', text: "🪶 What's one thing you could take off your plate this week?", themes: ['stress', 'goals'] },
+  { id: 'stress-body', text: "🌬️ Where do you feel stress in your body, and what does it need?", themes: ['stress', 'health'] },
+  { id: 'gratitude-small', text: "🙏 What small thing are you grateful for that you usually overlook?", themes: ['gratitude'] },
+  { id: 'gratitude-person', text: "💌 Who would you thank today if you knew they'd read it?", themes: ['gratitude', 'relationships'] },
+  { id: 'gratitude-past', text: "🌱 What are you grateful for now that you didn't have a year ago?", themes: ['gratitude'] },
+  { id: 'goals-next-step', text: "🎯 What's the very next step on a goal that matters to you?", themes: ['goals'] },
+  { id: 'goals-why', text: "🔥 Why does the goal you're working on matter to you?", themes: ['goals'] },
+  { id: 'goals-progress', text: "📈 What progress have you made lately that you haven't given yourself credit for?", themes: ['goals'] },
+  { id: 'goals-let-go', text: "🍂 Is there a goal you're ready to let go of?", themes: ['goals'] },
+  { id: 'nature-outside', text: "🌳 When did you last feel at ease outdoors, and what was around you?", themes: ['nature'] },
+  { id: 'nature-notice', text: "🌦️ What did you notice about the world outside today?", themes: ['nature'] },
+  { id: 'nature-season', text: "🍃 How is the season changing around you, and how are you changing with it?", themes: ['nature'] },
+
+  // Moods
+  { id: 'positive-source', text: "🌟 What's making you feel so good lately?", moods: ['positive'] },
+  { id: 'positive-keep', text: "💪 How can you keep this positive energy going?", moods: ['positive'] },
+  { id: 'positive-share', text: "✨ Who could you share some of this good mood with today?", moods: ['positive'] },
+  { id: 'positive-remember', text: "📸 What from this good stretch do you want to remember on harder days?", moods: ['positive'] },
+  { id: 'negative-small-win', text: "🤗 What's one small thing that went okay today, even if the rest didn't?", moods: ['negative'] },
+  { id: 'negative-care', text: "💙 How are you taking care of yourself right now?", moods: ['negative'] },
+  { id: 'negative-friend', text: "❤️ What would you tell a friend who was going through what you are?", moods: ['negative'] },
+  { id: 'negative-forward', text: "🌅 What's one thing, however small, you're looking forward to?", moods: ['negative'] },
+  { id: 'negative-need', text: "🕯️ What do you need most right now that you haven't asked for?", moods: ['negative'] },
+  { id: 'neutral-mind', text: "🤔 What's been on your mind lately that you haven't written about?", moods: ['neutral'] },
+  { id: 'neutral-focus', text: "🎯 What's one thing you'd like to give more attention to?", moods: ['neutral'] },
+  { id: 'neutral-good-day', text: "🌤️ What would make tomorrow a genuinely good day?", moods: ['neutral'] },
+
+  // Emotions
+  { id: 'joy-moment', text: "😊 What brought you the most joy recently?", emotions: ['joy'] },
+  { id: 'joy-more', text: "🎈 How could you make room for more of what made you happy lately?", emotions: ['joy'] },
+  { id: 'sadness-name', text: "🌧️ If your sadness could talk, what would it say it needs?", emotions: ['sadness'] },
+  { id: 'sadness-comfort', text: "🫂 What has comforted you in sad times before?", emotions: ['sadness'] },
+  { id: 'anger-under', text: "🔥 What's underneath the anger you've been feeling?", emotions: ['anger'] },
+  { id: 'anger-boundary', text: "🛑 Is your frustration pointing at a boundary that was crossed?", emotions: ['anger'] },
+  { id: 'fear-safe', text: "💚 What's one thing that helps you feel safe when you're anxious?", emotions: ['fear'] },
+  { id: 'fear-realistic', text: "🔍 What are you afraid might happen, and what's most likely to happen?", emotions: ['fear'] },
+  { id: 'surprise-unexpected', text: "😲 What caught you off guard recently, and what did it teach you?", emotions: ['surprise'] },
+  { id: 'disgust-values', text: "🧭 Something recently didn't sit right with you. What value of yours did it go against?", emotions: ['disgust'] },
+
+  // Times of day
+  { id: 'morning-intention', text: "☀️ What's one intention you want to carry through today?", times: ['morning'] },
+  { id: 'morning-feeling', text: "🌄 How do you want to feel by the end of today?", times: ['morning'] },
+  { id: 'morning-looking-forward', text: "☕ What are you looking forward to today?", times: ['morning'] },
+  { id: 'afternoon-check-in', text: "🕑 How is today going so far compared to how you hoped?", times: ['afternoon'] },
+  { id: 'afternoon-reset', text: "🔄 What would help you reset for the rest of the day?", times: ['afternoon'] },
+  { id: 'evening-best', text: "🌇 What was the best part of your day?", times: ['evening'] },
+  { id: 'evening-let-go', text: "🍵 What from today can you let go of before tomorrow?", times: ['evening'] },
+  { id: 'evening-learned', text: "📝 What's one thing you learned about yourself today?", times: ['evening'] },
+  { id: 'night-mind', text: "🌙 What's keeping your mind busy tonight?", times: ['night'] },
+  { id: 'night-unload', text: "🌌 Write down whatever you'd like to leave on the page before you sleep.", times: ['night'] },
+  { id: 'night-tomorrow', text: "⭐ What's one gentle thing you could do for yourself tomorrow?", times: ['night'] },
+
+  // Any time
+  { id: 'general-color', text: "🎨 If today had a color, what would it be and why?" },
+  { id: 'general-habit', text: "🔄 What's one habit you'd like to start or change?" },
+  { id: 'general-win', text: "🏆 What's your biggest win this week, however small?" },
+  { id: 'general-future-self', text: "💭 What would your future self thank you for?" },
+  { id: 'general-learned', text: "🌱 What's one thing you've learned about yourself recently?" },
+  { id: 'general-smile', text: "❤️ What made you smile recently?" },
+  { id: 'general-grateful', text: "✨ What are you grateful for right now?" },
+  { id: 'general-mind', text: "💭 What's on your mind today?" }
+];
+
+const normalizeText = (text) => String(text).toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+
+/**
+ * Stable id for a generated prompt, so skipping it is remembered without
+ * storing its text
+ */
+const shortHash = (value) => crypto.createHash('sha256').update(value).digest('hex').slice(0, 12);
+
+const generatedPromptId = (text) => `ai-${shortHash(normalizeText(text))}`;
+
+const newestFirst = (a, b) => new Date(b.ts) - new Date(a.ts);
+
+/**
+ * Themes and tags whose most recent entry was negative and recent, newest
+ * first: things the user wrote about in a hard moment and hasn't come back to
+ */
+function findUnresolvedTopics(entries, now = new Date()) {
+  const cutoff = now.getTime() - UNRESOLVED_WINDOW_DAYS * 24 * 60 * 60 * 1000;
+  const latestMood = new Map();
+
+  [...entries].sort(newestFirst).forEach(entry => {
+    const topics = [...(entry.themes || []).map(theme => theme.toLowerCase()), ...(entry.tags || [])];
+    topics.forEach(topic => {
+      if (!latestMood.has(topic)) {
+        latestMood.set(topic, { mood: moodOf(entry.sentiment), ts: entry.ts });
+      }
+    });
+  });
+
+  return [...latestMood.entries()]
+    .filter(([, { mood, ts }]) => mood === 'negative' && new Date(ts).getTime() >= cutoff)
+    .map(([topic]) => topic)
+    .slice(0, MAX_UNRESOLVED_TOPICS);
+}
+
+/**
+ * A prompt that comes back to an unresolved topic
+ */
+const revisitPrompt = (topic) => ({
+  // Tags can hold characters ids can't ("self_care", "família"), so those are hashed
+  id: `revisit-${PROMPT_ID_PATTERN.test(topic) ? topic : shortHash(topic)}`,
+  text: `🔁 Last time you wrote about ${topic.replace(/[-_]/g, ' ')}, it felt heavy. How does it look now?`
+});
+
+const fits = (keys, value) => !keys || keys.length === 0 || [].concat(value).some(v => keys.includes(v));
+
+// Varies the order of equally good prompts from day to day, but not within a day
+const dailyShuffle = (id, day) => crypto.createHash('sha256').update(`${day}:${id}`).digest().readUInt32BE(0);
+
+// Kinds of prompt, in the order the first picks are made
+const PROMPT_KINDS = ['revisit', 'themes', 'times', 'emotions', 'moods', 'general'];
+const MAX_PER_KIND = 2;
+
+const kindOf = (prompt) => (prompt.id.startsWith('revisit-')
+  ? 'revisit'
+  : PROMPT_KINDS.find(kind => prompt[kind]) || 'general');
+
+/**
+ * Pick prompts from the local library for the given context:
+ * { mood, themes, emotions, unresolved, timeOfDay, seen, day }. `seen` maps
+ * the ids of answered or skipped prompts to when that happened; they are
+ * left out unless the library runs dry, oldest first.
+ * One prompt of each kind comes first, so the list mixes unresolved
+ * topics, themes, the time of day and the current mood.
+ */
+function pickLibraryPrompts({ mood, themes = [], emotions = [], unresolved = [], timeOfDay, seen = new Map(), day = '' }, count = PROMPT_COUNT) {
+  const ranked = [
+    ...unresolved.map(topic => ({ prompt: revisitPrompt(topic), score: 2 })),
+    ...PROMPT_LIBRARY
+      .filter(prompt => fits(prompt.moods, mood) && fits(prompt.emotions, emotions) && fits(prompt.times, timeOfDay))
+      .filter(prompt => fits(prompt.themes, [...themes, ...unresolved]))
+      // Themes the user is struggling with first
+      .map(prompt => ({ prompt, score: prompt.themes && prompt.themes.some(theme => unresolved.includes(theme)) ? 1 : 0 }))
+  ]
+    .sort((a, b) => b.score - a.score || dailyShuffle(a.prompt.id, day) - dailyShuffle(b.prompt.id, day))
+    .map(({ prompt }) => prompt);
+
+  const unseen = ranked.filter(prompt => !seen.has(prompt.id));
+  const picked = PROMPT_KINDS
+    .map(kind => unseen.find(prompt => kindOf(prompt) === kind))
+    .filter(Boolean)
+    .slice(0, count);
+
+  const countOf = (kind) => picked.filter(prompt => kindOf(prompt) === kind).length;
+  const fillers = [
+    ...unseen.filter(prompt => !picked.includes(prompt)),
+    ...ranked.filter(prompt => seen.has(prompt.id)).sort((a, b) => seen.get(a.id) - seen.get(b.id))
+  ];
+  // Fill up without letting one kind take over, unless nothing else is left
+  for (const relaxed of [false, true]) {
+    fillers.forEach(prompt => {
+      if (picked.length < count && !picked.includes(prompt) && (relaxed || countOf(kindOf(prompt)) < MAX_PER_KIND)) {
+        picked.push(prompt);
+      }
+    });
+  }
+
+  return picked.map(({ id, text }) => ({ id, text, source: 'library' }));
+}
+
+module.exports = {
+  PROMPT_COUNT,
+  PROMPT_ID_PATTERN,
+  PROMPT_LIBRARY,
+  TIMES_OF_DAY,
+  timeOfDayFor,
+  moodOf,
+  generatedPromptId,
+  findUnresolvedTopics,
+  pickLibraryPrompts
+};
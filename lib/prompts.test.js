@@ -0,0 +1,21 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { PROMPT_ID_PATTERN, PROMPT_LIBRARY, generatedPromptId, pickLibraryPrompts } = require('./prompts');
+
+const revisitPrompts = (unresolved) => pickLibraryPrompts({ unresolved, timeOfDay: 'morning' }, 10)
+  .filter(prompt => prompt.id.startsWith('revisit-'));
+
+test('every prompt id can be answered and skipped', () => {
+  PROMPT_LIBRARY.forEach(prompt => assert.match(prompt.id, PROMPT_ID_PATTERN));
+  assert.match(generatedPromptId('How did today go, really?'), PROMPT_ID_PATTERN);
+});
+
+test('revisit prompts for any tag have valid, stable ids', () => {
+  const topics = ['work', 'self_care', 'família', '睡眠'];
+  const prompts = revisitPrompts(topics);
+  assert.equal(prompts.length, topics.length);
+  prompts.forEach(prompt => assert.match(prompt.id, PROMPT_ID_PATTERN));
+  assert.ok(prompts.some(prompt => prompt.id === 'revisit-work'));
+  assert.deepEqual(revisitPrompts(topics).map(prompt => prompt.id), prompts.map(prompt => prompt.id));
+  assert.equal(new Set(prompts.map(prompt => prompt.id)).size, topics.length);
+});
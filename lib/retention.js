@@ -0,0 +1,119 @@
+// Enforces privacySettings.dataRetention: purges or archives journal data
+// older than each user's retention window, on a schedule and on demand
+const cron = require('node-cron');
+const { generateId } = require('./storage');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const RETENTION_MODES = ['purge', 'archive'];
+
+/**
+ * The user's retention window in days, or null when they keep everything
+ */
+function getRetentionDays(insights) {
+  const days = insights.privacySettings && insights.privacySettings.dataRetention;
+  return Number.isFinite(days) && days > 0 ? days : null;
+}
+
+/**
+ * Entries and emotional journey points that fall outside the retention window.
+ * Only timestamps are needed, so this works on encrypted entries too.
+ */
+function planRetention(entries, journey, retentionDays, now = new Date()) {
+  const cutoff = new Date(now.getTime() - retentionDays * DAY_MS);
+  const expiredEntries = entries.filter(entry => new Date(entry.ts) < cutoff);
+  const expiredIds = new Set(expiredEntries.map(entry => entry.id));
+  const expiredJourneyPoints = journey.filter(point =>
+    expiredIds.has(point.entryId) || new Date(point.date) < cutoff
+  );
+
+  return {
+    retentionDays,
+    cutoff: cutoff.toISOString(),
+    entries: expiredEntries,
+    journeyPoints: expiredJourneyPoints
+  };
+}
+
+/**
+ * Apply (or with dryRun, just report) retention for one user or every user.
+ * In purge mode, archived entries outside the window (left from running in
+ * archive mode) are purged too. Returns an audit record per user with
+ * something to remove; the records list what was removed by ID and
+ * timestamp only, never journal text.
+ */
+async function runRetention(store, { mode = 'purge', dryRun = false, userId = null, now = new Date() } = {}) {
+  if (!RETENTION_MODES.includes(mode)) {
+    throw new Error(`Unknown retention mode "${mode}". Available: ${RETENTION_MODES.join(', ')}`);
+  }
+
+  const users = userId ? [await store.getUser(userId)].filter(Boolean) : await store.listUsers();
+  const records = [];
+
+  for (const user of users) {
+    const insights = await store.getUserInsights(user.id);
+    const retentionDays = getRetentionDays(insights);
+    if (!retentionDays) continue;
+
+    const plan = planRetention(await store.listEntries(user.id), insights.emotionalJourney, retentionDays, now);
+    const expiredArchive = mode === 'purge'
+      ? planRetention(await store.listArchivedEntries(user.id), [], retentionDays, now).entries
+      : [];
+    if (plan.entries.length === 0 && plan.journeyPoints.length === 0 && expiredArchive.length === 0) continue;
+
+    const record = {
+      id: generateId(),
+      runAt: now.toISOString(),
+      userId: user.id,
+      mode,
+      dryRun,
+      retentionDays,
+      cutoff: plan.cutoff,
+      entries: plan.entries.map(entry => ({ id: entry.id, ts: entry.ts })),
+      archivedEntries: expiredArchive.map(entry => ({ id: entry.id, ts: entry.ts })),
+      journeyPointsRemoved: plan.journeyPoints.length
+    };
+
+    if (!dryRun) {
+      await store.applyRetention(user.id, {
+        entryIds: record.entries.map(entry => entry.id),
+        archivedIds: record.archivedEntries.map(entry => entry.id),
+        cutoff: plan.cutoff,
+        archive: mode === 'archive',
+        audit: record
+      });
+    }
+    records.push(record);
+  }
+
+  return records;
+}
+
+/**
+ * Run retention for every user on a cron schedule (default: daily at 03:00)
+ */
+function scheduleRetention(store, { schedule = '0 3 * * *', mode = 'purge' } = {}) {
+  if (!cron.validate(schedule)) {
+    throw new Error(`Invalid RETENTION_SCHEDULE "${schedule}"`);
+  }
+  if (!RETENTION_MODES.includes(mode)) {
+    throw new Error(`Invalid RETENTION_MODE "${mode}". Available: ${RETENTION_MODES.join(', ')}`);
+  }
+
+  return cron.schedule(schedule, async () => {
+    try {
+      const records = await runRetention(store, { mode });
+      const removed = records.reduce((sum, record) => sum + record.entries.length, 0);
+      console.log(`🧹 Retention run (${mode}): ${removed} entries across ${records.length} journals`);
+    } catch (error) {
+      console.error('❌ Retention run failed:', error);
+    }
+  });
+}
+
+module.exports = {
+  RETENTION_MODES,
+  getRetentionDays,
+  planRetention,
+  runRetention,
+  scheduleRetention
+};
@@ -0,0 +1,260 @@
+// Journal search: BM25 keyword ranking over entry text and conversations
+// with Sam, plus "more like this" similarity on local TF-IDF vectors
+const { PorterStemmer, stopwords } = require('natural');
+const { SENTIMENT_LEVELS, EMOTIONS } = require('../client/src/shared/analysis');
+const { normalizeTag, hasHashtag } = require('./hashtags');
+const { DEFAULT_TIME_ZONE, dayKeyOf } = require('./date-range');
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const WORD_PATTERN = /[\p{L}\p{N}]+(?:'[\p{L}]+)?/gu;
+const STOPWORDS = new Set(stopwords);
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+const SNIPPET_RADIUS = 80;
+
+// The writer's own words count for more than Sam's replies
+const FIELD_WEIGHTS = { user: 1, ai: 0.5 };
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+/**
+ * Words with their stems and character offsets, skipping stopwords
+ */
+function tokenize(text) {
+  return [...String(text || '').matchAll(WORD_PATTERN)]
+    .map(match => ({ word: match[0], start: match.index, end: match.index + match[0].length }))
+    .filter(token => !STOPWORDS.has(token.word.toLowerCase()))
+    .map(token => ({ ...token, stem: PorterStemmer.stem(token.word.toLowerCase()) }));
+}
+
+/**
+ * The searchable passages of an entry: each conversation turn, or the
+ * opening text and reply for entries without a conversation
+ */
+function passagesOf(entry) {
+  const turns = entry.conversation && entry.conversation.length > 0
+    ? entry.conversation
+    : [
+      { role: 'user', text: entry.userInput },
+      ...(entry.aiResponse ? [{ role: 'ai', text: entry.aiResponse }] : [])
+    ];
+  return turns
+    .filter(turn => turn.text)
+    .map(turn => ({ role: turn.role === 'ai' ? 'ai' : 'user', text: turn.text, tokens: tokenize(turn.text) }));
+}
+
+const listParam = (value) => (value ? String(value).split(',').map(item => item.trim().toLowerCase()).filter(Boolean) : []);
+
+/**
+ * Validate search query parameters. from/to are days in the given
+ * timezone. Returns { options } or { error }.
+ */
+function parseSearchOptions(query, timeZone = DEFAULT_TIME_ZONE) {
+  const sentiments = listParam(query.sentiment);
+  const emotions = listParam(query.emotion);
+  const themes = listParam(query.theme);
+
+  const unknownSentiment = sentiments.find(sentiment => !SENTIMENT_LEVELS.includes(sentiment));
+  if (unknownSentiment) {
+    return { error: `Unknown sentiment "${unknownSentiment}". Available: ${SENTIMENT_LEVELS.join(', ')}` };
+  }
+  const unknownEmotion = emotions.find(emotion => !EMOTIONS.includes(emotion));
+  if (unknownEmotion) {
+    return { error: `Unknown emotion "${unknownEmotion}". Available: ${EMOTIONS.join(', ')}` };
+  }
+  const invalidTheme = themes.find(theme => !normalizeTag(theme));
+  if (invalidTheme) {
+    return { error: `"${invalidTheme}" is not a valid hashtag` };
+  }
+  for (const [name, value] of [['from', query.from], ['to', query.to]]) {
+    if (value !== undefined && (!DATE_PATTERN.test(value) || isNaN(new Date(value).getTime()))) {
+      return { error: `${name} must be a date in YYYY-MM-DD format` };
+    }
+  }
+  if (query.from && query.to && query.from > query.to) {
+    return { error: 'from must not be after to' };
+  }
+
+  const limit = query.limit === undefined ? DEFAULT_LIMIT : Number(query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    return { error: `limit must be a whole number from 1 to ${MAX_LIMIT}` };
+  }
+
+  return {
+    options: {
+      q: String(query.q || '').trim(),
+      sentiments,
+      emotions,
+      // AI themes or the user's own tags
+      themes: themes.map(normalizeTag),
+      from: query.from || null,
+      to: query.to || null,
+      timeZone,
+      limit
+    }
+  };
+}
+
+/**
+ * Entries matching every filter (each list matches if any of its values do)
+ */
+function applyFilters(entries, { sentiments = [], emotions = [], themes = [], from = null, to = null, timeZone = DEFAULT_TIME_ZONE }) {
+  return entries.filter(entry => {
+    const dayKey = dayKeyOf(entry, timeZone);
+    if (from && dayKey < from) return false;
+    if (to && dayKey > to) return false;
+    if (sentiments.length > 0 && !sentiments.includes(entry.sentiment)) return false;
+    if (emotions.length > 0 && !(entry.emotions || []).some(emotion => emotions.includes(emotion))) return false;
+    if (themes.length > 0 && !themes.some(theme => hasHashtag(entry, theme))) return false;
+    return true;
+  });
+}
+
+/**
+ * A window of text around the first matching word, with the ranges of
+ * every matching word inside it (for highlighting on the client)
+ */
+function buildSnippet(passage, queryStems) {
+  const matches = passage.tokens.filter(token => queryStems.has(token.stem));
+  if (matches.length === 0) return null;
+
+  // Widen to whole words so the snippet doesn't start or end mid-word
+  let start = Math.max(0, matches[0].start - SNIPPET_RADIUS);
+  let end = Math.min(passage.text.length, matches[0].end + SNIPPET_RADIUS);
+  while (start > 0 && /\S/.test(passage.text[start - 1])) start--;
+  while (end < passage.text.length && /\S/.test(passage.text[end])) end++;
+  const prefix = start > 0 ? '…' : '';
+  const suffix = end < passage.text.length ? '…' : '';
+
+  return {
+    role: passage.role,
+    text: `${prefix}${passage.text.slice(start, end)}${suffix}`,
+    highlights: matches
+      .filter(token => token.start >= start && token.end <= end)
+      .map(token => [token.start - start + prefix.length, token.end - start + prefix.length])
+  };
+}
+
+const summarizeEntry = (entry) => ({
+  id: entry.id,
+  ts: entry.ts,
+  userInput: entry.userInput,
+  sentiment: entry.sentiment,
+  emotions: entry.emotions || [],
+  themes: entry.themes || [],
+  tags: entry.tags || []
+});
+
+const newestFirst = (a, b) => new Date(b.ts) - new Date(a.ts);
+
+/**
+ * Rank entries against a keyword query with BM25. Without a query, the
+ * filtered entries are returned newest first.
+ */
+function searchEntries(entries, options) {
+  const candidates = applyFilters(entries, options);
+  const queryStems = new Set(tokenize(options.q).map(token => token.stem));
+
+  if (queryStems.size === 0) {
+    const results = [...candidates].sort(newestFirst).map(entry => ({ entry: summarizeEntry(entry), score: null, snippets: [] }));
+    return { total: results.length, results: results.slice(0, options.limit) };
+  }
+
+  const documents = candidates.map(entry => {
+    const passages = passagesOf(entry);
+    const termFrequencies = {};
+    let length = 0;
+    passages.forEach(passage => {
+      passage.tokens.forEach(token => {
+        termFrequencies[token.stem] = (termFrequencies[token.stem] || 0) + FIELD_WEIGHTS[passage.role];
+      });
+      length += passage.tokens.length * FIELD_WEIGHTS[passage.role];
+    });
+    return { entry, passages, termFrequencies, length };
+  });
+
+  const averageLength = documents.reduce((sum, doc) => sum + doc.length, 0) / (documents.length || 1);
+  const documentFrequency = (stem) => documents.filter(doc => doc.termFrequencies[stem]).length;
+  const idf = {};
+  queryStems.forEach(stem => {
+    const df = documentFrequency(stem);
+    idf[stem] = Math.log(1 + (documents.length - df + 0.5) / (df + 0.5));
+  });
+
+  const results = documents
+    .map(doc => {
+      let score = 0;
+      queryStems.forEach(stem => {
+        const tf = doc.termFrequencies[stem] || 0;
+        if (tf === 0) return;
+        score += idf[stem] * (tf * (BM25_K1 + 1)) / (tf + BM25_K1 * (1 - BM25_B + BM25_B * doc.length / (averageLength || 1)));
+      });
+      return { doc, score };
+    })
+    .filter(({ score }) => score > 0)
+    .sort((a, b) => b.score - a.score || newestFirst(a.doc.entry, b.doc.entry))
+    .map(({ doc, score }) => ({
+      entry: summarizeEntry(doc.entry),
+      score: Math.round(score * 1000) / 1000,
+      snippets: doc.passages.map(passage => buildSnippet(passage, queryStems)).filter(Boolean).slice(0, 3)
+    }));
+
+  return { total: results.length, results: results.slice(0, options.limit) };
+}
+
+/**
+ * Unit-length TF-IDF vector of the writer's own words in each entry
+ */
+function buildVectors(entries) {
+  const termCounts = entries.map(entry => {
+    const counts = {};
+    passagesOf(entry)
+      .filter(passage => passage.role === 'user')
+      .forEach(passage => passage.tokens.forEach(token => {
+        counts[token.stem] = (counts[token.stem] || 0) + 1;
+      }));
+    return counts;
+  });
+
+  const documentFrequency = {};
+  termCounts.forEach(counts => Object.keys(counts).forEach(stem => {
+    documentFrequency[stem] = (documentFrequency[stem] || 0) + 1;
+  }));
+
+  return termCounts.map(counts => {
+    const vector = {};
+    Object.entries(counts).forEach(([stem, count]) => {
+      vector[stem] = (1 + Math.log(count)) * Math.log(1 + entries.length / documentFrequency[stem]);
+    });
+    const norm = Math.sqrt(Object.values(vector).reduce((sum, weight) => sum + weight * weight, 0)) || 1;
+    Object.keys(vector).forEach(stem => { vector[stem] /= norm; });
+    return vector;
+  });
+}
+
+const cosine = (a, b) => Object.entries(a).reduce((sum, [stem, weight]) => sum + weight * (b[stem] || 0), 0);
+
+/**
+ * Entries most similar to the given one (which is left out), best first.
+ * Filters narrow the candidates; vectors are built over the whole journal.
+ */
+function findSimilarEntries(entries, entryId, options) {
+  const vectors = buildVectors(entries);
+  const targetIndex = entries.findIndex(entry => entry.id === entryId);
+  if (targetIndex === -1) return null;
+
+  const allowed = new Set(applyFilters(entries, options).map(entry => entry.id));
+  const results = entries
+    .map((entry, index) => ({ entry, score: cosine(vectors[targetIndex], vectors[index]) }))
+    .filter(({ entry, score }) => entry.id !== entryId && allowed.has(entry.id) && score > 0)
+    .sort((a, b) => b.score - a.score)
+    .map(({ entry, score }) => ({ entry: summarizeEntry(entry), score: Math.round(score * 1000) / 1000, snippets: [] }));
+
+  return { total: results.length, results: results.slice(0, options.limit) };
+}
+
+module.exports = {
+  parseSearchOptions,
+  searchEntries,
+  findSimilarEntries
+};
@@ -0,0 +1,556 @@
+// Persistence layer for journal entries and user insights
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const DEFAULT_DATA_FILE = path.join(__dirname, '..', 'data', 'journal.json');
+const MAX_AUDIT_RECORDS = 1000;
+const MAX_SKIPPED_PROMPTS = 200;
+
+/**
+ * Generate a stable, collision-free entry ID
+ */
+function generateId() {
+  return crypto.randomUUID();
+}
+
+const DEFAULT_PRIVACY_SETTINGS = {
+  dataRetention: 30, // days, or null to keep entries forever
+  aiMode: 'cloud', // 'cloud' (configured provider), 'local' or 'off'
+  aiReplies: true,
+  syncEntries: true
+};
+
+/**
+ * Fresh insights for a new user
+ */
+function createDefaultInsights() {
+  return {
+    patterns: {},
+    themes: {},
+    emotionalJourney: [],
+    skippedPrompts: [], // [{ id, at }] writing prompts the user skipped
+    privacySettings: { ...DEFAULT_PRIVACY_SETTINGS }
+  };
+}
+
+/**
+ * Schema migrations, applied in order to bring stored data up to date.
+ * Never edit a released migration - add a new one instead.
+ */
+const migrations = [
+  {
+    version: 1,
+    description: 'Initial schema',
+    up(data) {
+      data.entries = data.entries || [];
+      data.userInsights = data.userInsights || {
+        patterns: {},
+        themes: {},
+        emotionalJourney: [],
+        privacySettings: {
+          onDeviceProcessing: false, // Using Claude API
+          dataRetention: 30 // days
+        }
+      };
+    }
+  },
+  {
+    version: 2,
+    description: 'Replace sequential entry IDs with UUIDs and link journey points to entries',
+    up(data) {
+      data.entries.forEach(entry => {
+        if (typeof entry.id !== 'string') {
+          entry.legacyId = entry.id;
+          entry.id = generateId();
+        }
+      });
+
+      data.userInsights.emotionalJourney.forEach(point => {
+        if (!point.entryId) {
+          const match = data.entries.find(entry => entry.ts === point.date);
+          point.entryId = match ? match.id : null;
+        }
+      });
+    }
+  },
+  {
+    version: 3,
+    description: 'Record where each analysis came from',
+    up(data) {
+      // Entries saved before this was tracked may be model or fallback results
+      data.entries.forEach(entry => {
+        if (!entry.analysisSource) entry.analysisSource = 'unknown';
+      });
+      data.userInsights.emotionalJourney.forEach(point => {
+        if (!point.analysisSource) point.analysisSource = 'unknown';
+      });
+    }
+  },
+  {
+    version: 4,
+    description: 'Add user accounts and scope journals to their owner',
+    up(data) {
+      data.users = data.users || [];
+      data.sessions = data.sessions || [];
+      data.insightsByUser = data.insightsByUser || {};
+
+      // Data saved before accounts existed stays unclaimed until the account
+      // configured as its owner signs in (see claimLegacyData)
+      data.entries.forEach(entry => {
+        if (entry.userId === undefined) entry.userId = null;
+      });
+      if (data.userInsights) {
+        data.unclaimedInsights = data.userInsights;
+        delete data.userInsights;
+      }
+    }
+  },
+  {
+    version: 5,
+    description: 'Encrypt journal text at rest',
+    up(data) {
+      // Keys can only be set up from a password, so everyone signs in again.
+      // Plaintext entries are sealed the next time their owner signs in.
+      data.sessions = [];
+    }
+  },
+  {
+    version: 6,
+    description: 'Add the retention archive and audit log',
+    up(data) {
+      data.archivedEntries = data.archivedEntries || [];
+      data.retentionAudit = data.retentionAudit || [];
+    }
+  },
+  {
+    version: 7,
+    description: 'Add editable AI, reply and sync privacy settings',
+    up(data) {
+      const insightsList = [...Object.values(data.insightsByUser), data.unclaimedInsights].filter(Boolean);
+      insightsList.forEach(insights => {
+        // onDeviceProcessing is now derived from aiMode and the configured provider
+        const { onDeviceProcessing, ...settings } = insights.privacySettings || {};
+        insights.privacySettings = {
+          dataRetention: 30,
+          aiMode: 'cloud',
+          aiReplies: true,
+          syncEntries: true,
+          ...settings
+        };
+      });
+    }
+  },
+  {
+    version: 8,
+    description: 'Add user hashtags to entries',
+    up(data) {
+      // Inline #tags in older entries are picked up the next time they're edited,
+      // since their text is encrypted
+      [...data.entries, ...data.archivedEntries].forEach(entry => {
+        if (!Array.isArray(entry.tags)) entry.tags = [];
+      });
+    }
+  },
+  {
+    version: 9,
+    description: 'Remember skipped writing prompts',
+    up(data) {
+      const insightsList = [...Object.values(data.insightsByUser), data.unclaimedInsights].filter(Boolean);
+      insightsList.forEach(insights => {
+        insights.skippedPrompts = insights.skippedPrompts || [];
+      });
+    }
+  }
+];
+
+const SCHEMA_VERSION = migrations[migrations.length - 1].version;
+
+/**
+ * Apply every migration newer than the data's schema version
+ */
+function migrate(data) {
+  const fromVersion = data.schemaVersion || 0;
+  const pending = migrations.filter(m => m.version > fromVersion);
+
+  pending.forEach(migration => {
+    console.log(`🗄️  Applying storage migration ${migration.version}: ${migration.description}`);
+    migration.up(data);
+    data.schemaVersion = migration.version;
+  });
+
+  return pending.length > 0;
+}
+
+/**
+ * In-memory store. Data is lost on restart; useful for development and demos.
+ */
+class MemoryStore {
+  constructor() {
+    this.data = { schemaVersion: 0 };
+  }
+
+  async init() {
+    migrate(this.data);
+  }
+
+  // Overridden by durable stores
+  async persist() {}
+
+  async listEntries(userId) {
+    return this.data.entries.filter(entry => entry.userId === userId);
+  }
+
+  async getEntry(userId, id) {
+    return this.data.entries.find(entry => entry.id === id && entry.userId === userId) || null;
+  }
+
+  async countEntries(userId) {
+    return this.data.entries.filter(entry => entry.userId === userId).length;
+  }
+
+  async insertEntry(userId, entry) {
+    const stored = { id: entry.id || generateId(), ...entry, userId };
+    this.data.entries.push(stored);
+    await this.persist();
+    return stored;
+  }
+
+  /**
+   * Add many entries and their emotional journey points in a single write
+   */
+  async insertEntries(userId, entries, journeyPoints = []) {
+    const stored = entries.map(entry => ({ id: entry.id || generateId(), ...entry, userId }));
+    this.data.entries.push(...stored);
+    const insights = await this.getUserInsights(userId);
+    insights.emotionalJourney.push(...journeyPoints);
+    await this.persist();
+    return stored;
+  }
+
+  async updateEntry(userId, id, changes) {
+    const index = this.data.entries.findIndex(entry => entry.id === id && entry.userId === userId);
+    if (index === -1) return null;
+
+    this.data.entries[index] = { ...this.data.entries[index], ...changes, id, userId };
+    await this.persist();
+    return this.data.entries[index];
+  }
+
+  /**
+   * Swap whole entry records in a single write ({ id, replacement } pairs)
+   */
+  async replaceEntries(userId, updates) {
+    updates.forEach(({ id, replacement }) => {
+      const index = this.data.entries.findIndex(entry => entry.id === id && entry.userId === userId);
+      if (index !== -1) this.data.entries[index] = { ...replacement, id, userId };
+    });
+    await this.persist();
+  }
+
+  async deleteEntry(userId, id) {
+    const index = this.data.entries.findIndex(entry => entry.id === id && entry.userId === userId);
+    if (index === -1) return false;
+
+    this.data.entries.splice(index, 1);
+    await this.persist();
+    return true;
+  }
+
+  async getUserInsights(userId) {
+    if (!this.data.insightsByUser[userId]) {
+      this.data.insightsByUser[userId] = createDefaultInsights();
+    }
+    return this.data.insightsByUser[userId];
+  }
+
+  async updatePrivacySettings(userId, changes) {
+    const insights = await this.getUserInsights(userId);
+    insights.privacySettings = { ...insights.privacySettings, ...changes };
+    await this.persist();
+    return insights.privacySettings;
+  }
+
+  /**
+   * Remember that a user skipped a writing prompt (only its id is kept)
+   */
+  async skipPrompt(userId, promptId) {
+    const insights = await this.getUserInsights(userId);
+    insights.skippedPrompts = [
+      ...insights.skippedPrompts.filter(skipped => skipped.id !== promptId),
+      { id: promptId, at: new Date().toISOString() }
+    ].slice(-MAX_SKIPPED_PROMPTS);
+    await this.persist();
+  }
+
+  async addJourneyPoint(userId, point) {
+    const insights = await this.getUserInsights(userId);
+    insights.emotionalJourney.push(point);
+    await this.persist();
+  }
+
+  async updateJourneyPoint(userId, entryId, changes) {
+    const insights = await this.getUserInsights(userId);
+    const point = insights.emotionalJourney.find(p => p.entryId === entryId);
+    if (!point) return;
+
+    Object.assign(point, changes);
+    await this.persist();
+  }
+
+  async removeJourneyPoints(userId, entryId) {
+    const insights = await this.getUserInsights(userId);
+    insights.emotionalJourney = insights.emotionalJourney.filter(point => point.entryId !== entryId);
+    await this.persist();
+  }
+
+  async createUser({ email, passwordHash }) {
+    const user = { id: generateId(), email, passwordHash, createdAt: new Date().toISOString() };
+    this.data.users.push(user);
+    this.data.insightsByUser[user.id] = createDefaultInsights();
+    await this.persist();
+    return user;
+  }
+
+  async countUnclaimedEntries() {
+    return this.data.entries.filter(entry => entry.userId === null).length;
+  }
+
+  /**
+   * Give a user the entries and emotional journey saved before accounts
+   * existed. The user keeps their own privacy settings. Returns how many
+   * entries were claimed.
+   */
+  async claimLegacyData(userId) {
+    const unclaimed = this.data.entries.filter(entry => entry.userId === null);
+    const legacyInsights = this.data.unclaimedInsights;
+    if (unclaimed.length === 0 && !legacyInsights) return 0;
+
+    unclaimed.forEach(entry => { entry.userId = userId; });
+    if (legacyInsights) {
+      const insights = await this.getUserInsights(userId);
+      insights.emotionalJourney = [...legacyInsights.emotionalJourney, ...insights.emotionalJourney]
+        .sort((a, b) => new Date(a.date) - new Date(b.date));
+      delete this.data.unclaimedInsights;
+    }
+
+    await this.persist();
+    return unclaimed.length;
+  }
+
+  async listUsers() {
+    return [...this.data.users];
+  }
+
+  async getUser(id) {
+    return this.data.users.find(user => user.id === id) || null;
+  }
+
+  async findUserByEmail(email) {
+    return this.data.users.find(user => user.email === email) || null;
+  }
+
+  async updateUser(id, changes) {
+    const user = this.data.users.find(u => u.id === id);
+    if (!user) return null;
+
+    Object.assign(user, changes, { id });
+    await this.persist();
+    return user;
+  }
+
+  /**
+   * Remove a user and everything they own - entries, archived entries,
+   * insights, sessions and retention audit records - in one write
+   */
+  async deleteUser(userId) {
+    const ownedByOthers = record => record.userId !== userId;
+    this.data.users = this.data.users.filter(user => user.id !== userId);
+    this.data.entries = this.data.entries.filter(ownedByOthers);
+    this.data.archivedEntries = this.data.archivedEntries.filter(ownedByOthers);
+    this.data.sessions = this.data.sessions.filter(ownedByOthers);
+    this.data.retentionAudit = this.data.retentionAudit.filter(ownedByOthers);
+    delete this.data.insightsByUser[userId];
+    await this.persist();
+  }
+
+  /**
+   * Switch a user to a new data key: the key envelope and every re-encrypted
+   * entry (archived ones included) are saved in one write, and existing
+   * sessions (which hold the old key) are ended
+   */
+  async rekeyUser(userId, encryption, updates) {
+    const user = this.data.users.find(u => u.id === userId);
+    if (!user) return null;
+
+    user.encryption = encryption;
+    updates.forEach(({ id, replacement }) => {
+      [this.data.entries, this.data.archivedEntries].forEach(collection => {
+        const index = collection.findIndex(entry => entry.id === id && entry.userId === userId);
+        if (index !== -1) collection[index] = { ...replacement, id, userId };
+      });
+    });
+    this.data.sessions = this.data.sessions.filter(session => session.userId !== userId);
+    await this.persist();
+    return user;
+  }
+
+  /**
+   * Remove (or move to the archive) expired entries and journey points,
+   * remove archived entries listed in archivedIds and record the audit
+   * entry, all in one write
+   */
+  async applyRetention(userId, { entryIds, archivedIds = [], cutoff, archive, audit }) {
+    const ids = new Set(entryIds);
+    const expired = entry => entry.userId === userId && ids.has(entry.id);
+    const purgedArchive = new Set(archivedIds);
+
+    this.data.archivedEntries = this.data.archivedEntries.filter(entry =>
+      !(entry.userId === userId && purgedArchive.has(entry.id))
+    );
+    if (archive) {
+      this.data.archivedEntries.push(
+        ...this.data.entries.filter(expired).map(entry => ({ ...entry, archivedAt: audit.runAt }))
+      );
+    }
+    this.data.entries = this.data.entries.filter(entry => !expired(entry));
+
+    const insights = await this.getUserInsights(userId);
+    insights.emotionalJourney = insights.emotionalJourney.filter(point =>
+      !ids.has(point.entryId) && new Date(point.date) >= new Date(cutoff)
+    );
+
+    this.data.retentionAudit.push(audit);
+    this.data.retentionAudit = this.data.retentionAudit.slice(-MAX_AUDIT_RECORDS);
+    await this.persist();
+  }
+
+  async listArchivedEntries(userId) {
+    return this.data.archivedEntries.filter(entry => entry.userId === userId);
+  }
+
+  /**
+   * Move an archived entry back into the journal along with its emotional
+   * journey point. Returns the entry, or null if it isn't archived.
+   */
+  async restoreArchivedEntry(userId, id, journeyPoint) {
+    const index = this.data.archivedEntries.findIndex(entry => entry.id === id && entry.userId === userId);
+    if (index === -1) return null;
+
+    const [{ archivedAt, ...entry }] = this.data.archivedEntries.splice(index, 1);
+    this.data.entries.push(entry);
+    const insights = await this.getUserInsights(userId);
+    insights.emotionalJourney.push(journeyPoint);
+    await this.persist();
+    return entry;
+  }
+
+  async deleteArchivedEntry(userId, id) {
+    const index = this.data.archivedEntries.findIndex(entry => entry.id === id && entry.userId === userId);
+    if (index === -1) return false;
+
+    this.data.archivedEntries.splice(index, 1);
+    await this.persist();
+    return true;
+  }
+
+  async listRetentionAudit(userId) {
+    return this.data.retentionAudit.filter(record => record.userId === userId);
+  }
+
+  async createSession(session) {
+    // Drop expired sessions while we're writing anyway
+    const now = new Date();
+    this.data.sessions = this.data.sessions.filter(s => new Date(s.expiresAt) > now);
+    this.data.sessions.push(session);
+    await this.persist();
+    return session;
+  }
+
+  async getSession(tokenHash) {
+    return this.data.sessions.find(session => session.tokenHash === tokenHash) || null;
+  }
+
+  async deleteSession(tokenHash) {
+    this.data.sessions = this.data.sessions.filter(session => session.tokenHash !== tokenHash);
+    await this.persist();
+  }
+
+  async deleteUserSessions(userId, exceptTokenHash = null) {
+    this.data.sessions = this.data.sessions.filter(session =>
+      session.userId !== userId || session.tokenHash === exceptTokenHash
+    );
+    await this.persist();
+  }
+}
+
+/**
+ * JSON file store. The whole dataset is kept in memory and rewritten
+ * atomically (write to a temp file, then rename) after every change.
+ */
+class FileStore extends MemoryStore {
+  constructor(filePath = DEFAULT_DATA_FILE) {
+    super();
+    this.filePath = filePath;
+    this.writeQueue = Promise.resolve();
+  }
+
+  async init() {
+    try {
+      const raw = await fs.promises.readFile(this.filePath, 'utf8');
+      this.data = JSON.parse(raw);
+      console.log(`🗄️  Loaded ${this.data.entries ? this.data.entries.length : 0} entries from ${this.filePath}`);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw new Error(`Failed to load journal data from ${this.filePath}: ${error.message}`);
+      }
+      console.log(`🗄️  No data file found, creating ${this.filePath}`);
+    }
+
+    if (this.data.schemaVersion > SCHEMA_VERSION) {
+      throw new Error(`Journal data schema v${this.data.schemaVersion} is newer than this server supports (v${SCHEMA_VERSION})`);
+    }
+
+    const migrated = migrate(this.data);
+    if (migrated) {
+      await this.persist();
+    }
+  }
+
+  async persist() {
+    // Serialize writes so concurrent requests never interleave on disk
+    const write = async () => {
+      await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+      const tmpPath = `${this.filePath}.tmp`;
+      await fs.promises.writeFile(tmpPath, JSON.stringify(this.data, null, 2));
+      await fs.promises.rename(tmpPath, this.filePath);
+    };
+
+    this.writeQueue = this.writeQueue.then(write, write);
+    return this.writeQueue;
+  }
+}
+
+const drivers = {
+  memory: () => new MemoryStore(),
+  file: (options) => new FileStore(options.filePath)
+};
+
+/**
+ * Create a store for the configured driver (JOURNAL_STORAGE=file|memory)
+ */
+function createStore(options = {}) {
+  const driver = options.driver || 'file';
+  if (!drivers[driver]) {
+    throw new Error(`Unknown storage driver "${driver}". Available: ${Object.keys(drivers).join(', ')}`);
+  }
+  return drivers[driver](options);
+}
+
+module.exports = {
+  createStore,
+  generateId,
+  MemoryStore,
+  FileStore,
+  SCHEMA_VERSION
+};